@@ -0,0 +1,118 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
+/**
+ * Escrow for FREELANCE and CONTRACT jobs. The employer funds an escrow in an ERC-20
+ * token; the funds go to the worker once the employer accepts the milestone, back
+ * to the employer if no milestone was submitted before the deadline, or are split
+ * by the arbiter when either party opens a dispute.
+ *
+ * Escrows are identified by keccak256(abi.encode(employer, ref)), where ref is the
+ * reference the API prepared, so nobody but the employer can take an escrow's ID.
+ *
+ * The API keeps its Escrow collection in sync from the events below.
+ */
+contract JobEscrow {
+    enum Status { None, Funded, MilestoneSubmitted, Released, Refunded, Disputed, Resolved }
+
+    struct Escrow {
+        address employer;
+        address worker;
+        address token;
+        uint256 amount;
+        uint64 deadline;
+        Status status;
+    }
+
+    address public immutable arbiter;
+    mapping(bytes32 => Escrow) public escrows;
+
+    event EscrowFunded(bytes32 indexed escrowId, address indexed employer, address indexed worker, address token, uint256 amount, uint64 deadline);
+    event MilestoneSubmitted(bytes32 indexed escrowId);
+    event EscrowReleased(bytes32 indexed escrowId, uint256 amount);
+    event EscrowRefunded(bytes32 indexed escrowId, uint256 amount);
+    event DisputeOpened(bytes32 indexed escrowId, address indexed openedBy);
+    event DisputeResolved(bytes32 indexed escrowId, uint256 workerAmount, uint256 employerAmount);
+
+    constructor(address arbiter_) {
+        arbiter = arbiter_;
+    }
+
+    function escrowIdOf(address employer, bytes32 ref) public pure returns (bytes32) {
+        return keccak256(abi.encode(employer, ref));
+    }
+
+    function createEscrow(bytes32 ref, address worker, address token, uint256 amount, uint64 deadline) external {
+        bytes32 escrowId = escrowIdOf(msg.sender, ref);
+        require(escrows[escrowId].status == Status.None, "escrow exists");
+        require(worker != address(0) && worker != msg.sender, "invalid worker");
+        require(amount > 0, "invalid amount");
+        require(deadline > block.timestamp, "invalid deadline");
+
+        escrows[escrowId] = Escrow(msg.sender, worker, token, amount, deadline, Status.Funded);
+        require(IERC20(token).transferFrom(msg.sender, address(this), amount), "transfer failed");
+
+        emit EscrowFunded(escrowId, msg.sender, worker, token, amount, deadline);
+    }
+
+    function submitMilestone(bytes32 escrowId) external {
+        Escrow storage escrow = escrows[escrowId];
+        require(msg.sender == escrow.worker, "not worker");
+        require(escrow.status == Status.Funded, "not funded");
+
+        escrow.status = Status.MilestoneSubmitted;
+        emit MilestoneSubmitted(escrowId);
+    }
+
+    function acceptMilestone(bytes32 escrowId) external {
+        Escrow storage escrow = escrows[escrowId];
+        require(msg.sender == escrow.employer, "not employer");
+        require(escrow.status == Status.Funded || escrow.status == Status.MilestoneSubmitted, "not releasable");
+
+        escrow.status = Status.Released;
+        require(IERC20(escrow.token).transfer(escrow.worker, escrow.amount), "transfer failed");
+        emit EscrowReleased(escrowId, escrow.amount);
+    }
+
+    function refundAfterTimeout(bytes32 escrowId) external {
+        Escrow storage escrow = escrows[escrowId];
+        require(msg.sender == escrow.employer, "not employer");
+        require(escrow.status == Status.Funded, "not refundable");
+        require(block.timestamp > escrow.deadline, "deadline not reached");
+
+        escrow.status = Status.Refunded;
+        require(IERC20(escrow.token).transfer(escrow.employer, escrow.amount), "transfer failed");
+        emit EscrowRefunded(escrowId, escrow.amount);
+    }
+
+    function openDispute(bytes32 escrowId) external {
+        Escrow storage escrow = escrows[escrowId];
+        require(msg.sender == escrow.employer || msg.sender == escrow.worker, "not a party");
+        require(escrow.status == Status.Funded || escrow.status == Status.MilestoneSubmitted, "not disputable");
+
+        escrow.status = Status.Disputed;
+        emit DisputeOpened(escrowId, msg.sender);
+    }
+
+    function resolveDispute(bytes32 escrowId, uint256 workerAmount) external {
+        Escrow storage escrow = escrows[escrowId];
+        require(msg.sender == arbiter, "not arbiter");
+        require(escrow.status == Status.Disputed, "not disputed");
+        require(workerAmount <= escrow.amount, "invalid split");
+
+        escrow.status = Status.Resolved;
+        uint256 employerAmount = escrow.amount - workerAmount;
+        if (workerAmount > 0) {
+            require(IERC20(escrow.token).transfer(escrow.worker, workerAmount), "transfer failed");
+        }
+        if (employerAmount > 0) {
+            require(IERC20(escrow.token).transfer(escrow.employer, employerAmount), "transfer failed");
+        }
+        emit DisputeResolved(escrowId, workerAmount, employerAmount);
+    }
+}
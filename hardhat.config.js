@@ -0,0 +1,49 @@
+require('@nomicfoundation/hardhat-ethers');
+const path = require('path');
+const { subtask } = require('hardhat/config');
+const { TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD } = require('hardhat/builtin-tasks/task-names');
+
+// Compiler of the escrow contract; must match the solc version in package.json
+const SOLC_VERSION = '0.8.24';
+
+// Compile with the solc package instead of downloading a compiler build
+subtask(TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD, async ({ solcVersion }, hre, runSuper) => {
+  if (solcVersion !== SOLC_VERSION) {
+    return runSuper();
+  }
+
+  return {
+    compilerPath: path.join(path.dirname(require.resolve('solc/package.json')), 'soljson.js'),
+    isSolcJs: true,
+    version: solcVersion,
+    longVersion: require('solc/package.json').version
+  };
+});
+
+/**
+ * Hardhat setup for contracts/JobEscrow.sol. `npm run escrow:test` runs the contract
+ * tests on the in-process Hardhat network; `npm run escrow:node` starts a local node
+ * (chain ID 31337, like Anvil) that `npm run escrow:deploy` deploys to.
+ * @type {import('hardhat/config').HardhatUserConfig}
+ */
+module.exports = {
+  solidity: {
+    version: SOLC_VERSION,
+    settings: {
+      optimizer: { enabled: true, runs: 200 }
+    }
+  },
+  networks: {
+    // Hardhat node or Anvil
+    localhost: {
+      url: process.env.ESCROW_RPC_URL || 'http://127.0.0.1:8545',
+      chainId: 31337
+    }
+  },
+  paths: {
+    sources: './contracts',
+    tests: './test/contracts',
+    cache: './cache',
+    artifacts: './artifacts'
+  }
+};
@@ -15,6 +15,9 @@ const paymentRoutes = require('./routes/payment.routes');
 const jobRoutes = require('./routes/job.routes');
 const chatRoutes = require('./routes/chat.routes');
 const profileRoutes = require('./routes/profile.routes');
+const adminRoutes = require('./routes/admin.routes');
+const escrowRoutes = require('./routes/escrow.routes');
+const wellKnownRoutes = require('./routes/well-known.routes');
 
 // Initialize Express app
 const app = express();
@@ -26,8 +29,20 @@ app.set('trust proxy', 1);
 app.use(cors());
 app.use(helmet());
 app.use(compression());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Job feeds are read as text, whatever their content type, by their route after the
+// permission check (see admin.routes.js); the body parsers below leave them alone
+const RAW_BODY_PATHS = ['/api/admin/jobs/import'];
+const unlessRawBody = parser => (req, res, next) => (
+  RAW_BODY_PATHS.includes(req.path.replace(/\/+$/, '').toLowerCase()) ? next() : parser(req, res, next)
+);
+
+app.use(unlessRawBody(express.json({
+  // Keep the raw body for webhook signature checks
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+})));
+app.use(unlessRawBody(express.urlencoded({ extended: true })));
 
 // Rate limiting
 const limiter = rateLimit({
@@ -44,6 +59,9 @@ app.use('/api/payments', paymentRoutes);
 app.use('/api/jobs', jobRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/profile', profileRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/escrows', escrowRoutes);
+app.use('/.well-known', wellKnownRoutes);
 
 // Default route
 app.get('/', (req, res) => {
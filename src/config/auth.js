@@ -0,0 +1,40 @@
+// Configuration for authentication
+module.exports = {
+  // Domain the Sign-In-With-Ethereum message must be issued for
+  SIWE_DOMAIN: process.env.SIWE_DOMAIN || 'localhost:3000',
+  // Comma separated list of accepted chain IDs (480 = World Chain)
+  SIWE_CHAIN_IDS: (process.env.SIWE_CHAIN_IDS || '480').split(',').map(id => Number(id.trim())),
+  // Maximum age of a SIWE message without an explicit Expiration Time
+  SIWE_MAX_AGE_MS: Number(process.env.SIWE_MAX_AGE_MS) || 5 * 60 * 1000,
+  // Optional RPC endpoint used to check EIP-1271 signatures from smart contract wallets
+  SIWE_RPC_URL: process.env.SIWE_RPC_URL,
+  // How long a nonce from GET /api/auth/nonce stays valid
+  NONCE_TTL_MS: Number(process.env.NONCE_TTL_MS) || 5 * 60 * 1000,
+  // How long a refresh token can be used before the user has to log in again
+  REFRESH_TOKEN_TTL_MS: Number(process.env.REFRESH_TOKEN_TTL_MS) || 30 * 24 * 60 * 60 * 1000,
+  // World ID verification level required per action ('none', 'device' or 'orb')
+  VERIFICATION_POLICIES: {
+    createChat: process.env.VERIFICATION_LEVEL_CHAT || 'device',
+    generateJobLink: process.env.VERIFICATION_LEVEL_JOB_LINK || 'device',
+    postJob: process.env.VERIFICATION_LEVEL_POST_JOB || 'orb'
+  },
+  // Frontend pages the OAuth flow may send the user back to
+  OAUTH_REDIRECT_ALLOWLIST: (process.env.OAUTH_REDIRECT_ALLOWLIST || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth-success`)
+    .split(',').map(url => url.trim()),
+  // How long an OAuth state/PKCE pair and the one-time hand-off code stay valid
+  OAUTH_STATE_TTL_MS: Number(process.env.OAUTH_STATE_TTL_MS) || 10 * 60 * 1000,
+  OAUTH_HANDOFF_TTL_MS: Number(process.env.OAUTH_HANDOFF_TTL_MS) || 60 * 1000,
+  // httpOnly cookie binding an OAuth login to the browser that started it
+  OAUTH_BINDING_COOKIE: {
+    name: 'oauth_binding',
+    options: {
+      httpOnly: true,
+      // Lax, so it is sent on the top-level redirect back from World ID
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      path: '/api/auth'
+    }
+  },
+  // Where nonces are kept: 'mongo' (shared between instances) or 'memory' (tests)
+  NONCE_STORE: process.env.NONCE_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'mongo')
+};
@@ -0,0 +1,10 @@
+// Configuration for demo accounts
+module.exports = {
+  // How long a demo account lives before it is cleaned up
+  TTL_MS: Number(process.env.DEMO_TTL_MS) || 24 * 60 * 60 * 1000,
+  // Free actions a demo account gets instead of paying
+  FREE_CHATS: Number(process.env.DEMO_FREE_CHATS) || 3,
+  FREE_LINKS: Number(process.env.DEMO_FREE_LINKS) || 3,
+  // How often expired demo accounts are removed
+  CLEANUP_INTERVAL_MS: Number(process.env.DEMO_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000
+};
@@ -0,0 +1,33 @@
+// Configuration for the on-chain job escrow (contracts/JobEscrow.sol).
+// Point ESCROW_RPC_URL at a local Hardhat/Anvil node (chain ID 31337) to develop against it;
+// npm run escrow:deploy prints the variables for a local deployment (see hardhat.config.js).
+module.exports = {
+  RPC_URL: process.env.ESCROW_RPC_URL || 'http://127.0.0.1:8545',
+  CHAIN_ID: Number(process.env.ESCROW_CHAIN_ID) || 480,
+  CONTRACT_ADDRESS: process.env.ESCROW_CONTRACT_ADDRESS || '',
+  // Key of the arbiter account that settles disputes; only needed to resolve disputes
+  ARBITER_PRIVATE_KEY: process.env.ESCROW_ARBITER_PRIVATE_KEY || '',
+  // First block to read events from when no sync cursor is stored yet
+  START_BLOCK: Number(process.env.ESCROW_START_BLOCK) || 0,
+  // Blocks to wait before an event is applied, and how many blocks are read per query
+  CONFIRMATIONS: process.env.ESCROW_CONFIRMATIONS ? Number(process.env.ESCROW_CONFIRMATIONS) : 2,
+  BLOCK_RANGE: Number(process.env.ESCROW_BLOCK_RANGE) || 2000,
+  SYNC_INTERVAL_MS: Number(process.env.ESCROW_SYNC_INTERVAL_MS) || 15 * 1000,
+  // Job types that can be paid through escrow
+  JOB_TYPES: ['FREELANCE', 'CONTRACT'],
+  ABI: [
+    'function escrowIdOf(address employer, bytes32 ref) pure returns (bytes32)',
+    'function createEscrow(bytes32 ref, address worker, address token, uint256 amount, uint64 deadline)',
+    'function submitMilestone(bytes32 escrowId)',
+    'function acceptMilestone(bytes32 escrowId)',
+    'function refundAfterTimeout(bytes32 escrowId)',
+    'function openDispute(bytes32 escrowId)',
+    'function resolveDispute(bytes32 escrowId, uint256 workerAmount)',
+    'event EscrowFunded(bytes32 indexed escrowId, address indexed employer, address indexed worker, address token, uint256 amount, uint64 deadline)',
+    'event MilestoneSubmitted(bytes32 indexed escrowId)',
+    'event EscrowReleased(bytes32 indexed escrowId, uint256 amount)',
+    'event EscrowRefunded(bytes32 indexed escrowId, uint256 amount)',
+    'event DisputeOpened(bytes32 indexed escrowId, address indexed openedBy)',
+    'event DisputeResolved(bytes32 indexed escrowId, uint256 workerAmount, uint256 employerAmount)'
+  ]
+};
@@ -0,0 +1,78 @@
+// Field mapping of the partner job feeds (see job-feed.service.js).
+// A field maps to a path in the source record ('a.b' for nested values); an array of
+// paths joins their values with ', '. Sources that are not listed use DEFAULT_FIELDS.
+const DEFAULT_FIELDS = {
+  externalId: 'externalId',
+  title: 'title',
+  company: 'company',
+  description: 'description',
+  requirements: 'requirements',
+  'salary.min': 'salary.min',
+  'salary.max': 'salary.max',
+  'salary.currency': 'salary.currency',
+  location: 'location',
+  remote: 'remote',
+  type: 'type',
+  category: 'category',
+  applicationUrl: 'applicationUrl',
+  contactEmail: 'contactEmail',
+  language: 'language'
+};
+
+module.exports = {
+  FORMATS: ['json', 'jsonl', 'csv', 'xml'],
+  // Largest feed accepted by the admin import endpoint
+  MAX_FEED_SIZE: process.env.JOB_FEED_MAX_SIZE || '20mb',
+  DEFAULT_FIELDS,
+  SOURCES: {
+    // Indeed XML feed: <source><job>...</job></source>
+    indeed: {
+      format: 'xml',
+      recordPath: 'source.job',
+      fields: {
+        externalId: 'referencenumber',
+        title: 'title',
+        company: 'company',
+        description: 'description',
+        location: ['city', 'state', 'country'],
+        remote: 'remotetype',
+        type: 'jobtype',
+        category: 'category',
+        applicationUrl: 'url',
+        contactEmail: 'email'
+      }
+    },
+    // LinkedIn limited listings XML feed: <source><job>...</job></source>
+    linkedin: {
+      format: 'xml',
+      recordPath: 'source.job',
+      fields: {
+        externalId: 'partnerJobId',
+        title: 'title',
+        company: 'company',
+        description: 'description',
+        location: ['city', 'state', 'country'],
+        remote: 'workplaceTypes',
+        type: 'jobtype',
+        category: 'industry',
+        applicationUrl: 'applyUrl',
+        'salary.min': 'salaries.salary.lowEnd.amount',
+        'salary.max': 'salaries.salary.highEnd.amount',
+        'salary.currency': 'salaries.salary.lowEnd.currencyCode'
+      }
+    },
+    // CSV exports with one column per field, requirements separated by '|'
+    partner_csv: {
+      format: 'csv',
+      fields: {
+        ...DEFAULT_FIELDS,
+        externalId: 'id',
+        'salary.min': 'salary_min',
+        'salary.max': 'salary_max',
+        'salary.currency': 'salary_currency',
+        applicationUrl: 'application_url',
+        contactEmail: 'contact_email'
+      }
+    }
+  }
+};
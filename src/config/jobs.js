@@ -0,0 +1,20 @@
+// Configuration for job listings posted by employers
+module.exports = {
+  // How long a published listing stays up before it expires
+  POSTING_PERIOD_DAYS: Number(process.env.JOB_POSTING_PERIOD_DAYS) || 30,
+  // How often published listings past their expiry are marked EXPIRED
+  EXPIRY_INTERVAL_MS: Number(process.env.JOB_EXPIRY_INTERVAL_MS) || 15 * 60 * 1000,
+  // Categories employers can post in (comma separated)
+  CATEGORIES: (process.env.JOB_CATEGORIES || 'Desarrollo,Diseño,Marketing,Redacción,Traducción,Contabilidad')
+    .split(',').map(category => category.trim()).filter(Boolean),
+  TYPES: ['FULL_TIME', 'PART_TIME', 'CONTRACT', 'FREELANCE', 'INTERNSHIP'],
+  STATUSES: ['DRAFT', 'PUBLISHED', 'CLOSED', 'EXPIRED'],
+  // Languages of listings and searches (MongoDB text search language codes)
+  LANGUAGES: ['es', 'en'],
+  // Longest accepted search string
+  MAX_SEARCH_LENGTH: 200,
+  // Lower bounds of the salary.min buckets counted for the job browser facets
+  SALARY_BUCKETS: [0, 1000, 2000, 3000, 4000, 5000],
+  // Most common locations listed in the facets
+  FACET_LOCATIONS_LIMIT: 20
+};
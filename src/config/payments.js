@@ -0,0 +1,58 @@
+// ERC-20 contracts of the accepted tokens on World Chain (override for local chains)
+const TOKEN_ADDRESSES = {
+  WLD: (process.env.WLD_TOKEN_ADDRESS || '0x2cfc85d8e48f8eab294be644d9e25c3030863003').toLowerCase(),
+  USDC: (process.env.USDC_TOKEN_ADDRESS || '0x79a02482a880bce3f13e09da970dc34db4cd24d1').toLowerCase()
+};
+
+// Configuration for payments and the prepaid credit balance
+module.exports = {
+  // Tokens accepted for deposits
+  DEPOSIT_TOKENS: ['WLD', 'USDC'],
+  // Credits received per deposited token unit (prices are expressed in credits, 1 credit = 1 WLD)
+  CREDITS_PER_TOKEN: {
+    WLD: 1,
+    USDC: Number(process.env.CREDITS_PER_USDC) || 1
+  },
+  // Prices used when the catalog has no matching entry
+  DEFAULT_PRICES: {
+    CHAT: { WLD: 1, USDC: 1 },
+    JOB_LINK: { WLD: 1, USDC: 1 }
+  },
+  // Transaction type recorded for each product
+  PRODUCT_TYPES: {
+    CHAT: 'CHAT',
+    JOB_LINK: 'JOB_LINK'
+  },
+  // Tokens accepted for MiniKit payments
+  PAYMENT_TOKENS: ['WLD', 'USDC'],
+  // Other names the World API may report for accepted tokens (MiniKit symbols and World Chain contracts)
+  TOKEN_ALIASES: {
+    usdce: 'USDC',
+    [TOKEN_ADDRESSES.WLD]: 'WLD',
+    [TOKEN_ADDRESSES.USDC]: 'USDC'
+  },
+  TOKEN_ADDRESSES,
+  // Decimals of the amounts reported by the MiniKit transaction API
+  TOKEN_DECIMALS: {
+    WLD: 18,
+    USDC: 6
+  },
+  // Wallet that must receive MiniKit payments
+  TREASURY_ADDRESS: process.env.TREASURY_ADDRESS || '',
+  // Shared secret for the payment callback signature, and how old a signed callback may be
+  WEBHOOK_SECRET: process.env.PAYMENT_WEBHOOK_SECRET || '',
+  WEBHOOK_TOLERANCE_MS: Number(process.env.PAYMENT_WEBHOOK_TOLERANCE_MS) || 5 * 60 * 1000,
+  // Credits granted to a referrer when a referred, World ID verified user makes a first paid action
+  REFERRAL_REWARD_CREDITS: Number(process.env.REFERRAL_REWARD_CREDITS) || 1,
+  // How long a response is replayed for a repeated Idempotency-Key
+  IDEMPOTENCY_TTL_MS: Number(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000,
+  MIN_DEPOSIT: Number(process.env.MIN_DEPOSIT) || 1,
+  MAX_DEPOSIT: Number(process.env.MAX_DEPOSIT) || 1000,
+  // Background reconciliation of PENDING MiniKit transactions
+  RECONCILE_INTERVAL_MS: Number(process.env.RECONCILE_INTERVAL_MS) || 60 * 1000,
+  RECONCILE_BATCH_SIZE: Number(process.env.RECONCILE_BATCH_SIZE) || 50,
+  // How long other runs leave a transaction alone after one run has checked it
+  RECONCILE_LEASE_MS: Number(process.env.RECONCILE_LEASE_MS) || 2 * 60 * 1000,
+  // Pending transactions without a World ID transaction ID expire after this long
+  PENDING_TIMEOUT_MS: Number(process.env.PENDING_TIMEOUT_MS) || 30 * 60 * 1000
+};
@@ -0,0 +1,12 @@
+// Permissions granted by each role. Admins get every permission, including the
+// admin-only ones: 'payments:create', 'ops:read', 'users:manage', 'prices:manage', 'promos:manage'
+// and 'jobs:import'.
+module.exports = {
+  ROLES: ['user', 'employer', 'moderator', 'admin'],
+  PERMISSIONS: {
+    user: [],
+    employer: ['jobs:write'],
+    moderator: ['refunds:review', 'users:read', 'escrow:arbitrate'],
+    admin: ['*']
+  }
+};
@@ -4,5 +4,9 @@ module.exports = {
   ACTION_NAME: process.env.WORLD_ID_ACTION_NAME || 'doup-user-verification', // Cambiado a usar guiones
   API_KEY: process.env.WORLD_ID_API_KEY || 'api_a2V5X2RiZDg1MjM0YTJmMGRmMTk1Njg2MjQxZjg4ZjBhMWUzOnNrX2Q0YmZjYzY3MmEzYzUwZDVmZmY1YWVlNDdiY2FiZWZhYWQyMGVhNGYzZGE4ZDIxMA',
   CLIENT_SECRET: process.env.WORLD_ID_CLIENT_SECRET || 'sk_e6ff627330160ade4459c000c0e553c3461f85fce97adae1',
-  API_BASE_URL: process.env.WORLD_ID_API_BASE_URL || 'https://developer.worldcoin.org/api/v2'
+  API_BASE_URL: process.env.WORLD_ID_API_BASE_URL || 'https://developer.worldcoin.org/api/v2',
+  AUTHORIZE_URL: process.env.WORLD_ID_AUTHORIZE_URL || 'https://id.worldcoin.org/authorize',
+  REDIRECT_URI: process.env.WORLD_ID_REDIRECT_URI || 'http://localhost:3000/api/auth/callback',
+  // Client used for the MiniKit transaction API: 'http' (developer portal) or 'fake' (local, for tests)
+  PAYMENTS_API: process.env.WORLD_PAYMENTS_API || (process.env.NODE_ENV === 'test' ? 'fake' : 'http')
 };
\ No newline at end of file
@@ -0,0 +1,277 @@
+const adminService = require('../services/admin.service.js');
+const pricingService = require('../services/pricing.service.js');
+const reconcilerService = require('../services/reconciler.service.js');
+const webhookService = require('../services/webhook.service.js');
+const refundService = require('../services/refund.service.js');
+const promoService = require('../services/promo.service.js');
+const jobImportService = require('../services/job-import.service.js');
+const jobFeedService = require('../services/job-feed.service.js');
+const ApiError = require('../utils/api-error.js');
+
+/**
+ * Controller for administrative operations
+ */
+class AdminController {
+  /**
+   * List users
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listUsers(req, res) {
+    try {
+      const result = await adminService.listUsers(
+        { role: req.query.role },
+        { page: req.query.page, limit: req.query.limit }
+      );
+      
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('Error in listUsers controller:', error);
+      return res.status(500).json({ error: 'Failed to list users' });
+    }
+  }
+
+  /**
+   * Replace a user's roles
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async setUserRoles(req, res) {
+    try {
+      const user = await adminService.setRoles(req.params.id, req.body.roles);
+      
+      return res.status(200).json({ status: 'success', user });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('Error in setUserRoles controller:', error);
+      return res.status(500).json({ error: 'Failed to update roles' });
+    }
+  }
+
+  /**
+   * Add a price to the catalog
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createPrice(req, res) {
+    try {
+      const price = await pricingService.createPrice(req.body);
+      
+      return res.status(201).json({ status: 'success', price });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('Error in createPrice controller:', error);
+      return res.status(500).json({ error: 'Failed to create price' });
+    }
+  }
+
+  /**
+   * Update a catalog price (set active to false to withdraw it)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updatePrice(req, res) {
+    try {
+      const price = await pricingService.updatePrice(req.params.id, req.body);
+      
+      return res.status(200).json({ status: 'success', price });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('Error in updatePrice controller:', error);
+      return res.status(500).json({ error: 'Failed to update price' });
+    }
+  }
+
+  /**
+   * List the reports of recent payment reconciliation runs
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listReconciliationRuns(req, res) {
+    try {
+      const result = await reconcilerService.listRuns({ page: req.query.page, limit: req.query.limit });
+      
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('Error in listReconciliationRuns controller:', error);
+      return res.status(500).json({ error: 'Failed to list reconciliation runs' });
+    }
+  }
+
+  /**
+   * List rejected payment callbacks
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listRejectedWebhooks(req, res) {
+    try {
+      const result = await webhookService.listRejected({ page: req.query.page, limit: req.query.limit });
+      
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('Error in listRejectedWebhooks controller:', error);
+      return res.status(500).json({ error: 'Failed to list rejected webhooks' });
+    }
+  }
+
+  /**
+   * List refund requests (pending ones by default, oldest first)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listRefundRequests(req, res) {
+    try {
+      const result = await refundService.listRequests(
+        { status: req.query.status || 'PENDING' },
+        { page: req.query.page, limit: req.query.limit }
+      );
+      
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('Error in listRefundRequests controller:', error);
+      return res.status(500).json({ error: 'Failed to list refund requests' });
+    }
+  }
+
+  /**
+   * Approve a refund request and refund the payment to the credit balance
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async approveRefund(req, res) {
+    try {
+      const request = await refundService.reviewRequest(req.params.id, req.user.userId, true, req.body.note);
+      
+      return res.status(200).json({ status: 'success', request });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('Error in approveRefund controller:', error);
+      return res.status(500).json({ error: 'Failed to approve refund' });
+    }
+  }
+
+  /**
+   * Deny a refund request
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async denyRefund(req, res) {
+    try {
+      const request = await refundService.reviewRequest(req.params.id, req.user.userId, false, req.body.note);
+      
+      return res.status(200).json({ status: 'success', request });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('Error in denyRefund controller:', error);
+      return res.status(500).json({ error: 'Failed to deny refund' });
+    }
+  }
+
+  /**
+   * List promo codes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listPromoCodes(req, res) {
+    try {
+      const result = await promoService.listCodes({ page: req.query.page, limit: req.query.limit });
+      
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('Error in listPromoCodes controller:', error);
+      return res.status(500).json({ error: 'Failed to list promo codes' });
+    }
+  }
+
+  /**
+   * Create a promo code
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createPromoCode(req, res) {
+    try {
+      const promoCode = await promoService.createCode(req.body);
+      
+      return res.status(201).json({ status: 'success', promoCode });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('Error in createPromoCode controller:', error);
+      return res.status(500).json({ error: 'Failed to create promo code' });
+    }
+  }
+
+  /**
+   * Update a promo code (set active to false to disable it)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updatePromoCode(req, res) {
+    try {
+      const promoCode = await promoService.updateCode(req.params.id, req.body);
+      
+      return res.status(200).json({ status: 'success', promoCode });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('Error in updatePromoCode controller:', error);
+      return res.status(500).json({ error: 'Failed to update promo code' });
+    }
+  }
+
+  /**
+   * Import the bundled job seed file (dryRun: true only returns the diff)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async importSeedJobs(req, res) {
+    try {
+      const report = await jobImportService.importSeedFile({ dryRun: req.body?.dryRun === true });
+      
+      return res.status(200).json(report);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('Error in importSeedJobs controller:', error);
+      return res.status(500).json({ error: 'Failed to import jobs' });
+    }
+  }
+
+  /**
+   * Import a partner job feed sent as the request body
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async importJobFeed(req, res) {
+    try {
+      const report = await jobFeedService.importFeed(req.body, {
+        source: req.query.source,
+        format: req.query.format,
+        dryRun: req.query.dryRun === 'true'
+      });
+      
+      return res.status(200).json(report);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('Error in importJobFeed controller:', error);
+      return res.status(500).json({ error: 'Failed to import job feed' });
+    }
+  }
+}
+
+module.exports = new AdminController();
@@ -1,9 +1,39 @@
 const worldIdService = require('../services/world-id.service.js');
-const jwtUtils = require('../utils/jwt.utils.js');
+const tokenService = require('../services/token.service.js');
+const siweService = require('../services/siwe.service.js');
+const nonceStore = require('../services/nonce-store.service.js');
+const accountService = require('../services/account.service.js');
+const demoService = require('../services/demo.service.js');
+const oauthService = require('../services/oauth.service.js');
 const UserModel = require('../models/user.model.js');
+const worldIdConfig = require('../config/world-id.js');
+const authConfig = require('../config/auth.js');
+const keyRing = require('../utils/key-ring.utils.js');
+const verificationUtils = require('../utils/verification.utils.js');
+const ApiError = require('../utils/api-error.js');
 
-// Store for temporary nonces
-const nonceStore = new Map();
+/**
+ * Collect client details stored alongside a refresh token
+ * @param {Object} req - Express request object
+ * @returns {Object} User agent and IP address
+ */
+function sessionInfo(req) {
+  return { userAgent: req.get('user-agent'), ip: req.ip };
+}
+
+/**
+ * Read a cookie from the request
+ * @param {Object} req - Express request object
+ * @param {string} name - Cookie name
+ * @returns {string|undefined} Cookie value
+ */
+function readCookie(req, name) {
+  const pair = (req.get('cookie') || '').split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+  
+  return pair ? decodeURIComponent(pair.slice(1).join('=')) : undefined;
+}
 
 /**
  * Controller for handling authentication
@@ -18,15 +48,8 @@ class AuthController {
     try {
       const nonce = worldIdService.generateNonce();
       
-      // Store nonce with timestamp
-      nonceStore.set(nonce, Date.now());
-      
-      // Clean expired nonces after 5 minutes
-      setTimeout(() => {
-        if (nonceStore.has(nonce)) {
-          nonceStore.delete(nonce);
-        }
-      }, 5 * 60 * 1000);
+      // Store nonce for the requesting client; the store expires it
+      await nonceStore.issue(nonce, req.ip);
       
       return res.status(200).json({ nonce });
     } catch (error) {
@@ -35,6 +58,22 @@ class AuthController {
     }
   }
 
+  /**
+   * Get the number of outstanding (issued, unused, unexpired) nonces
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getNonceStats(req, res) {
+    try {
+      const outstanding = await nonceStore.countOutstanding();
+      
+      return res.status(200).json({ outstanding });
+    } catch (error) {
+      console.error('Nonce stats error:', error);
+      return res.status(500).json({ error: 'Failed to get nonce stats' });
+    }
+  }
+
   /**
    * Verify World ID proof
    * @param {Object} req - Express request object
@@ -63,8 +102,18 @@ class AuthController {
         signal: req.body.signal || ''
       });
       
+      // A demo user logging in with World ID keeps their demo history
+      let user = req.user?.isDemoUser
+        ? await demoService.upgrade(req.user.userId, 'worldIdNullifierHash', req.body.nullifier_hash)
+        : null;
+      
       // Check if user exists by nullifier hash
-      let user = await UserModel.findOne({ worldIdNullifierHash: req.body.nullifier_hash });
+      if (!user) {
+        user = await UserModel.findOne({ worldIdNullifierHash: req.body.nullifier_hash });
+      }
+      
+      // Level actually proven, as reported by World ID
+      const verificationLevel = result.data?.verification_level || req.body.credential_type || 'orb';
       
       // Create user if doesn't exist
       if (!user) {
@@ -73,26 +122,34 @@ class AuthController {
           nickname: `User_${req.body.nullifier_hash.substring(0, 6)}`,
           createdAt: new Date()
         });
-        await user.save();
         console.log('New World ID user created with ID:', user._id);
       } else {
         console.log('Existing World ID user found:', user._id);
       }
       
-      // Create JWT token
-      const token = jwtUtils.createAccessToken({ 
+      // Store the level on the user so it survives token refresh
+      user.verificationLevel = verificationUtils.strongest(user.verificationLevel, verificationLevel);
+      user.verifiedAt = new Date();
+      await user.save();
+      
+      // Create JWT access token and refresh token
+      const { token, refreshToken } = await tokenService.issueTokens({ 
         userId: user._id,
         nickname: user.nickname,
-        worldIdVerified: true
-      });
+        worldIdVerified: true,
+        verificationLevel: user.verificationLevel,
+        roles: user.roles
+      }, sessionInfo(req));
       
       return res.status(200).json({ 
         status: 'success', 
         token,
+        refreshToken,
         user: {
           id: user._id,
           nickname: user.nickname,
-          worldIdVerified: true
+          worldIdVerified: true,
+          verificationLevel: user.verificationLevel
         }
       });
     } catch (error) {
@@ -115,24 +172,52 @@ class AuthController {
     }
   }
 
+  /**
+   * Start the OAuth flow: store state and PKCE verifier and redirect to World ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async oauthStart(req, res) {
+    try {
+      const { authorizeUrl, binding } = await oauthService.start(req.query.redirect);
+      
+      // Only this browser can finish the login
+      const cookie = authConfig.OAUTH_BINDING_COOKIE;
+      res.cookie(cookie.name, binding, { ...cookie.options, maxAge: authConfig.OAUTH_STATE_TTL_MS });
+      
+      return res.redirect(authorizeUrl);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('OAuth start error:', error);
+      return res.status(500).json({ error: 'Failed to start OAuth flow' });
+    }
+  }
+
   /**
    * Handle OAuth callback
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async oauthCallback(req, res) {
+    const errorUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth-error`;
+    
     try {
-      const { code } = req.query;
+      const { code, state } = req.query;
+      const cookie = authConfig.OAUTH_BINDING_COOKIE;
+      const binding = readCookie(req, cookie.name);
+      res.clearCookie(cookie.name, cookie.options);
+      
+      // Check the state first, it proves this callback belongs to a flow this browser started
+      const session = await oauthService.consumeState(state, binding);
       
       if (!code) {
-        return res.status(400).json({ error: 'Authorization code missing' });
+        return res.redirect(`${errorUrl}?error=OAUTH_CODE_MISSING`);
       }
       
-      // Get redirect URI from config or env
-      const redirectUri = process.env.WORLD_ID_REDIRECT_URI || 'http://localhost:3000/api/auth/callback';
-      
-      // Exchange code for token
-      const tokenData = await worldIdService.getOAuthToken(code, redirectUri);
+      // Exchange code for token, proving possession of the PKCE verifier
+      const tokenData = await worldIdService.getOAuthToken(code, worldIdConfig.REDIRECT_URI, session.codeVerifier);
       
       // Get user profile with token
       const userProfile = await worldIdService.getUserProfile(tokenData.access_token);
@@ -147,40 +232,101 @@ class AuthController {
           profilePicture: userProfile.profile_picture,
           createdAt: new Date()
         });
-        await user.save();
       }
       
-      // Create JWT token
-      const token = jwtUtils.createAccessToken({ userId: user._id });
+      if (userProfile.verification_level) {
+        user.verificationLevel = verificationUtils.strongest(user.verificationLevel, userProfile.verification_level);
+      }
+      await user.save();
       
-      // Redirect to frontend with token
-      // In production, you might want to use a more secure method
-      return res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth-success?token=${token}`);
+      // Hand the frontend a one-time code instead of the token itself
+      const redirectUrl = await oauthService.createHandoff(session, user._id);
+      
+      return res.redirect(redirectUrl);
     } catch (error) {
       console.error('OAuth callback error:', error);
-      return res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth-error`);
+      const code = error instanceof ApiError ? error.code : 'OAUTH_FAILED';
+      return res.redirect(`${errorUrl}?error=${code}`);
+    }
+  }
+
+  /**
+   * Exchange the one-time code from the OAuth callback for tokens
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async oauthExchange(req, res) {
+    try {
+      const userId = await oauthService.redeemHandoff(req.body.code);
+      const user = await UserModel.findById(userId);
+      
+      if (!user) {
+        throw new ApiError(401, 'OAUTH_CODE_INVALID', 'Code is invalid, expired or already used');
+      }
+      
+      const { token, refreshToken } = await tokenService.issueTokens({ 
+        userId: user._id,
+        nickname: user.nickname,
+        worldIdVerified: verificationUtils.isVerified(user.verificationLevel),
+        verificationLevel: user.verificationLevel,
+        roles: user.roles
+      }, sessionInfo(req));
+      
+      return res.status(200).json({ 
+        token,
+        refreshToken,
+        user: {
+          id: user._id,
+          nickname: user.nickname,
+          profilePicture: user.profilePicture,
+          worldIdVerified: verificationUtils.isVerified(user.verificationLevel),
+          verificationLevel: user.verificationLevel
+        }
+      });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('OAuth exchange error:', error);
+      return res.status(500).json({ error: 'Failed to exchange code' });
     }
   }
 
   /**
-   * Authenticate with wallet
+   * Authenticate with wallet using a signed Sign-In-With-Ethereum message
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async walletAuth(req, res) {
     try {
-      const { walletAddress, nickname, profilePictureUrl } = req.body;
+      const { message, signature, nickname, profilePictureUrl } = req.body;
+      
+      // Verify the SIWE message and signature before trusting the address
+      const siwe = await siweService.verify(message, signature);
+      
+      if (req.body.walletAddress && req.body.walletAddress.toLowerCase() !== siwe.address.toLowerCase()) {
+        throw new ApiError(401, 'SIWE_ADDRESS_MISMATCH', 'Wallet address does not match the signed message');
+      }
+      
+      await nonceStore.consume(siwe.nonce, req.ip);
+      
+      const walletAddress = siwe.address;
       
       console.log('Attempting wallet authentication with:', { 
-        walletAddress: walletAddress?.substring(0, 10),
+        walletAddress: walletAddress.substring(0, 10),
         nickname 
       });
       
-      // Find user by wallet address or create new
-      let user;
+      const walletLookup = { $in: [walletAddress, walletAddress.toLowerCase()] };
+      
+      // A demo user logging in with a wallet keeps their demo history
+      let user = req.user?.isDemoUser
+        ? await demoService.upgrade(req.user.userId, 'walletAddress', walletAddress, walletLookup)
+        : null;
       
-      if (walletAddress) {
-        user = await UserModel.findOne({ walletAddress });
+      // Find user by wallet address or create new
+      if (!user) {
+        user = await UserModel.findOne({ walletAddress: walletLookup });
       }
       
       // Create new user if doesn't exist
@@ -201,15 +347,18 @@ class AuthController {
         console.log('Existing user updated:', user._id);
       }
       
-      // Create JWT token
-      const token = jwtUtils.createAccessToken({ 
+      // Create JWT access token and refresh token
+      const { token, refreshToken } = await tokenService.issueTokens({ 
         userId: user._id,
         nickname: user.nickname,
-        walletAddress: user.walletAddress
-      });
+        walletAddress: user.walletAddress,
+        verificationLevel: user.verificationLevel,
+        roles: user.roles
+      }, sessionInfo(req));
       
       return res.status(200).json({ 
         token, 
+        refreshToken,
         user: {
           id: user._id,
           nickname: user.nickname,
@@ -218,48 +367,154 @@ class AuthController {
         }
       });
     } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
       console.error('Wallet authentication error:', error);
       return res.status(401).json({ error: 'Authentication failed: ' + (error.message || '') });
     }
   }
 
-  async demoLogin(req, res) {
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async refresh(req, res) {
     try {
-      const { nickname } = req.body;
-      console.log('Initiating demo login for:', nickname);
+      const { refreshToken } = req.body;
+      
+      const tokens = await tokenService.rotateRefreshToken(refreshToken, sessionInfo(req));
+      
+      return res.status(200).json(tokens);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('Token refresh error:', error);
+      return res.status(500).json({ error: 'Failed to refresh token' });
+    }
+  }
+
+  /**
+   * Log out: revoke the current session and its refresh tokens
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async logout(req, res) {
+    try {
+      await tokenService.revokeSession(req.user, 'LOGOUT');
       
-      // Generate a unique random "wallet address" to avoid duplicates
-      const randomWalletAddress = 'demo_' + Math.random().toString(36).substring(2, 15);
+      return res.status(200).json({ status: 'success', message: 'Logged out successfully' });
+    } catch (error) {
+      console.error('Logout error:', error);
+      return res.status(500).json({ error: 'Failed to log out' });
+    }
+  }
+
+  /**
+   * Attach a wallet to the current account (SIWE message and signature as proof)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async linkWallet(req, res) {
+    try {
+      const user = await accountService.linkWallet(req.user.userId, req.body, req.ip);
       
-      // Make sure the nickname is correctly assigned to username
-      const username = nickname || `DemoUser_${Math.random().toString(36).substring(2, 10)}`;
+      return res.status(200).json({ 
+        status: 'success', 
+        user: {
+          id: user._id,
+          nickname: user.nickname,
+          walletAddress: user.walletAddress,
+          worldIdVerified: Boolean(user.worldIdNullifierHash)
+        }
+      });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('Wallet linking error:', error);
+      return res.status(500).json({ error: 'Failed to link wallet' });
+    }
+  }
+
+  /**
+   * Attach a World ID to the current account
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async linkWorldId(req, res) {
+    try {
+      const user = await accountService.linkWorldId(req.user.userId, req.body);
       
-      // Create a temporary demo user with a unique address
-      const user = new UserModel({
-        nickname: username, // Use the username variable created above
-        walletAddress: randomWalletAddress, // Use a unique address to avoid duplicate errors
-        createdAt: new Date()
+      return res.status(200).json({ 
+        status: 'success', 
+        user: {
+          id: user._id,
+          nickname: user.nickname,
+          walletAddress: user.walletAddress,
+          worldIdVerified: true,
+          verificationLevel: user.verificationLevel
+        }
       });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('World ID linking error:', error);
+      return res.status(401).json({ error: 'World ID linking failed: ' + (error.message || '') });
+    }
+  }
+
+  /**
+   * Publish the public keys that verify access tokens
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getJwks(req, res) {
+    try {
+      res.set('Cache-Control', 'public, max-age=300');
+      return res.status(200).json(keyRing.getJwks());
+    } catch (error) {
+      console.error('JWKS error:', error);
+      return res.status(500).json({ error: 'Failed to get signing keys' });
+    }
+  }
+
+  /**
+   * Create a temporary demo account with a free quota of chats and links
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async demoLogin(req, res) {
+    try {
+      const { nickname } = req.body;
+      console.log('Initiating demo login for:', nickname);
       
-      await user.save();
+      // Demo accounts expire and are cleaned up by demoService.cleanupExpired
+      const user = await demoService.createDemoUser(nickname);
       console.log('Demo user created with ID:', user._id);
       
-      // Create JWT token
-      const token = jwtUtils.createAccessToken({ 
+      // Create JWT access token and refresh token
+      const { token, refreshToken } = await tokenService.issueTokens({ 
         userId: user._id,
-        nickname: username, // Use the username variable created above
-        walletAddress: user.walletAddress,
-        isDemoUser: true
-      });
+        nickname: user.nickname,
+        isDemoUser: true,
+        verificationLevel: user.verificationLevel,
+        roles: user.roles
+      }, sessionInfo(req));
       
-      console.log('Demo login completed for:', username); // Use the username variable created above
+      console.log('Demo login completed for:', user.nickname);
       
       return res.status(200).json({ 
         token, 
+        refreshToken,
         user: {
           id: user._id,
-          nickname: username, // Use the username variable created above
-          isDemoUser: true
+          nickname: user.nickname,
+          isDemoUser: true,
+          demo: user.demo
         }
       });
     } catch (error) {
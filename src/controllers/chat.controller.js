@@ -1,5 +1,9 @@
 const chatService = require('../services/chat.service.js');
 const paymentService = require('../services/payment.service.js');
+const jobService = require('../services/job.service.js');
+const demoService = require('../services/demo.service.js');
+const entitlementService = require('../services/entitlement.service.js');
+const ApiError = require('../utils/api-error.js');
 
 /**
  * Controller for handling chat operations
@@ -15,22 +19,78 @@ class ChatController {
       const userId = req.user.userId;
       const { jobId } = req.body;
       
+      // A chat about a job can only be paid for while the listing is open
+      if (jobId) {
+        await jobService.getPublicJob(jobId);
+      }
+      
+      // Demo accounts use their free quota instead of paying
+      if (req.user.isDemoUser) {
+        const free = await demoService.useQuota(userId, 'CHAT', { jobId });
+        
+        return res.status(200).json({
+          status: 'completed',
+          message: 'Paid with demo quota',
+          reference: free.transaction.reference,
+          transactionId: free.transaction._id,
+          demo: free.demo
+        });
+      }
+      
+      // Priced from the catalog
+      const product = 'CHAT';
+      
+      // Prepaid credits settle the payment right away
+      if (req.body.payWith === 'credits') {
+        const paid = await paymentService.payWithCredits({
+          userId,
+          product,
+          promoCode: req.body.promoCode,
+          metadata: { jobId }
+        });
+        
+        return res.status(200).json({
+          status: 'completed',
+          message: paid.paymentMethod === 'PROMO' ? 'Paid with promo code' : 'Paid with credits',
+          reference: paid.reference,
+          transactionId: paid._id,
+          amount: paid.amount
+        });
+      }
+      
       // First record the transaction
       const transaction = await paymentService.recordTransaction({
         userId,
-        type: 'CHAT',
-        amount: 1, // 1 WLD
+        product,
+        token: req.body.token,
+        promoCode: req.body.promoCode,
         metadata: { jobId }
       });
       
+      // A promo code can make it free
+      if (transaction.status === 'COMPLETED') {
+        return res.status(200).json({
+          status: 'completed',
+          message: 'Paid with promo code',
+          reference: transaction.reference,
+          transactionId: transaction._id,
+          amount: transaction.amount
+        });
+      }
+      
       // Return the transaction reference for payment processing
       return res.status(200).json({
         status: 'pending',
         message: 'Payment required',
         reference: transaction.reference,
-        transactionId: transaction._id
+        transactionId: transaction._id,
+        amount: transaction.amount,
+        token: transaction.token
       });
     } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
       console.error('Error in createChat controller:', error);
       return res.status(500).json({ error: 'Failed to create chat' });
     }
@@ -46,8 +106,17 @@ class ChatController {
       const userId = req.user.userId;
       const { transactionId, jobId } = req.body;
       
-      // Create the chat
-      const chat = await chatService.createChat(userId, transactionId, jobId);
+      // Spend the payment; a chat can only be unlocked once per completed transaction
+      await entitlementService.consume(userId, transactionId, 'CHAT', jobId);
+      
+      // Create the chat, giving the payment back if that fails
+      let chat;
+      try {
+        chat = await chatService.createChat(userId, transactionId, jobId);
+      } catch (error) {
+        await entitlementService.release(transactionId);
+        throw error;
+      }
       
       return res.status(200).json({
         status: 'success',
@@ -56,6 +125,9 @@ class ChatController {
         messages: chat.messages
       });
     } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
       console.error('Error in completeChat controller:', error);
       return res.status(500).json({ error: 'Failed to complete chat creation' });
     }
@@ -71,19 +143,18 @@ class ChatController {
       const { chatId, message } = req.body;
       const userId = req.user.userId;
       
-      // Send message and get response
-      const chat = await chatService.sendMessage(chatId, message);
-      
-      // Verify that this chat belongs to the user
-      if (chat.userId.toString() !== userId) {
-        return res.status(403).json({ error: 'Not authorized to access this chat' });
-      }
+      // Send message and get response; the service checks that the chat is the user's
+      const chat = await chatService.sendMessage(chatId, userId, message);
       
       return res.status(200).json({
         status: 'success',
-        messages: chat.messages
+        messages: chat.messages,
+        refunded: Boolean(chat.refundedAt)
       });
     } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
       console.error('Error in sendMessage controller:', error);
       return res.status(500).json({ error: 'Failed to send message' });
     }
@@ -0,0 +1,112 @@
+const escrowService = require('../services/escrow.service.js');
+const ApiError = require('../utils/api-error.js');
+
+/**
+ * Controller for job escrows
+ */
+class EscrowController {
+  /**
+   * Create an escrow for a job and return the funding call to sign
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createEscrow(req, res) {
+    try {
+      const { jobId, workerId, amount, token, deadline } = req.body;
+
+      const { escrow, call } = await escrowService.createEscrow(req.user.userId, jobId, {
+        workerId,
+        amount,
+        token,
+        deadline
+      });
+
+      return res.status(201).json({ escrow, call });
+    } catch (error) {
+      if (error instanceof ApiError) return error.send(res);
+      console.error('Create escrow error:', error);
+      return res.status(500).json({ error: 'Failed to create escrow' });
+    }
+  }
+
+  /**
+   * Get the escrows the user is a party of
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getEscrows(req, res) {
+    try {
+      const escrows = await escrowService.listForUser(req.user.userId);
+      return res.status(200).json({ escrows });
+    } catch (error) {
+      console.error('Get escrows error:', error);
+      return res.status(500).json({ error: 'Failed to get escrows' });
+    }
+  }
+
+  /**
+   * Get an escrow the user is a party of
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getEscrow(req, res) {
+    try {
+      const escrow = await escrowService.getForParty(req.user.userId, req.params.id);
+      return res.status(200).json({ escrow });
+    } catch (error) {
+      if (error instanceof ApiError) return error.send(res);
+      console.error('Get escrow error:', error);
+      return res.status(500).json({ error: 'Failed to get escrow' });
+    }
+  }
+
+  /**
+   * Prepare a submit, accept, refund or dispute call for the user's wallet
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async prepareAction(req, res) {
+    try {
+      const call = await escrowService.prepareAction(req.user.userId, req.params.id, req.params.action);
+      return res.status(200).json({ call });
+    } catch (error) {
+      if (error instanceof ApiError) return error.send(res);
+      console.error('Escrow action error:', error);
+      return res.status(500).json({ error: 'Failed to prepare escrow action' });
+    }
+  }
+
+  /**
+   * Cancel an escrow that is still awaiting funding
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async cancelEscrow(req, res) {
+    try {
+      const escrow = await escrowService.cancelEscrow(req.user.userId, req.params.id);
+      return res.status(200).json({ escrow });
+    } catch (error) {
+      if (error instanceof ApiError) return error.send(res);
+      console.error('Cancel escrow error:', error);
+      return res.status(500).json({ error: 'Failed to cancel escrow' });
+    }
+  }
+
+  /**
+   * Resolve a disputed escrow as the arbiter
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async resolveDispute(req, res) {
+    try {
+      const result = await escrowService.resolveDispute(req.params.id, req.body.workerAmount);
+      return res.status(202).json(result);
+    } catch (error) {
+      if (error instanceof ApiError) return error.send(res);
+      console.error('Resolve escrow dispute error:', error);
+      return res.status(500).json({ error: 'Failed to resolve dispute' });
+    }
+  }
+}
+
+module.exports = new EscrowController();
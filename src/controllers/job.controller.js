@@ -1,6 +1,25 @@
 const jobService = require('../services/job.service.js');
+const jobPostingService = require('../services/job-posting.service.js');
 const paymentService = require('../services/payment.service.js');
+const demoService = require('../services/demo.service.js');
+const entitlementService = require('../services/entitlement.service.js');
 const UserModel = require('../models/user.model.js');
+const ApiError = require('../utils/api-error.js');
+
+/**
+ * Read the job list filters of a request
+ * @param {Object} query - Express query parameters
+ * @returns {Object} Filter criteria
+ */
+const readFilters = (query) => ({
+  search: query.search,
+  language: query.lang,
+  category: query.category,
+  type: query.type,
+  location: query.location,
+  remote: query.remote,
+  minSalary: query.minSalary
+});
 
 /**
  * Controller for handling job operations
@@ -13,14 +32,7 @@ class JobController {
    */
   async getJobs(req, res) {
     try {
-      const filters = {
-        search: req.query.search,
-        category: req.query.category,
-        type: req.query.type,
-        location: req.query.location,
-        remote: req.query.remote,
-        minSalary: req.query.minSalary
-      };
+      const filters = readFilters(req.query);
       
       const pagination = {
         page: req.query.page || 1,
@@ -36,6 +48,22 @@ class JobController {
     }
   }
 
+  /**
+   * Get filter counts for the job list (same filters as getJobs)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getFacets(req, res) {
+    try {
+      const facets = await jobService.getFacets(readFilters(req.query));
+      
+      return res.status(200).json(facets);
+    } catch (error) {
+      console.error('Error in getFacets controller:', error);
+      return res.status(500).json({ error: 'Failed to get job facets' });
+    }
+  }
+
   /**
    * Get a single job by ID
    * @param {Object} req - Express request object
@@ -45,7 +73,8 @@ class JobController {
     try {
       const { id } = req.params;
       
-      const job = await jobService.getJobById(id);
+      // Owners also see their unpublished listings
+      const job = await jobService.getJobById(id, req.user?.userId);
       
       return res.status(200).json(job);
     } catch (error) {
@@ -54,6 +83,86 @@ class JobController {
     }
   }
 
+  /**
+   * Create a job listing (draft unless status is PUBLISHED)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createJob(req, res) {
+    try {
+      const job = await jobPostingService.createJob(req.user.userId, req.body);
+      
+      return res.status(201).json({ status: 'success', job });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('Error in createJob controller:', error);
+      return res.status(500).json({ error: 'Failed to create job' });
+    }
+  }
+
+  /**
+   * Update, publish or close one of the user's job listings
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateJob(req, res) {
+    try {
+      const job = await jobPostingService.updateJob(req.user.userId, req.params.id, req.body);
+      
+      return res.status(200).json({ status: 'success', job });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('Error in updateJob controller:', error);
+      return res.status(500).json({ error: 'Failed to update job' });
+    }
+  }
+
+  /**
+   * Delete a draft listing or close a published one
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteJob(req, res) {
+    try {
+      const result = await jobPostingService.deleteJob(req.user.userId, req.params.id);
+      
+      return res.status(200).json({ status: 'success', ...result });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('Error in deleteJob controller:', error);
+      return res.status(500).json({ error: 'Failed to delete job' });
+    }
+  }
+
+  /**
+   * Get the user's own job listings, drafts included
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getMyJobs(req, res) {
+    try {
+      const result = await jobPostingService.listOwnJobs(
+        req.user.userId,
+        { status: req.query.status },
+        { page: req.query.page, limit: req.query.limit }
+      );
+      
+      return res.status(200).json(result);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('Error in getMyJobs controller:', error);
+      return res.status(500).json({ error: 'Failed to get jobs' });
+    }
+  }
+
   /**
    * Mark a job as interested or discarded
    * @param {Object} req - Express request object
@@ -72,6 +181,9 @@ class JobController {
         jobStatus: userJob.status
       });
     } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
       console.error('Error in updateJobStatus controller:', error);
       return res.status(400).json({ error: error.message });
     }
@@ -87,22 +199,76 @@ class JobController {
       const { id } = req.params;
       const userId = req.user.userId;
       
+      // Only open listings can be paid for
+      await jobService.getPublicJob(id);
+      
+      // Demo accounts use their free quota instead of paying
+      if (req.user.isDemoUser) {
+        const free = await demoService.useQuota(userId, 'JOB_LINK', { jobId: id });
+        
+        return res.status(200).json({
+          status: 'completed',
+          message: 'Paid with demo quota',
+          reference: free.transaction.reference,
+          transactionId: free.transaction._id,
+          demo: free.demo
+        });
+      }
+      
+      // Priced from the catalog
+      const product = 'JOB_LINK';
+      
+      // Prepaid credits settle the payment right away
+      if (req.body.payWith === 'credits') {
+        const paid = await paymentService.payWithCredits({
+          userId,
+          product,
+          promoCode: req.body.promoCode,
+          metadata: { jobId: id }
+        });
+        
+        return res.status(200).json({
+          status: 'completed',
+          message: paid.paymentMethod === 'PROMO' ? 'Paid with promo code' : 'Paid with credits',
+          reference: paid.reference,
+          transactionId: paid._id,
+          amount: paid.amount
+        });
+      }
+      
       // First record the transaction
       const transaction = await paymentService.recordTransaction({
         userId,
-        type: 'JOB_LINK',
-        amount: 1, // 1 WLD
+        product,
+        token: req.body.token,
+        promoCode: req.body.promoCode,
         metadata: { jobId: id }
       });
       
+      // A promo code can make it free
+      if (transaction.status === 'COMPLETED') {
+        return res.status(200).json({
+          status: 'completed',
+          message: 'Paid with promo code',
+          reference: transaction.reference,
+          transactionId: transaction._id,
+          amount: transaction.amount
+        });
+      }
+      
       // Return the transaction reference for payment processing
       return res.status(200).json({
         status: 'pending',
         message: 'Payment required',
         reference: transaction.reference,
-        transactionId: transaction._id
+        transactionId: transaction._id,
+        amount: transaction.amount,
+        token: transaction.token
       });
     } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
       console.error('Error in generateJobLink controller:', error);
       return res.status(400).json({ error: error.message });
     }
@@ -118,8 +284,17 @@ class JobController {
       const { jobId, transactionId } = req.body;
       const userId = req.user.userId;
       
-      // Generate the link
-      const userJob = await jobService.generateJobLink(userId, jobId, transactionId);
+      // Spend the payment; a link can only be unlocked once per completed transaction
+      await entitlementService.consume(userId, transactionId, 'JOB_LINK', jobId);
+      
+      // Generate the link, giving the payment back if that fails
+      let userJob;
+      try {
+        userJob = await jobService.generateJobLink(userId, jobId, transactionId);
+      } catch (error) {
+        await entitlementService.release(transactionId);
+        throw error;
+      }
       
       // Update user statistics
       await UserModel.findByIdAndUpdate(userId, {
@@ -132,6 +307,9 @@ class JobController {
         link: userJob.generatedLink
       });
     } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
       console.error('Error in completeJobLink controller:', error);
       return res.status(400).json({ error: error.message });
     }
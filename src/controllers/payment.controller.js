@@ -1,4 +1,10 @@
 const paymentService = require('../services/payment.service.js');
+const ledgerService = require('../services/ledger.service.js');
+const pricingService = require('../services/pricing.service.js');
+const webhookService = require('../services/webhook.service.js');
+const refundService = require('../services/refund.service.js');
+const receiptService = require('../services/receipt.service.js');
+const ApiError = require('../utils/api-error.js');
 
 /**
  * Controller for handling payments
@@ -20,7 +26,8 @@ class PaymentController {
   }
 
   /**
-   * Verify payment transaction
+   * Verify payment transaction. The World API result must match the caller's
+   * transaction: reference, token, treasury recipient and at least the price.
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
@@ -32,25 +39,30 @@ class PaymentController {
         return res.status(400).json({ error: 'Transaction ID is required' });
       }
       
-      // Verify the transaction with World ID
-      const paymentVerification = await paymentService.verifyPayment(transaction_id);
+      // Verify the transaction with World ID and match it against ours
+      const result = await paymentService.confirmPayment(reference, transaction_id, {
+        userId: req.user.userId
+      });
       
-      if (paymentVerification.status !== 'success') {
-        return res.status(400).json({ error: 'Payment verification failed' });
+      if (result.status === 'PENDING') {
+        return res.status(202).json({
+          status: 'pending',
+          message: 'Payment is not confirmed on chain yet'
+        });
       }
       
-      // Update transaction status in database
-      await paymentService.updateTransactionStatus(
-        reference,
-        'COMPLETED',
-        transaction_id
-      );
+      if (result.status !== 'COMPLETED') {
+        throw paymentService.settlementError(result.reason);
+      }
       
       return res.status(200).json({ 
         status: 'success', 
         message: 'Payment verified successfully' 
       });
     } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
       console.error('Payment verification error:', error);
       return res.status(500).json({ error: 'Payment verification failed' });
     }
@@ -85,31 +97,173 @@ class PaymentController {
   }
 
   /**
-   * Handle payment callback
+   * Handle the signed payment callback. The transaction is verified with the
+   * World API before it is finalized; rejected callbacks are stored.
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async paymentCallback(req, res) {
     try {
-      const { transaction_id, reference, status } = req.body;
+      webhookService.verifySignature(req.rawBody, req.get(webhookService.SIGNATURE_HEADER));
+      
+      const result = await webhookService.handlePaymentEvent(req.body);
       
-      if (!transaction_id || !reference) {
-        return res.status(400).json({ error: 'Missing required fields' });
+      return res.status(200).json({ message: 'Callback processed successfully', ...result });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        await webhookService.storeRejected(req, error);
+        return error.send(res);
+      }
+      console.error('Payment callback error:', error);
+      return res.status(500).json({ error: 'Failed to process callback' });
+    }
+  }
+
+  /**
+   * Start a deposit that tops up the credit balance once paid
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createDeposit(req, res) {
+    try {
+      const { amount, token } = req.body;
+      
+      const transaction = await paymentService.createDeposit(req.user.userId, amount, token);
+      
+      return res.status(201).json({
+        status: 'pending',
+        message: 'Payment required',
+        reference: transaction.reference,
+        transactionId: transaction._id,
+        amount: transaction.amount,
+        token: transaction.token
+      });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
       }
+      console.error('Deposit creation error:', error);
+      return res.status(500).json({ error: 'Failed to create deposit' });
+    }
+  }
+
+  /**
+   * Get the current user's credit balance
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getBalance(req, res) {
+    try {
+      const { balance } = await ledgerService.getBalance(req.user.userId);
+      
+      return res.status(200).json({ balance, unit: 'CREDITS' });
+    } catch (error) {
+      console.error('Balance error:', error);
+      return res.status(500).json({ error: 'Failed to get balance' });
+    }
+  }
+
+  /**
+   * Get the current user's credit ledger history
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getLedger(req, res) {
+    try {
+      const history = await ledgerService.getHistory(req.user.userId, {
+        page: req.query.page,
+        limit: req.query.limit
+      });
+      
+      return res.status(200).json(history);
+    } catch (error) {
+      console.error('Ledger history error:', error);
+      return res.status(500).json({ error: 'Failed to get ledger history' });
+    }
+  }
+
+  /**
+   * Get the current price catalog
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getPrices(req, res) {
+    try {
+      const prices = await pricingService.listPrices(req.query.category);
       
-      // Update transaction status
-      await paymentService.updateTransactionStatus(
-        reference,
-        status === 'success' ? 'COMPLETED' : 'FAILED',
-        transaction_id
+      return res.status(200).json({ prices });
+    } catch (error) {
+      console.error('Price catalog error:', error);
+      return res.status(500).json({ error: 'Failed to get prices' });
+    }
+  }
+
+  /**
+   * Ask for a refund of a chat or link payment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async requestRefund(req, res) {
+    try {
+      const { transactionId, reason } = req.body;
+      
+      const request = await refundService.requestRefund(req.user.userId, transactionId, reason);
+      
+      return res.status(201).json({
+        status: 'success',
+        message: 'Refund requested, a moderator will review it',
+        request
+      });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('Refund request error:', error);
+      return res.status(500).json({ error: 'Failed to request refund' });
+    }
+  }
+
+  /**
+   * Get the current user's refund requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getRefundRequests(req, res) {
+    try {
+      const result = await refundService.listRequests(
+        { userId: req.user.userId },
+        { page: req.query.page, limit: req.query.limit }
       );
       
-      return res.status(200).json({ message: 'Callback processed successfully' });
+      return res.status(200).json(result);
     } catch (error) {
-      console.error('Payment callback error:', error);
-      return res.status(500).json({ error: 'Failed to process callback' });
+      console.error('Refund requests error:', error);
+      return res.status(500).json({ error: 'Failed to get refund requests' });
+    }
+  }
+
+  /**
+   * Download the PDF receipt of a payment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getReceipt(req, res) {
+    try {
+      const { reference } = req.params;
+      
+      const pdf = await receiptService.renderReceipt(req.user.userId, reference);
+      
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="receipt-${reference}.pdf"`);
+      return res.status(200).send(pdf);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('Receipt error:', error);
+      return res.status(500).json({ error: 'Failed to generate receipt' });
     }
   }
 }
 
-module.exports = new PaymentController();
\ No newline at end of file
+module.exports = new PaymentController();
@@ -1,4 +1,7 @@
 const profileService = require('../services/profile.service.js');
+const referralService = require('../services/referral.service.js');
+const receiptService = require('../services/receipt.service.js');
+const ApiError = require('../utils/api-error.js');
 
 /**
  * Controller for handling user profile operations
@@ -94,6 +97,49 @@ class ProfileController {
       return res.status(500).json({ error: 'Failed to get generated links' });
     }
   }
+
+  /**
+   * Apply the referral code of the user who invited the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async applyReferralCode(req, res) {
+    try {
+      const result = await referralService.applyCode(req.user.userId, req.body.code);
+      
+      return res.status(200).json({ status: 'success', ...result });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('Error in applyReferralCode controller:', error);
+      return res.status(500).json({ error: 'Failed to apply referral code' });
+    }
+  }
+
+  /**
+   * Download the current user's transactions as CSV or PDF
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async exportTransactions(req, res) {
+    try {
+      const format = req.query.format || 'csv';
+      const { from, to } = req.query;
+      
+      const file = await receiptService.exportTransactions(req.user.userId, format, { from, to });
+      
+      res.set('Content-Type', file.contentType);
+      res.set('Content-Disposition', `attachment; filename="transactions.${format}"`);
+      return res.status(200).send(file.content);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return error.send(res);
+      }
+      console.error('Error in exportTransactions controller:', error);
+      return res.status(500).json({ error: 'Failed to export transactions' });
+    }
+  }
 }
 
 module.exports = new ProfileController();
\ No newline at end of file
@@ -1,4 +1,6 @@
 const jwtUtils = require('../utils/jwt.utils.js');
+const tokenService = require('../services/token.service.js');
+const rolesConfig = require('../config/roles.js');
 
 /**
  * Middleware for authentication
@@ -10,7 +12,7 @@ class AuthMiddleware {
    * @param {Object} res - Express response object
    * @param {Function} next - Express next function
    */
-  verifyToken(req, res, next) {
+  async verifyToken(req, res, next) {
     try {
       const authHeader = req.headers.authorization;
       
@@ -27,12 +29,89 @@ class AuthMiddleware {
       const token = parts[1];
       
       const decoded = jwtUtils.verifyToken(token);
-      req.user = decoded;
       
-      next();
+      // Reject tokens whose session was logged out or revoked
+      if (await tokenService.isRevoked(decoded)) {
+        return res.status(401).json({ error: 'Token has been revoked' });
+      }
+      
+      req.user = decoded;
     } catch (error) {
       return res.status(401).json({ error: 'Authentication failed' });
     }
+    
+    next();
+  }
+
+  /**
+   * Check whether a decoded token grants a permission
+   * @param {Object} user - Decoded token (req.user)
+   * @param {string} permission - Permission name, e.g. 'payments:create'
+   * @returns {boolean} Whether the user has the permission
+   */
+  can(user, permission) {
+    const roles = user?.roles || ['user'];
+    
+    return roles.some(role => {
+      const permissions = rolesConfig.PERMISSIONS[role] || [];
+      return permissions.includes('*') || permissions.includes(permission);
+    });
+  }
+
+  /**
+   * Require one of the given roles. Must run after verifyToken.
+   * @param {...string} roles - Accepted roles
+   * @returns {Function} Express middleware
+   */
+  requireRole(...roles) {
+    return (req, res, next) => {
+      const userRoles = req.user?.roles || ['user'];
+      
+      if (!userRoles.some(role => roles.includes(role))) {
+        return res.status(403).json({ error: 'Insufficient role', code: 'FORBIDDEN', requiredRoles: roles });
+      }
+      
+      next();
+    };
+  }
+
+  /**
+   * Require a permission. Must run after verifyToken.
+   * @param {string} permission - Permission name, e.g. 'payments:create'
+   * @returns {Function} Express middleware
+   */
+  requirePermission(permission) {
+    return (req, res, next) => {
+      if (!this.can(req.user, permission)) {
+        return res.status(403).json({ error: 'Insufficient permissions', code: 'FORBIDDEN', requiredPermission: permission });
+      }
+      
+      next();
+    };
+  }
+
+  /**
+   * Attach the user of a valid bearer token if one is sent, without requiring it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async optionalToken(req, res, next) {
+    const authHeader = req.headers.authorization;
+    
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const decoded = jwtUtils.verifyToken(authHeader.substring(7));
+        
+        if (!(await tokenService.isRevoked(decoded))) {
+          req.user = decoded;
+        }
+      } catch (error) {
+        // Invalid tokens are ignored, the request continues anonymously
+      }
+    }
+    
+    next();
   }
 }
 
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const IdempotencyKeyModel = require('../models/idempotency-key.model.js');
+const paymentsConfig = require('../config/payments.js');
+
+// Longest accepted Idempotency-Key header
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Serialize a value with sorted object keys, so equal payloads hash the same
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Middleware for the Idempotency-Key header on payment-creating endpoints
+ */
+class IdempotencyMiddleware {
+  /**
+   * Replay the first response for a repeated Idempotency-Key of the same user.
+   * Requests without the header are handled normally. Must run after authMiddleware.verifyToken.
+   * @returns {Function} Express middleware
+   */
+  idempotent() {
+    return async (req, res, next) => {
+      const key = req.get('Idempotency-Key');
+
+      if (!key) {
+        return next();
+      }
+
+      if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+          error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+          code: 'IDEMPOTENCY_KEY_INVALID'
+        });
+      }
+
+      const userId = req.user.userId;
+      const requestHash = crypto
+        .createHash('sha256')
+        .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body || {})}`)
+        .digest('hex');
+
+      let record;
+      try {
+        record = await IdempotencyKeyModel.create({
+          userId,
+          key,
+          requestHash,
+          expiresAt: new Date(Date.now() + paymentsConfig.IDEMPOTENCY_TTL_MS)
+        });
+      } catch (error) {
+        if (error.code !== 11000) {
+          console.error('Idempotency key error:', error);
+          return res.status(500).json({ error: 'Failed to process request' });
+        }
+
+        const previous = await IdempotencyKeyModel.findOne({ userId, key });
+
+        // Expired between the insert and the lookup: handle it as a new request
+        if (!previous) {
+          return next();
+        }
+
+        if (previous.requestHash !== requestHash) {
+          return res.status(422).json({
+            error: 'Idempotency-Key was already used with a different request',
+            code: 'IDEMPOTENCY_KEY_MISMATCH'
+          });
+        }
+
+        if (!previous.completed) {
+          return res.status(409).json({
+            error: 'A request with this Idempotency-Key is still being processed',
+            code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+          });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(previous.responseStatus).json(previous.responseBody);
+      }
+
+      // Store the first response; server errors are not stored so the request can be retried
+      const json = res.json.bind(res);
+      res.json = body => {
+        const stored = res.statusCode < 500
+          ? IdempotencyKeyModel.updateOne(
+            { _id: record._id },
+            { completed: true, responseStatus: res.statusCode, responseBody: body }
+          )
+          : IdempotencyKeyModel.deleteOne({ _id: record._id });
+
+        stored.catch(error => console.error('Failed to store idempotent response:', error));
+        return json(body);
+      };
+
+      return next();
+    };
+  }
+}
+
+module.exports = new IdempotencyMiddleware();
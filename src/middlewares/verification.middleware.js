@@ -0,0 +1,54 @@
+const UserModel = require('../models/user.model.js');
+const verificationUtils = require('../utils/verification.utils.js');
+
+/**
+ * Middleware for World ID verification policies
+ */
+class VerificationMiddleware {
+  /**
+   * Require a minimum World ID verification level. Must run after authMiddleware.verifyToken.
+   * @param {string} required - Required level ('none', 'device' or 'orb')
+   * @param {Object} options - Policy options
+   * @param {boolean} options.allowDemo - Let demo accounts through, they are limited by their free quota
+   * @returns {Function} Express middleware
+   */
+  requireLevel(required, options = {}) {
+    return async (req, res, next) => {
+      try {
+        if (options.allowDemo && req.user.isDemoUser) {
+          return next();
+        }
+        
+        let level = req.user.verificationLevel;
+        
+        // Tokens issued before levels were put in the claims
+        if (!level) {
+          const user = await UserModel.findById(req.user.userId).select('verificationLevel');
+          level = user?.verificationLevel || 'none';
+        }
+        
+        if (!verificationUtils.satisfies(level, required)) {
+          return res.status(403).json({
+            error: `This action requires World ID verification at level "${required}"`,
+            code: 'VERIFICATION_REQUIRED',
+            requiredLevel: required,
+            currentLevel: level,
+            upgrade: {
+              method: 'POST',
+              endpoint: '/api/auth/link/world-id',
+              verification_level: required,
+              message: `Verify with World ID (${required}) and refresh your token to continue`
+            }
+          });
+        }
+      } catch (error) {
+        console.error('Verification policy error:', error);
+        return res.status(500).json({ error: 'Failed to check verification level' });
+      }
+      
+      next();
+    };
+  }
+}
+
+module.exports = new VerificationMiddleware();
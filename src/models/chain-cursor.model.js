@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Last block whose contract events have been applied, per event stream
+const ChainCursorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lastBlock: {
+    type: Number,
+    required: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('ChainCursor', ChainCursorSchema);
@@ -33,6 +33,11 @@ const ChatSchema = new mongoose.Schema({
     ref: 'Transaction',
     required: true
   },
+  // Set when the payment was refunded; a refunded chat takes no more messages
+  refundedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
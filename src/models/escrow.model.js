@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Contract event applied to an escrow, unique per log so replays are ignored
+const EscrowEventSchema = new mongoose.Schema({
+  name: String,
+  txHash: String,
+  logIndex: Number,
+  blockNumber: Number,
+  appliedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const EscrowSchema = new mongoose.Schema({
+  // bytes32 ID used by the contract: keccak256(abi.encode(employerAddress, ref))
+  escrowId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // bytes32 reference the employer funds the escrow with
+  ref: {
+    type: String,
+    required: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  employerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  workerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  employerAddress: {
+    type: String,
+    required: true
+  },
+  workerAddress: {
+    type: String,
+    required: true
+  },
+  token: {
+    type: String,
+    enum: ['WLD', 'USDC'],
+    required: true
+  },
+  tokenAddress: {
+    type: String,
+    required: true
+  },
+  // Amount in the token's smallest unit, as a decimal string
+  amount: {
+    type: String,
+    required: true
+  },
+  deadline: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['AWAITING_FUNDING', 'CANCELLED', 'FUNDED', 'MILESTONE_SUBMITTED', 'RELEASED', 'REFUNDED', 'DISPUTED', 'RESOLVED'],
+    default: 'AWAITING_FUNDING'
+  },
+  // Split decided by the arbiter, in the token's smallest unit
+  resolution: {
+    workerAmount: String,
+    employerAmount: String
+  },
+  events: [EscrowEventSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+EscrowSchema.index({ employerId: 1, createdAt: -1 });
+EscrowSchema.index({ workerId: 1, createdAt: -1 });
+EscrowSchema.index({ jobId: 1 });
+
+module.exports = mongoose.model('Escrow', EscrowSchema);
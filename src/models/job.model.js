@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const jobsConfig = require('../config/jobs.js');
 
 const JobSchema = new mongoose.Schema({
   title: {
@@ -32,7 +33,7 @@ const JobSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['FULL_TIME', 'PART_TIME', 'CONTRACT', 'FREELANCE', 'INTERNSHIP'],
+    enum: jobsConfig.TYPES,
     default: 'FULL_TIME'
   },
   category: {
@@ -51,11 +52,62 @@ const JobSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Employer who posted the listing (imported jobs have none)
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // DRAFT -> PUBLISHED -> CLOSED or EXPIRED (see job-posting.service.js)
+  status: {
+    type: String,
+    enum: jobsConfig.STATUSES,
+    default: 'DRAFT'
+  },
+  publishedAt: Date,
+  expiresAt: Date,
+  closedAt: Date,
   applicationUrl: String,
-  contactEmail: String
+  contactEmail: String,
+  // Language of the listing, used to stem it in the text index
+  language: {
+    type: String,
+    enum: jobsConfig.LANGUAGES,
+    default: 'es'
+  },
+  // Feed the job was imported from and its stable ID there (see job-import.service.js)
+  source: String,
+  externalId: String
 });
 
-// Índice para búsqueda por texto
-JobSchema.index({ title: 'text', description: 'text', company: 'text', location: 'text' });
+// An external ID identifies a job within its source across imports
+JobSchema.index(
+  { source: 1, externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $exists: true } } }
+);
+
+JobSchema.index({ ownerId: 1, status: 1 });
+JobSchema.index({ status: 1, expiresAt: 1 });
+
+// Índice para búsqueda por texto. Text search ignores accents; each job is stemmed in
+// its own language. Existing databases keep an older text index until
+// `npm run import-jobs -- --sync-indexes` replaces it (one text index per collection).
+JobSchema.index(
+  { title: 'text', company: 'text', category: 'text', location: 'text', requirements: 'text', description: 'text' },
+  {
+    name: 'job_text_search',
+    weights: { title: 10, company: 5, category: 5, location: 3, requirements: 2, description: 1 },
+    default_language: 'es',
+    language_override: 'language'
+  }
+);
+
+const JobModel = mongoose.model('Job', JobSchema);
+
+// An outdated text index makes building the new one fail; say how to fix it
+JobModel.on('index', error => {
+  if (error) {
+    console.error('Job indexes are out of date, run: npm run import-jobs -- --sync-indexes', error.message);
+  }
+});
 
-module.exports = mongoose.model('Job', JobSchema);
\ No newline at end of file
+module.exports = JobModel;
\ No newline at end of file
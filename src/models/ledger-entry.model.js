@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One side of a double-entry posting. All entries of a journal sum to zero.
+// Accounts are 'user:<userId>' for credit balances and 'platform:<name>' for the platform side.
+const LedgerEntrySchema = new mongoose.Schema({
+  journalId: {
+    type: String,
+    required: true
+  },
+  account: {
+    type: String,
+    required: true
+  },
+  // Set on user accounts only
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Signed amount in credits; positive increases the account balance
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Position of the entry in a user account; unique so concurrent spends cannot both succeed
+  sequence: Number,
+  type: {
+    type: String,
+    enum: ['DEPOSIT', 'SPEND', 'REFUND', 'REFERRAL', 'TRANSFER'],
+    required: true
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  description: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A journal touches each account once, which also makes postings idempotent
+LedgerEntrySchema.index({ journalId: 1, account: 1 }, { unique: true });
+LedgerEntrySchema.index(
+  { account: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+LedgerEntrySchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LedgerEntry', LedgerEntrySchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const NonceSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Client (IP address) the nonce was issued to
+  clientKey: {
+    type: String,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// MongoDB removes nonces once they expire
+NonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Nonce', NonceSchema);
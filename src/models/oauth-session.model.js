@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Server-side state of one OAuth login: state/PKCE while the user is at World ID,
+// then the one-time code the frontend exchanges for tokens
+const OAuthSessionSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  redirectTo: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the cookie set on the browser that started the login
+  bindingHash: {
+    type: String,
+    required: true
+  },
+  stateUsedAt: {
+    type: Date,
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // SHA-256 of the one-time code handed to the frontend
+  handoffCodeHash: {
+    type: String,
+    sparse: true,
+    unique: true
+  },
+  handoffUsedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+OAuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OAuthSession', OAuthSessionSchema);
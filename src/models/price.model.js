@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const PriceSchema = new mongoose.Schema({
+  product: {
+    type: String,
+    enum: ['CHAT', 'JOB_LINK'],
+    required: true
+  },
+  token: {
+    type: String,
+    enum: ['WLD', 'USDC'],
+    required: true
+  },
+  // Job category the price applies to; null applies to every category
+  category: {
+    type: String,
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  label: String,
+  // Promotional prices are time-limited and win over regular prices
+  promotional: {
+    type: Boolean,
+    default: false
+  },
+  validFrom: Date,
+  validUntil: Date,
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PriceSchema.index({ product: 1, token: 1, category: 1, active: 1 });
+
+module.exports = mongoose.model('Price', PriceSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const PromoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  discountType: {
+    type: String,
+    enum: ['PERCENT', 'FIXED'],
+    required: true
+  },
+  // Percentage (0-100) or fixed amount taken off the price
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Products the code applies to; empty means every product
+  products: [{
+    type: String,
+    enum: ['CHAT', 'JOB_LINK']
+  }],
+  // Total redemptions allowed (null = unlimited) and redemptions so far
+  maxUses: {
+    type: Number,
+    default: null
+  },
+  usesCount: {
+    type: Number,
+    default: 0
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('PromoCode', PromoCodeSchema);
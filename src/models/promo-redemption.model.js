@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One use of a promo code, kept to enforce per-user limits
+const PromoRedemptionSchema = new mongoose.Schema({
+  codeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true,
+    unique: true
+  },
+  // Which of the user's allowed uses of the code this is (0 to perUserLimit - 1)
+  slot: Number,
+  discount: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PromoRedemptionSchema.index({ codeId: 1, userId: 1 });
+// A slot is used once, so parallel redemptions cannot go over the per-user limit
+PromoRedemptionSchema.index(
+  { codeId: 1, userId: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+
+module.exports = mongoose.model('PromoRedemption', PromoRedemptionSchema);
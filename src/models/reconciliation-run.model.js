@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A state change made by a reconciliation run
+const ChangeSchema = new mongoose.Schema({
+  transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+  reference: String,
+  from: String,
+  to: String,
+  reason: String
+}, { _id: false });
+
+const ReconciliationRunSchema = new mongoose.Schema({
+  runId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Host and process that executed the run
+  instanceId: String,
+  checked: {
+    type: Number,
+    default: 0
+  },
+  changes: [ChangeSchema],
+  // Transactions that could not be checked
+  failures: [{
+    _id: false,
+    transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+    reference: String,
+    message: String
+  }],
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: Date
+});
+
+ReconciliationRunSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model('ReconciliationRun', ReconciliationRunSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const RefundRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'DENIED'],
+    default: 'PENDING'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewNote: String,
+  reviewedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// At most one open request per transaction
+RefundRequestSchema.index(
+  { transactionId: 1 },
+  { unique: true, partialFilterExpression: { status: 'PENDING' } }
+);
+RefundRequestSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('RefundRequest', RefundRequestSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Payment callbacks that were rejected, kept for inspection
+const RejectedWebhookSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true
+  },
+  message: String,
+  eventId: String,
+  headers: Object,
+  // Body exactly as received, as the signature covers the raw bytes
+  rawBody: String,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RejectedWebhookSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('RejectedWebhook', RejectedWebhookSchema);
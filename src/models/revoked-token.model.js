@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Denylist of access tokens (by jti) and whole sessions (by token family)
+const RevokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    sparse: true,
+    index: true
+  },
+  familyId: {
+    type: String,
+    sparse: true,
+    index: true
+  },
+  reason: String,
+  // Entries only need to outlive the tokens they block
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RevokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', RevokedTokenSchema);
@@ -17,7 +17,7 @@ const TransactionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['PENDING', 'COMPLETED', 'FAILED'],
+    enum: ['PENDING', 'COMPLETED', 'FAILED', 'REFUNDED'],
     default: 'PENDING'
   },
   reference: {
@@ -26,6 +26,64 @@ const TransactionSchema = new mongoose.Schema({
     unique: true
   },
   worldIdTransactionId: String,
+  // How the transaction is paid: on-chain through MiniKit, from the credit balance, from a demo quota,
+  // or not at all because a promo code made it free
+  paymentMethod: {
+    type: String,
+    enum: ['MINIKIT', 'CREDITS', 'DEMO', 'PROMO'],
+    default: 'MINIKIT'
+  },
+  token: {
+    type: String,
+    enum: ['WLD', 'USDC'],
+    default: 'WLD'
+  },
+  // Catalog price the transaction was charged, as it was at the time
+  priceSnapshot: {
+    priceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Price' },
+    product: String,
+    token: String,
+    category: String,
+    amount: Number,
+    promotional: Boolean,
+    label: String
+  },
+  // Promo code applied to the price
+  promo: {
+    codeId: { type: mongoose.Schema.Types.ObjectId, ref: 'PromoCode' },
+    code: String,
+    discount: Number
+  },
+  // Set once the paid chat or job link has been unlocked with this transaction
+  consumedAt: {
+    type: Date,
+    default: null
+  },
+  // Set once a completed deposit is on the credit balance; the reconciler posts the ones that are not
+  creditedAt: {
+    type: Date,
+    default: null
+  },
+  // Why a transaction ended up FAILED (e.g. EXPIRED when it was never paid)
+  failureReason: {
+    type: String,
+    default: null
+  },
+  // Set when a completed transaction is refunded to the credit balance
+  refund: {
+    credits: Number,
+    reason: String,
+    refundedAt: Date
+  },
+  // Reconciliation run currently checking the transaction, so instances do not overlap
+  reconcileLock: {
+    runId: String,
+    until: Date
+  },
+  lastCheckedAt: {
+    type: Date,
+    default: null
+  },
   metadata: {
     jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
     chatId: { type: mongoose.Schema.Types.ObjectId, ref: 'Chat' }
@@ -34,4 +92,6 @@ const TransactionSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now }
 });
 
+TransactionSchema.index({ status: 1, lastCheckedAt: 1 });
+
 module.exports = mongoose.model('Transaction', TransactionSchema);
\ No newline at end of file
@@ -1,11 +1,19 @@
 const mongoose = require('mongoose');
 
 const UserSchema = new mongoose.Schema({
+  // A World ID nullifier hash and a wallet can only belong to one user
   worldIdNullifierHash: { 
     type: String, 
     sparse: true,
-    index: true
+    unique: true
   },
+  // Highest World ID verification level the user has proven
+  verificationLevel: {
+    type: String,
+    enum: ['none', 'device', 'document', 'secure_document', 'orb'],
+    default: 'none'
+  },
+  verifiedAt: Date,
   nickname: {
     type: String,
     default: function() {
@@ -15,7 +23,7 @@ const UserSchema = new mongoose.Schema({
   walletAddress: { 
     type: String, 
     sparse: true,
-    index: true
+    unique: true
   },
   profilePicture: String,
   contactInfo: {
@@ -47,8 +55,46 @@ const UserSchema = new mongoose.Schema({
     rating: { type: Number, default: 0 },
     reviewCount: { type: Number, default: 0 }
   },
+  // Roles grant permissions, see config/roles.js
+  roles: {
+    type: [{
+      type: String,
+      enum: ['user', 'employer', 'moderator', 'admin']
+    }],
+    default: ['user']
+  },
+  // Demo accounts expire and get a fixed number of free actions
+  isDemo: {
+    type: Boolean,
+    default: false
+  },
+  demo: {
+    expiresAt: Date,
+    chatsRemaining: Number,
+    linksRemaining: Number
+  },
+  // Referral program: own code, who referred this user, and when the referrer was rewarded
+  referralCode: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  referredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  referralRewardedAt: Date,
+  // Set when this account was merged into another one
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  mergedAt: Date,
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+UserSchema.index({ isDemo: 1, 'demo.expiresAt': 1 });
+UserSchema.index({ referredBy: 1 });
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Payment callback events that were accepted, keyed by the sender's event ID
+const WebhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  reference: String,
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  // Status the transaction was left in after processing the event
+  outcome: {
+    type: String,
+    enum: ['PROCESSING', 'PENDING', 'COMPLETED', 'FAILED', 'REJECTED'],
+    default: 'PROCESSING'
+  },
+  reason: String,
+  processedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('WebhookEvent', WebhookEventSchema);
@@ -0,0 +1,113 @@
+const express = require('express');
+const adminController = require('../controllers/admin.controller.js');
+const authMiddleware = require('../middlewares/auth.middleware.js');
+const jobFeedsConfig = require('../config/job-feeds.js');
+const router = express.Router();
+
+// Every admin route needs an authenticated user
+router.use(authMiddleware.verifyToken);
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List users
+ * @access  Private (users:read)
+ */
+router.get('/users', authMiddleware.requirePermission('users:read'), adminController.listUsers);
+
+/**
+ * @route   PUT /api/admin/users/:id/roles
+ * @desc    Replace a user's roles
+ * @access  Private (users:manage)
+ */
+router.put('/users/:id/roles', authMiddleware.requirePermission('users:manage'), adminController.setUserRoles);
+
+/**
+ * @route   POST /api/admin/prices
+ * @desc    Add a price to the catalog
+ * @access  Private (prices:manage)
+ */
+router.post('/prices', authMiddleware.requirePermission('prices:manage'), adminController.createPrice);
+
+/**
+ * @route   PUT /api/admin/prices/:id
+ * @desc    Update or withdraw a catalog price
+ * @access  Private (prices:manage)
+ */
+router.put('/prices/:id', authMiddleware.requirePermission('prices:manage'), adminController.updatePrice);
+
+/**
+ * @route   GET /api/admin/reconciliation-runs
+ * @desc    List reports of recent payment reconciliation runs
+ * @access  Private (ops:read)
+ */
+router.get('/reconciliation-runs', authMiddleware.requirePermission('ops:read'), adminController.listReconciliationRuns);
+
+/**
+ * @route   GET /api/admin/rejected-webhooks
+ * @desc    List rejected payment callbacks
+ * @access  Private (ops:read)
+ */
+router.get('/rejected-webhooks', authMiddleware.requirePermission('ops:read'), adminController.listRejectedWebhooks);
+
+/**
+ * @route   GET /api/admin/refunds
+ * @desc    List refund requests (?status=PENDING|APPROVED|DENIED, default PENDING)
+ * @access  Private (refunds:review)
+ */
+router.get('/refunds', authMiddleware.requirePermission('refunds:review'), adminController.listRefundRequests);
+
+/**
+ * @route   POST /api/admin/refunds/:id/approve
+ * @desc    Approve a refund request
+ * @access  Private (refunds:review)
+ */
+router.post('/refunds/:id/approve', authMiddleware.requirePermission('refunds:review'), adminController.approveRefund);
+
+/**
+ * @route   POST /api/admin/refunds/:id/deny
+ * @desc    Deny a refund request
+ * @access  Private (refunds:review)
+ */
+router.post('/refunds/:id/deny', authMiddleware.requirePermission('refunds:review'), adminController.denyRefund);
+
+/**
+ * @route   GET /api/admin/promo-codes
+ * @desc    List promo codes
+ * @access  Private (promos:manage)
+ */
+router.get('/promo-codes', authMiddleware.requirePermission('promos:manage'), adminController.listPromoCodes);
+
+/**
+ * @route   POST /api/admin/promo-codes
+ * @desc    Create a promo code
+ * @access  Private (promos:manage)
+ */
+router.post('/promo-codes', authMiddleware.requirePermission('promos:manage'), adminController.createPromoCode);
+
+/**
+ * @route   PUT /api/admin/promo-codes/:id
+ * @desc    Update or disable a promo code
+ * @access  Private (promos:manage)
+ */
+router.put('/promo-codes/:id', authMiddleware.requirePermission('promos:manage'), adminController.updatePromoCode);
+
+/**
+ * @route   POST /api/admin/jobs/seed
+ * @desc    Import data/jobs.json: add, update and deactivate seed jobs ({ dryRun: true } for the diff only)
+ * @access  Private (jobs:import)
+ */
+router.post('/jobs/seed', authMiddleware.requirePermission('jobs:import'), adminController.importSeedJobs);
+
+/**
+ * @route   POST /api/admin/jobs/import?source=&format=&dryRun=
+ * @desc    Import a CSV, JSON Lines, XML or JSON job feed sent as the body; reports failed rows
+ * @access  Private (jobs:import)
+ */
+router.post(
+  '/jobs/import',
+  authMiddleware.requirePermission('jobs:import'),
+  express.text({ type: () => true, limit: jobFeedsConfig.MAX_FEED_SIZE }),
+  adminController.importJobFeed
+);
+
+module.exports = router;
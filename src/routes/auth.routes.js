@@ -1,5 +1,6 @@
 const express = require('express');
 const authController = require('../controllers/auth.controller.js');
+const authMiddleware = require('../middlewares/auth.middleware.js');
 const router = express.Router();
 
 /**
@@ -9,12 +10,31 @@ const router = express.Router();
  */
 router.get('/nonce', authController.getNonce);
 
+/**
+ * @route   GET /api/auth/nonce/stats
+ * @desc    Get the number of outstanding nonces
+ * @access  Private (ops:read)
+ */
+router.get(
+  '/nonce/stats',
+  authMiddleware.verifyToken,
+  authMiddleware.requirePermission('ops:read'),
+  authController.getNonceStats
+);
+
 /**
  * @route   POST /api/auth/verify
- * @desc    Verify World ID proof
+ * @desc    Verify World ID proof (upgrades the demo account of a sent demo token)
+ * @access  Public
+ */
+router.post('/verify', authMiddleware.optionalToken, authController.verifyWorldId);
+
+/**
+ * @route   GET /api/auth/oauth/start
+ * @desc    Start the World ID OAuth flow (state + PKCE, bound to the browser by a cookie)
  * @access  Public
  */
-router.post('/verify', authController.verifyWorldId);
+router.get('/oauth/start', authController.oauthStart);
 
 /**
  * @route   GET /api/auth/callback
@@ -23,12 +43,54 @@ router.post('/verify', authController.verifyWorldId);
  */
 router.get('/callback', authController.oauthCallback);
 
+/**
+ * @route   POST /api/auth/oauth/exchange
+ * @desc    Exchange the one-time code from the callback for tokens
+ * @access  Public
+ */
+router.post('/oauth/exchange', authController.oauthExchange);
+
 /**
  * @route   POST /api/auth/login
- * @desc    Complete authentication with wallet
+ * @desc    Complete authentication with a signed SIWE (EIP-4361) message
+ *          (upgrades the demo account of a sent demo token)
+ * @access  Public
+ */
+router.post('/login', authMiddleware.optionalToken, authController.walletAuth);
+
+/**
+ * @route   POST /api/auth/demo-login
+ * @desc    Create a temporary demo account with a free quota
  * @access  Public
  */
-router.post('/login', authController.walletAuth);
 router.post('/demo-login', authController.demoLogin);
 
+/**
+ * @route   POST /api/auth/link/wallet
+ * @desc    Attach a wallet to the current account
+ * @access  Private
+ */
+router.post('/link/wallet', authMiddleware.verifyToken, authController.linkWallet);
+
+/**
+ * @route   POST /api/auth/link/world-id
+ * @desc    Attach a World ID to the current account
+ * @access  Private
+ */
+router.post('/link/world-id', authMiddleware.verifyToken, authController.linkWorldId);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Rotate a refresh token and get a new access token
+ * @access  Public
+ */
+router.post('/refresh', authController.refresh);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke the current session
+ * @access  Private
+ */
+router.post('/logout', authMiddleware.verifyToken, authController.logout);
+
 module.exports = router;
\ No newline at end of file
@@ -1,14 +1,23 @@
 const express = require('express');
 const chatController = require('../controllers/chat.controller.js');
 const authMiddleware = require('../middlewares/auth.middleware.js');
+const idempotencyMiddleware = require('../middlewares/idempotency.middleware.js');
+const verificationMiddleware = require('../middlewares/verification.middleware.js');
+const authConfig = require('../config/auth.js');
 const router = express.Router();
 
 /**
  * @route   POST /api/chat/create
- * @desc    Start process to create a new chat
+ * @desc    Start process to create a new chat (supports Idempotency-Key)
  * @access  Private
  */
-router.post('/create', authMiddleware.verifyToken, chatController.createChat);
+router.post(
+  '/create',
+  authMiddleware.verifyToken,
+  verificationMiddleware.requireLevel(authConfig.VERIFICATION_POLICIES.createChat, { allowDemo: true }),
+  idempotencyMiddleware.idempotent(),
+  chatController.createChat
+);
 
 /**
  * @route   POST /api/chat/complete
@@ -0,0 +1,50 @@
+const express = require('express');
+const escrowController = require('../controllers/escrow.controller.js');
+const authMiddleware = require('../middlewares/auth.middleware.js');
+const router = express.Router();
+
+router.use(authMiddleware.verifyToken);
+
+/**
+ * @route   POST /api/escrows
+ * @desc    Create an escrow for a FREELANCE or CONTRACT job and get the funding call
+ * @access  Private (jobs:write)
+ */
+router.post('/', authMiddleware.requirePermission('jobs:write'), escrowController.createEscrow);
+
+/**
+ * @route   GET /api/escrows
+ * @desc    Get the escrows the user is employer or worker of
+ * @access  Private
+ */
+router.get('/', escrowController.getEscrows);
+
+/**
+ * @route   GET /api/escrows/:id
+ * @desc    Get an escrow
+ * @access  Private
+ */
+router.get('/:id', escrowController.getEscrow);
+
+/**
+ * @route   POST /api/escrows/:id/actions/:action
+ * @desc    Get the contract call to submit, accept, refund or dispute an escrow
+ * @access  Private
+ */
+router.post('/:id/actions/:action', escrowController.prepareAction);
+
+/**
+ * @route   POST /api/escrows/:id/cancel
+ * @desc    Cancel an escrow that was never funded
+ * @access  Private
+ */
+router.post('/:id/cancel', escrowController.cancelEscrow);
+
+/**
+ * @route   POST /api/escrows/:id/resolve
+ * @desc    Split a disputed escrow between worker and employer
+ * @access  Private (escrow:arbitrate)
+ */
+router.post('/:id/resolve', authMiddleware.requirePermission('escrow:arbitrate'), escrowController.resolveDispute);
+
+module.exports = router;
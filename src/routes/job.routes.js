@@ -1,18 +1,29 @@
 const express = require('express');
 const jobController = require('../controllers/job.controller.js');
 const authMiddleware = require('../middlewares/auth.middleware.js');
+const idempotencyMiddleware = require('../middlewares/idempotency.middleware.js');
+const verificationMiddleware = require('../middlewares/verification.middleware.js');
+const authConfig = require('../config/auth.js');
 const router = express.Router();
 
 /**
  * @route   GET /api/jobs
- * @desc    Get jobs with filtering and pagination
+ * @desc    Get jobs with filtering and pagination (?search= ranks by relevance, ?lang=es|en,
+ *          ?category= takes a name or slug)
  * @access  Public
  */
 router.get('/', jobController.getJobs);
 
+/**
+ * @route   GET /api/jobs/facets
+ * @desc    Count jobs per category, type, remote flag, location and salary bucket for the GET /api/jobs filters
+ * @access  Public
+ */
+router.get('/facets', jobController.getFacets);
+
 /**
  * @route   GET /api/jobs/categories
- * @desc    Get job categories
+ * @desc    Get job categories with their slug and number of jobs
  * @access  Public
  */
 router.get('/categories', jobController.getCategories);
@@ -24,12 +35,52 @@ router.get('/categories', jobController.getCategories);
  */
 router.get('/user', authMiddleware.verifyToken, jobController.getUserJobs);
 
+/**
+ * @route   GET /api/jobs/mine
+ * @desc    Get the user's own job listings, drafts included (?status=)
+ * @access  Private (jobs:write)
+ */
+router.get('/mine', authMiddleware.verifyToken, authMiddleware.requirePermission('jobs:write'), jobController.getMyJobs);
+
+/**
+ * @route   POST /api/jobs
+ * @desc    Create a job listing (draft unless status is PUBLISHED)
+ * @access  Private (jobs:write)
+ */
+router.post(
+  '/',
+  authMiddleware.verifyToken,
+  authMiddleware.requirePermission('jobs:write'),
+  verificationMiddleware.requireLevel(authConfig.VERIFICATION_POLICIES.postJob),
+  jobController.createJob
+);
+
 /**
  * @route   GET /api/jobs/:id
- * @desc    Get a job by ID
+ * @desc    Get a published job by ID, or one of the user's own listings
  * @access  Public
  */
-router.get('/:id', jobController.getJobById);
+router.get('/:id', authMiddleware.optionalToken, jobController.getJobById);
+
+/**
+ * @route   PUT /api/jobs/:id
+ * @desc    Update one of the user's listings; status PUBLISHED publishes a draft, CLOSED closes it
+ * @access  Private (jobs:write)
+ */
+router.put(
+  '/:id',
+  authMiddleware.verifyToken,
+  authMiddleware.requirePermission('jobs:write'),
+  verificationMiddleware.requireLevel(authConfig.VERIFICATION_POLICIES.postJob),
+  jobController.updateJob
+);
+
+/**
+ * @route   DELETE /api/jobs/:id
+ * @desc    Delete a draft listing, or close a published one
+ * @access  Private (jobs:write)
+ */
+router.delete('/:id', authMiddleware.verifyToken, authMiddleware.requirePermission('jobs:write'), jobController.deleteJob);
 
 /**
  * @route   POST /api/jobs/:id/status
@@ -40,10 +91,16 @@ router.post('/:id/status', authMiddleware.verifyToken, jobController.updateJobSt
 
 /**
  * @route   POST /api/jobs/:id/link
- * @desc    Start process to generate job application link
+ * @desc    Start process to generate job application link (supports Idempotency-Key)
  * @access  Private
  */
-router.post('/:id/link', authMiddleware.verifyToken, jobController.generateJobLink);
+router.post(
+  '/:id/link',
+  authMiddleware.verifyToken,
+  verificationMiddleware.requireLevel(authConfig.VERIFICATION_POLICIES.generateJobLink, { allowDemo: true }),
+  idempotencyMiddleware.idempotent(),
+  jobController.generateJobLink
+);
 
 /**
  * @route   POST /api/jobs/complete-link
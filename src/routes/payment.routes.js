@@ -1,6 +1,7 @@
 const express = require('express');
 const paymentController = require('../controllers/payment.controller.js');
 const authMiddleware = require('../middlewares/auth.middleware.js');
+const idempotencyMiddleware = require('../middlewares/idempotency.middleware.js');
 const router = express.Router();
 
 /**
@@ -11,24 +12,79 @@ const router = express.Router();
 router.get('/uuid', paymentController.generateUuid);
 
 /**
- * @route   POST /api/payments/verify
- * @desc    Verify a payment transaction
+ * @route   GET /api/payments/prices
+ * @desc    Get the current price catalog (optional ?category=)
  * @access  Public
  */
-router.post('/verify', paymentController.verifyPayment);
+router.get('/prices', paymentController.getPrices);
 
 /**
- * @route   POST /api/payments/create
- * @desc    Create a payment record
+ * @route   POST /api/payments/verify
+ * @desc    Verify a payment transaction of the current user
  * @access  Private
  */
-router.post('/create', authMiddleware.verifyToken, paymentController.createPayment);
+router.post('/verify', authMiddleware.verifyToken, paymentController.verifyPayment);
+
+/**
+ * @route   POST /api/payments/create
+ * @desc    Create a payment record for any user (supports Idempotency-Key)
+ * @access  Private (payments:create)
+ */
+router.post(
+  '/create',
+  authMiddleware.verifyToken,
+  authMiddleware.requirePermission('payments:create'),
+  idempotencyMiddleware.idempotent(),
+  paymentController.createPayment
+);
 
 /**
  * @route   POST /api/payments/callback
- * @desc    Handle payment callback from World ID
- * @access  Public
+ * @desc    Handle signed payment callback (X-Webhook-Signature: t=<unix seconds>,v1=<HMAC-SHA256 hex>)
+ * @access  Public (HMAC signed)
  */
 router.post('/callback', paymentController.paymentCallback);
 
+/**
+ * @route   POST /api/payments/deposit
+ * @desc    Start a WLD/USDC deposit into the credit balance (supports Idempotency-Key)
+ * @access  Private
+ */
+router.post('/deposit', authMiddleware.verifyToken, idempotencyMiddleware.idempotent(), paymentController.createDeposit);
+
+/**
+ * @route   GET /api/payments/balance
+ * @desc    Get the credit balance
+ * @access  Private
+ */
+router.get('/balance', authMiddleware.verifyToken, paymentController.getBalance);
+
+/**
+ * @route   GET /api/payments/ledger
+ * @desc    Get the credit ledger history
+ * @access  Private
+ */
+router.get('/ledger', authMiddleware.verifyToken, paymentController.getLedger);
+
+/**
+ * @route   POST /api/payments/refunds
+ * @desc    Ask for a refund of a chat or link payment
+ * @access  Private
+ */
+router.post('/refunds', authMiddleware.verifyToken, paymentController.requestRefund);
+
+/**
+ * @route   GET /api/payments/refunds
+ * @desc    Get the current user's refund requests
+ * @access  Private
+ */
+router.get('/refunds', authMiddleware.verifyToken, paymentController.getRefundRequests);
+
+/**
+ * @route   GET /api/payments/:reference/receipt
+ * @desc    Download the PDF receipt of a payment
+ * @access  Private
+ */
+router.get('/:reference/receipt', authMiddleware.verifyToken, paymentController.getReceipt);
+
 module.exports = router;
\ No newline at end of file
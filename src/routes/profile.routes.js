@@ -31,6 +31,13 @@ router.get('/statistics', authMiddleware.verifyToken, profileController.getStati
  */
 router.get('/transactions', authMiddleware.verifyToken, profileController.getTransactionHistory);
 
+/**
+ * @route   GET /api/profile/transactions/export
+ * @desc    Download transactions (?format=csv|pdf&from=&to=)
+ * @access  Private
+ */
+router.get('/transactions/export', authMiddleware.verifyToken, profileController.exportTransactions);
+
 /**
  * @route   GET /api/profile/links
  * @desc    Get generated links
@@ -38,4 +45,11 @@ router.get('/transactions', authMiddleware.verifyToken, profileController.getTra
  */
 router.get('/links', authMiddleware.verifyToken, profileController.getGeneratedLinks);
 
+/**
+ * @route   POST /api/profile/referral
+ * @desc    Apply the referral code of the user who invited you
+ * @access  Private
+ */
+router.post('/referral', authMiddleware.verifyToken, profileController.applyReferralCode);
+
 module.exports = router;
\ No newline at end of file
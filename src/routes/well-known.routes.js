@@ -0,0 +1,12 @@
+const express = require('express');
+const authController = require('../controllers/auth.controller.js');
+const router = express.Router();
+
+/**
+ * @route   GET /.well-known/jwks.json
+ * @desc    Get the public keys that verify DoUp access tokens
+ * @access  Public
+ */
+router.get('/jwks.json', authController.getJwks);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const hre = require('hardhat');
+const paymentsConfig = require('../config/payments.js');
+
+// Usage: npm run escrow:deploy [-- --network <name>]
+// Deploys JobEscrow with the arbiter of ESCROW_ARBITER_PRIVATE_KEY (or the first account).
+// On a local Hardhat/Anvil node mock WLD and USDC tokens are deployed as well, and the
+// printed variables point the API at them.
+(async () => {
+  try {
+    const { ethers } = hre;
+    const [deployer] = await ethers.getSigners();
+    const { chainId } = await ethers.provider.getNetwork();
+
+    const arbiter = process.env.ESCROW_ARBITER_PRIVATE_KEY
+      ? new ethers.Wallet(process.env.ESCROW_ARBITER_PRIVATE_KEY).address
+      : deployer.address;
+
+    const escrow = await ethers.deployContract('JobEscrow', [arbiter]);
+    await escrow.waitForDeployment();
+    const deployment = await escrow.deploymentTransaction().wait();
+
+    const env = {
+      ESCROW_RPC_URL: hre.network.config.url || 'http://127.0.0.1:8545',
+      ESCROW_CHAIN_ID: chainId.toString(),
+      ESCROW_CONTRACT_ADDRESS: await escrow.getAddress(),
+      ESCROW_START_BLOCK: deployment.blockNumber
+    };
+
+    if (chainId === 31337n) {
+      for (const [token, variable] of [['WLD', 'WLD_TOKEN_ADDRESS'], ['USDC', 'USDC_TOKEN_ADDRESS']]) {
+        const mock = await ethers.deployContract('MockERC20', [`Mock ${token}`, token, paymentsConfig.TOKEN_DECIMALS[token]]);
+        await mock.waitForDeployment();
+        env[variable] = await mock.getAddress();
+      }
+      // Local nodes only mine a block per transaction: apply events without waiting
+      env.ESCROW_CONFIRMATIONS = 0;
+    }
+
+    console.log(`JobEscrow deployed by ${deployer.address}, arbiter ${arbiter}`);
+    Object.entries(env).forEach(([name, value]) => console.log(`${name}=${value}`));
+  } catch (error) {
+    console.error('Failed to deploy escrow:', error.message);
+    process.exitCode = 1;
+  }
+})();
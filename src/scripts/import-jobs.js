@@ -0,0 +1,73 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const jobImportService = require('../services/job-import.service.js');
+const jobFeedService = require('../services/job-feed.service.js');
+
+// Usage: npm run import-jobs -- [file --source=name [--format=json|jsonl|csv|xml]] [--dry-run] [--sync-indexes]
+// Without a file the bundled data/jobs.json is imported as source "seed".
+// --sync-indexes first rebuilds outdated job indexes, e.g. the text index of existing databases.
+(async () => {
+  const args = process.argv.slice(2);
+  const option = name => args.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const file = args.find(arg => !arg.startsWith('--'));
+  const source = option('source');
+  const dryRun = args.includes('--dry-run');
+  const syncIndexes = args.includes('--sync-indexes');
+
+  if (file && !source) {
+    console.error('Usage: npm run import-jobs -- [file --source=name [--format=json|jsonl|csv|xml]] [--dry-run] [--sync-indexes]');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      serverSelectionTimeoutMS: 5000,
+      // --sync-indexes builds the indexes itself
+      autoIndex: !syncIndexes
+    });
+
+    if (syncIndexes) {
+      const indexes = await jobImportService.syncIndexes({ dryRun });
+      console.log(`${dryRun ? '[dry run] ' : ''}Job indexes: dropped ${indexes.dropped.join(', ') || 'none'}; ` +
+        `created ${indexes.created.join(', ') || 'none'}`);
+    }
+
+    const report = file
+      ? await jobFeedService.importFeed(fs.readFileSync(file, 'utf8'), {
+        source,
+        format: option('format'),
+        fileName: file,
+        dryRun
+      })
+      : await jobImportService.importSeedFile({ dryRun });
+
+    console.log(jobImportService.summarize(report));
+
+    // Feed reports refer to rows, the seed report to positions in data/jobs.json
+    const at = entry => (entry.row !== undefined ? `row ${entry.row}` : `#${entry.index}`);
+
+    report.created.forEach(job => console.log(`+ ${at(job)} ${job.externalId} ${job.title}`));
+    report.updated.forEach(job => console.log(`~ ${at(job)} ${job.externalId} ${Object.keys(job.changes).join(', ')}`));
+    report.deactivated.forEach(job => console.log(`- ${job.externalId} ${job.title}`));
+    report.skipped.forEach(job => console.log(`= ${at(job)} ${job.externalId} ${job.reason}`));
+    report.errors.forEach(error => console.log(`! ${at(error)} ${error.externalId || ''} ${error.messages.join('; ')}`));
+
+    if (report.deactivationSkipped) {
+      console.log('Some rows could not be read: missing jobs were not deactivated');
+    }
+
+    if (report.errors.length > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Failed to import jobs:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
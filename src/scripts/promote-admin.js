@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const adminService = require('../services/admin.service.js');
+
+// Usage: npm run promote-admin -- <userId|walletAddress|nullifierHash> [--force]
+(async () => {
+  const args = process.argv.slice(2);
+  const identifier = args.find(arg => !arg.startsWith('--'));
+  const force = args.includes('--force');
+
+  if (!identifier) {
+    console.error('Usage: npm run promote-admin -- <userId|walletAddress|nullifierHash> [--force]');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      serverSelectionTimeoutMS: 5000
+    });
+
+    const user = await adminService.promoteAdmin(identifier, force);
+    console.log(`User ${user._id} (${user.nickname}) is now an admin. Roles: ${user.roles.join(', ')}`);
+  } catch (error) {
+    console.error('Failed to promote admin:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
@@ -1,10 +1,21 @@
 const app = require('./app.js');
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
+const keyRing = require('./utils/key-ring.utils.js');
 
 // Load environment variables
 dotenv.config();
 
+// Refuse to start without JWT key material
+const loadSigningKeys = () => {
+  try {
+    keyRing.load();
+  } catch (error) {
+    console.error('JWT key configuration error:', error.message);
+    process.exit(1);
+  }
+};
+
 // MongoDB connection
 const connectDB = async () => {
   try {
@@ -13,9 +24,21 @@ const connectDB = async () => {
     });
     console.log('MongoDB connected successfully');
     
-    // Cargar los trabajos en la base de datos (LÍNEA AÑADIDA)
-    const jobService = require('./services/job.service.js');
-    await jobService.seedJobs();
+    // Remove expired demo accounts periodically
+    const demoService = require('./services/demo.service.js');
+    demoService.scheduleCleanup();
+    
+    // Settle pending payments the client never verified
+    const reconcilerService = require('./services/reconciler.service.js');
+    reconcilerService.scheduleReconciliation();
+    
+    // Keep escrows in sync with the escrow contract events
+    const escrowSyncService = require('./services/escrow-sync.service.js');
+    escrowSyncService.scheduleSync();
+    
+    // Expire job listings at the end of their posting period
+    const jobPostingService = require('./services/job-posting.service.js');
+    jobPostingService.scheduleExpiry();
     
     return true;
   } catch (error) {
@@ -26,6 +49,7 @@ const connectDB = async () => {
 
 // Connect to database and start server
 (async () => {
+  loadSigningKeys();
   await connectDB();
   
   // Start server
@@ -0,0 +1,216 @@
+const UserModel = require('../models/user.model.js');
+const UserJobModel = require('../models/user-job.model.js');
+const TransactionModel = require('../models/transaction.model.js');
+const ChatModel = require('../models/chat.model.js');
+const siweService = require('./siwe.service.js');
+const nonceStore = require('./nonce-store.service.js');
+const worldIdService = require('./world-id.service.js');
+const tokenService = require('./token.service.js');
+const ledgerService = require('./ledger.service.js');
+const verificationUtils = require('../utils/verification.utils.js');
+const ApiError = require('../utils/api-error.js');
+
+// Identity fields that can only belong to one user
+const IDENTITY_FIELDS = ['worldIdNullifierHash', 'walletAddress'];
+
+/**
+ * Compare two identity values (hex strings, so case does not matter)
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} Whether both values are the same identity
+ */
+function sameIdentity(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+/**
+ * Service for linking identities (World ID, wallet) into one account
+ */
+class AccountService {
+  /**
+   * Attach a wallet to the current account after checking a signed SIWE message
+   * @param {string} userId - Current user ID
+   * @param {Object} data - SIWE message, signature and merge flag
+   * @param {string} clientKey - Client the nonce was issued to
+   * @returns {Promise<Object>} Updated user
+   */
+  async linkWallet(userId, { message, signature, merge }, clientKey) {
+    const siwe = await siweService.verify(message, signature);
+    await nonceStore.consume(siwe.nonce, clientKey);
+
+    return this.attachIdentity(userId, 'walletAddress', siwe.address, {
+      lookup: { $in: [siwe.address, siwe.address.toLowerCase()] },
+      merge
+    });
+  }
+
+  /**
+   * Attach a World ID to the current account after verifying the proof.
+   * The proof signal must be the current user ID so it cannot be replayed for another account.
+   * @param {string} userId - Current user ID
+   * @param {Object} proof - World ID proof and merge flag
+   * @returns {Promise<Object>} Updated user
+   */
+  async linkWorldId(userId, proof) {
+    if (!proof.merkle_root || !proof.nullifier_hash || !proof.proof) {
+      throw new ApiError(400, 'WORLD_ID_PROOF_MISSING', 'Missing required verification parameters');
+    }
+
+    if (proof.signal !== userId.toString()) {
+      throw new ApiError(400, 'WORLD_ID_SIGNAL_MISMATCH', 'World ID proof signal must be the current user ID');
+    }
+
+    const result = await worldIdService.verifyProof(proof);
+    const verificationLevel = result.data?.verification_level || proof.credential_type || 'orb';
+
+    const user = await this.attachIdentity(userId, 'worldIdNullifierHash', proof.nullifier_hash, {
+      merge: proof.merge
+    });
+
+    user.verificationLevel = verificationUtils.strongest(user.verificationLevel, verificationLevel);
+    user.verifiedAt = new Date();
+    return user.save();
+  }
+
+  /**
+   * Attach an identity to a user, merging the account that already holds it when asked to
+   * @param {string} userId - Current user ID
+   * @param {string} field - Identity field on the user model
+   * @param {string} value - Identity value
+   * @param {Object} options - Custom lookup condition and merge flag
+   * @returns {Promise<Object>} Updated user
+   */
+  async attachIdentity(userId, field, value, options = {}) {
+    const user = await UserModel.findById(userId);
+
+    if (!user) {
+      throw new ApiError(404, 'USER_NOT_FOUND', 'User not found');
+    }
+
+    const owner = await UserModel.findOne({ [field]: options.lookup || value });
+
+    if (owner && owner._id.equals(user._id)) {
+      return user;
+    }
+
+    if (user[field] && !sameIdentity(user[field], value)) {
+      throw new ApiError(409, 'IDENTITY_ALREADY_SET', `This account already has a different ${field}`);
+    }
+
+    if (owner) {
+      if (!options.merge) {
+        throw new ApiError(409, 'IDENTITY_LINKED_TO_OTHER_ACCOUNT',
+          'This identity belongs to another account. Retry with "merge": true to merge both accounts.');
+      }
+
+      return this.mergeUsers(user._id, owner._id);
+    }
+
+    try {
+      user[field] = value;
+      user.updatedAt = new Date();
+
+      // Proving a real identity turns a demo account into a permanent one
+      if (user.isDemo) {
+        user.isDemo = false;
+        user.demo = undefined;
+      }
+
+      return await user.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ApiError(409, 'IDENTITY_LINKED_TO_OTHER_ACCOUNT', 'This identity belongs to another account');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Merge a duplicate account into the main one. Moves user-jobs, transactions,
+   * chats and the credit balance, carries over identities the main account lacks, and revokes the
+   * duplicate's sessions. Every step can be re-run if a merge is interrupted.
+   * @param {string} primaryId - Account that is kept
+   * @param {string} duplicateId - Account that is merged away
+   * @returns {Promise<Object>} Updated main account
+   */
+  async mergeUsers(primaryId, duplicateId) {
+    if (primaryId.toString() === duplicateId.toString()) {
+      throw new ApiError(400, 'MERGE_SAME_ACCOUNT', 'Cannot merge an account into itself');
+    }
+
+    const [primary, duplicate] = await Promise.all([
+      UserModel.findById(primaryId),
+      UserModel.findById(duplicateId)
+    ]);
+
+    if (!primary || !duplicate) {
+      throw new ApiError(404, 'USER_NOT_FOUND', 'User not found');
+    }
+
+    for (const field of IDENTITY_FIELDS) {
+      if (primary[field] && duplicate[field] && !sameIdentity(primary[field], duplicate[field])) {
+        throw new ApiError(409, 'MERGE_CONFLICT', `Both accounts have a different ${field}`);
+      }
+    }
+
+    // Move job interactions, keeping the most advanced one when both accounts touched a job
+    const duplicateJobs = await UserJobModel.find({ userId: duplicate._id });
+    for (const userJob of duplicateJobs) {
+      const existing = await UserJobModel.findOne({ userId: primary._id, jobId: userJob.jobId });
+
+      if (!existing) {
+        userJob.userId = primary._id;
+        await userJob.save();
+      } else {
+        if (userJob.generatedLink && !existing.generatedLink) {
+          existing.status = userJob.status;
+          existing.generatedLink = userJob.generatedLink;
+          existing.transactionId = userJob.transactionId;
+          existing.updatedAt = new Date();
+          await existing.save();
+        }
+        await userJob.deleteOne();
+      }
+    }
+
+    await TransactionModel.updateMany({ userId: duplicate._id }, { userId: primary._id });
+    await ChatModel.updateMany({ userId: duplicate._id }, { userId: primary._id });
+    await ledgerService.transferBalance(duplicate._id, primary._id);
+
+    // Release the duplicate's identities before giving them to the main account
+    const identities = {};
+    for (const field of IDENTITY_FIELDS) {
+      if (duplicate[field] && !primary[field]) {
+        identities[field] = duplicate[field];
+      }
+    }
+
+    await UserModel.updateOne(
+      { _id: duplicate._id },
+      {
+        $unset: { worldIdNullifierHash: '', walletAddress: '' },
+        $set: { mergedInto: primary._id, mergedAt: new Date(), updatedAt: new Date() }
+      }
+    );
+
+    Object.assign(primary, identities);
+    if (!primary.profilePicture && duplicate.profilePicture) {
+      primary.profilePicture = duplicate.profilePicture;
+    }
+    primary.statistics.linksGenerated = await UserJobModel.countDocuments({
+      userId: primary._id,
+      generatedLink: { $exists: true, $ne: null }
+    });
+    primary.statistics.paymentsProcessed += duplicate.statistics.paymentsProcessed;
+    primary.verificationLevel = verificationUtils.strongest(primary.verificationLevel, duplicate.verificationLevel);
+    primary.updatedAt = new Date();
+    await primary.save();
+
+    await tokenService.revokeUserSessions(duplicate._id, 'ACCOUNT_MERGED');
+
+    console.log(`Merged user ${duplicate._id} into ${primary._id}`);
+    return primary;
+  }
+}
+
+module.exports = new AccountService();
@@ -0,0 +1,102 @@
+const UserModel = require('../models/user.model.js');
+const tokenService = require('./token.service.js');
+const rolesConfig = require('../config/roles.js');
+const ApiError = require('../utils/api-error.js');
+
+/**
+ * Service for administrative user management
+ */
+class AdminService {
+  /**
+   * List users with pagination
+   * @param {Object} filters - Optional role filter
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated users
+   */
+  async listUsers(filters = {}, pagination = { page: 1, limit: 20 }) {
+    const query = {};
+
+    if (filters.role) {
+      query.roles = filters.role;
+    }
+
+    const page = parseInt(pagination.page) || 1;
+    const limit = Math.min(parseInt(pagination.limit) || 20, 100);
+
+    const users = await UserModel.find(query)
+      .select('nickname walletAddress roles verificationLevel isDemo createdAt')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await UserModel.countDocuments(query);
+
+    return {
+      users,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Replace a user's roles and end their sessions so the new roles apply right away
+   * @param {string} userId - User ID
+   * @param {Array<string>} roles - New roles
+   * @returns {Promise<Object>} Updated user
+   */
+  async setRoles(userId, roles) {
+    if (!Array.isArray(roles) || roles.length === 0 || roles.some(role => !rolesConfig.ROLES.includes(role))) {
+      throw new ApiError(400, 'INVALID_ROLES', `Roles must be a non-empty list of: ${rolesConfig.ROLES.join(', ')}`);
+    }
+
+    const user = await UserModel.findByIdAndUpdate(
+      userId,
+      { roles: [...new Set(roles)], updatedAt: new Date() },
+      { new: true }
+    ).select('nickname walletAddress roles');
+
+    if (!user) {
+      throw new ApiError(404, 'USER_NOT_FOUND', 'User not found');
+    }
+
+    await tokenService.revokeUserSessions(user._id, 'ROLES_CHANGED');
+    return user;
+  }
+
+  /**
+   * Promote the first admin. Refuses when an admin already exists unless forced.
+   * @param {string} identifier - User ID, wallet address or World ID nullifier hash
+   * @param {boolean} force - Promote even if an admin exists
+   * @returns {Promise<Object>} Promoted user
+   */
+  async promoteAdmin(identifier, force = false) {
+    if (!force && await UserModel.exists({ roles: 'admin' })) {
+      throw new Error('An admin already exists. Use --force to promote another one.');
+    }
+
+    const conditions = [
+      { walletAddress: { $in: [identifier, identifier.toLowerCase()] } },
+      { worldIdNullifierHash: identifier }
+    ];
+    if (/^[0-9a-f]{24}$/i.test(identifier)) {
+      conditions.push({ _id: identifier });
+    }
+
+    const user = await UserModel.findOne({ $or: conditions });
+
+    if (!user) {
+      throw new Error(`No user found for "${identifier}"`);
+    }
+
+    await UserModel.updateOne({ _id: user._id }, { $addToSet: { roles: 'admin' }, updatedAt: new Date() });
+    await tokenService.revokeUserSessions(user._id, 'ROLES_CHANGED');
+
+    return UserModel.findById(user._id).select('nickname walletAddress roles');
+  }
+}
+
+module.exports = new AdminService();
@@ -1,6 +1,9 @@
 const ChatModel = require('../models/chat.model.js');
 const axios = require('axios');
 const JobModel = require('../models/job.model.js');
+const jobService = require('./job.service.js');
+const refundService = require('./refund.service.js');
+const ApiError = require('../utils/api-error.js');
 
 /**
  * Service for handling AI chat operations
@@ -15,6 +18,11 @@ class ChatService {
    */
   async createChat(userId, transactionId, jobId = null) {
     try {
+      // Only open listings can be discussed
+      if (jobId) {
+        await jobService.getPublicJob(jobId);
+      }
+      
       // Create initial message
       const initialMessages = [{
         role: 'AI',
@@ -35,6 +43,9 @@ class ChatService {
       await chat.save();
       return chat;
     } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
       console.error('Error creating chat:', error);
       throw new Error('Failed to create chat');
     }
@@ -43,16 +54,27 @@ class ChatService {
   /**
    * Add message to chat and get AI response
    * @param {string} chatId - Chat ID
+   * @param {string} userId - User ID for authorization
    * @param {string} message - User message
    * @returns {Promise<Object>} Updated chat
    */
-  async sendMessage(chatId, message) {
+  async sendMessage(chatId, userId, message) {
     try {
       // Get chat
       const chat = await ChatModel.findById(chatId);
       
       if (!chat) {
-        throw new Error('Chat not found');
+        throw new ApiError(404, 'CHAT_NOT_FOUND', 'Chat not found');
+      }
+      
+      // Verify that this chat belongs to the user before touching it
+      if (chat.userId.toString() !== userId) {
+        throw new ApiError(403, 'CHAT_FORBIDDEN', 'Not authorized to access this chat');
+      }
+      
+      // A refunded chat was given back, it cannot be used for free afterwards
+      if (chat.refundedAt) {
+        throw new ApiError(409, 'CHAT_REFUNDED', 'This chat was refunded and is closed');
       }
       
       // Add user message
@@ -68,7 +90,8 @@ class ChatService {
       // Get job context if available
       let jobContext = '';
       if (chat.jobId) {
-        const job = await JobModel.findById(chat.jobId);
+        // Listings that were closed or unpublished since are no longer shared
+        const job = await JobModel.findOne({ _id: chat.jobId, ...jobService.publicQuery() });
         if (job) {
           jobContext = `
             This conversation is about the following job:
@@ -85,7 +108,7 @@ class ChatService {
       
       // Get all jobs for context if no specific job
       else {
-        const recentJobs = await JobModel.find()
+        const recentJobs = await JobModel.find(jobService.publicQuery())
           .sort({ postedAt: -1 })
           .limit(5);
         
@@ -110,7 +133,18 @@ class ChatService {
       }));
       
       // Get AI response from DeepSeek API (or similar)
-      const aiResponse = await this.getAIResponse(conversationHistory, jobContext);
+      let aiResponse;
+      try {
+        aiResponse = await this.getAIResponse(conversationHistory, jobContext);
+      } catch (error) {
+        aiResponse = "I'm sorry, I'm having trouble generating a response right now. Please try again later.";
+        
+        // The user paid but never got an answer: refund the chat to the credit balance
+        const firstExchange = chat.messages.filter(msg => msg.role === 'USER').length === 1;
+        if (firstExchange) {
+          await this.refundFailedChat(chat);
+        }
+      }
       
       // Add AI response to chat
       chat.messages.push({
@@ -124,6 +158,9 @@ class ChatService {
       
       return chat;
     } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
       console.error('Error sending message:', error);
       throw new Error('Failed to send message');
     }
@@ -165,7 +202,21 @@ class ChatService {
       return response.data.choices[0].message.content;
     } catch (error) {
       console.error('Error getting AI response:', error);
-      return "I'm sorry, I'm having trouble generating a response right now. Please try again later.";
+      throw new Error('AI provider failed');
+    }
+  }
+
+  /**
+   * Refund a chat whose first message the AI provider could not answer
+   * @param {Object} chat - Chat document
+   * @returns {Promise<void>}
+   */
+  async refundFailedChat(chat) {
+    try {
+      await refundService.refundTransaction(chat.transactionId, 'AI_PROVIDER_FAILED');
+      chat.refundedAt = new Date();
+    } catch (error) {
+      console.error('Error refunding failed chat:', error);
     }
   }
 
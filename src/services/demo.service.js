@@ -0,0 +1,163 @@
+const UserModel = require('../models/user.model.js');
+const UserJobModel = require('../models/user-job.model.js');
+const TransactionModel = require('../models/transaction.model.js');
+const ChatModel = require('../models/chat.model.js');
+const paymentService = require('./payment.service.js');
+const accountService = require('./account.service.js');
+const tokenService = require('./token.service.js');
+const demoConfig = require('../config/demo.js');
+const ApiError = require('../utils/api-error.js');
+
+// Quota counter used for each transaction type
+const QUOTA_FIELDS = {
+  CHAT: 'demo.chatsRemaining',
+  JOB_LINK: 'demo.linksRemaining'
+};
+
+/**
+ * Service for handling demo accounts: expiry, free quota and upgrade to a real account
+ */
+class DemoService {
+  /**
+   * Create a demo user
+   * @param {string} nickname - Optional nickname
+   * @returns {Promise<Object>} Created user
+   */
+  async createDemoUser(nickname) {
+    const user = new UserModel({
+      nickname: nickname || `DemoUser_${Math.random().toString(36).substring(2, 10)}`,
+      isDemo: true,
+      demo: {
+        expiresAt: new Date(Date.now() + demoConfig.TTL_MS),
+        chatsRemaining: demoConfig.FREE_CHATS,
+        linksRemaining: demoConfig.FREE_LINKS
+      },
+      createdAt: new Date()
+    });
+
+    return user.save();
+  }
+
+  /**
+   * Use one free action from a demo user's quota and record it as a completed
+   * zero-amount transaction, so the normal completion flow can be reused.
+   * @param {string} userId - User ID
+   * @param {string} type - Transaction type (CHAT or JOB_LINK)
+   * @param {Object} metadata - Transaction metadata
+   * @returns {Promise<Object>} Free transaction and remaining quota
+   */
+  async useQuota(userId, type, metadata = {}) {
+    const field = QUOTA_FIELDS[type];
+
+    if (!field) {
+      throw new ApiError(400, 'DEMO_UNSUPPORTED', `Demo accounts cannot pay for ${type}`);
+    }
+
+    const user = await UserModel.findOneAndUpdate(
+      { _id: userId, isDemo: true, 'demo.expiresAt': { $gt: new Date() }, [field]: { $gt: 0 } },
+      { $inc: { [field]: -1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      const demoUser = await UserModel.findOne({ _id: userId, isDemo: true });
+
+      if (!demoUser) {
+        throw new ApiError(401, 'DEMO_ACCOUNT_UPGRADED', 'This is no longer a demo account, refresh your token');
+      }
+
+      if (demoUser.demo.expiresAt <= new Date()) {
+        throw new ApiError(403, 'DEMO_EXPIRED', 'Demo account has expired');
+      }
+
+      throw new ApiError(402, 'DEMO_QUOTA_EXCEEDED',
+        'Demo quota used up. Log in with World ID or a wallet to keep going.');
+    }
+
+    const transaction = await paymentService.recordTransaction({ userId, type, amount: 0, metadata });
+    transaction.status = 'COMPLETED';
+    transaction.paymentMethod = 'DEMO';
+    await transaction.save();
+
+    return { transaction, demo: user.demo };
+  }
+
+  /**
+   * Give back one free action, e.g. when the action it paid for was refunded
+   * @param {string} userId - User ID
+   * @param {string} type - Transaction type (CHAT or JOB_LINK)
+   * @returns {Promise<void>}
+   */
+  async restoreQuota(userId, type) {
+    const field = QUOTA_FIELDS[type];
+
+    if (field) {
+      await UserModel.updateOne({ _id: userId, isDemo: true }, { $inc: { [field]: 1 } });
+    }
+  }
+
+  /**
+   * Turn a demo account into a real one after the user proved an identity.
+   * When the identity already has an account the demo history is merged into it.
+   * @param {string} userId - Demo user ID
+   * @param {string} field - Identity field (worldIdNullifierHash or walletAddress)
+   * @param {string} value - Identity value
+   * @param {Object} lookup - Optional custom lookup condition for the identity
+   * @returns {Promise<Object|null>} Real account, or null if the user is not a demo user
+   */
+  async upgrade(userId, field, value, lookup) {
+    const demoUser = await UserModel.findOne({ _id: userId, isDemo: true });
+
+    if (!demoUser) {
+      return null;
+    }
+
+    const owner = await UserModel.findOne({ [field]: lookup || value });
+
+    if (owner) {
+      return accountService.mergeUsers(owner._id, demoUser._id);
+    }
+
+    return accountService.attachIdentity(demoUser._id, field, value, { lookup });
+  }
+
+  /**
+   * Remove expired demo accounts with their chats, user-jobs and transactions
+   * @returns {Promise<number>} Number of removed accounts
+   */
+  async cleanupExpired() {
+    const expired = await UserModel.find({
+      isDemo: true,
+      'demo.expiresAt': { $lte: new Date() }
+    }).select('_id');
+
+    for (const { _id: userId } of expired) {
+      await ChatModel.deleteMany({ userId });
+      await UserJobModel.deleteMany({ userId });
+      await TransactionModel.deleteMany({ userId });
+      await tokenService.revokeUserSessions(userId, 'DEMO_EXPIRED');
+      await UserModel.deleteOne({ _id: userId, isDemo: true });
+    }
+
+    if (expired.length > 0) {
+      console.log(`Removed ${expired.length} expired demo accounts`);
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Periodically remove expired demo accounts
+   * @returns {NodeJS.Timeout} Interval handle
+   */
+  scheduleCleanup() {
+    const run = () => this.cleanupExpired().catch(error => {
+      console.error('Demo cleanup error:', error);
+    });
+
+    run();
+    return setInterval(run, demoConfig.CLEANUP_INTERVAL_MS).unref();
+  }
+}
+
+module.exports = new DemoService();
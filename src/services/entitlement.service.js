@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const TransactionModel = require('../models/transaction.model.js');
+const ApiError = require('../utils/api-error.js');
+
+/**
+ * Service for checking that a paid action was paid for, and spending the payment
+ */
+class EntitlementService {
+  /**
+   * Atomically check a transaction and mark it as consumed. The transaction must be
+   * COMPLETED, belong to the user, have the expected type and job, and be unused.
+   * @param {string} userId - User ID
+   * @param {string} transactionId - Transaction ID
+   * @param {string} type - Expected transaction type (CHAT or JOB_LINK)
+   * @param {string} jobId - Job the action is for, if any
+   * @returns {Promise<Object>} Consumed transaction
+   */
+  async consume(userId, transactionId, type, jobId = null) {
+    if (!mongoose.isValidObjectId(transactionId)) {
+      throw new ApiError(400, 'TRANSACTION_ID_INVALID', 'A valid transactionId is required');
+    }
+
+    if (jobId && !mongoose.isValidObjectId(jobId)) {
+      throw new ApiError(400, 'JOB_ID_INVALID', 'Invalid jobId');
+    }
+
+    const transaction = await TransactionModel.findOneAndUpdate(
+      {
+        _id: transactionId,
+        userId,
+        type,
+        status: 'COMPLETED',
+        consumedAt: null,
+        'metadata.jobId': jobId || null
+      },
+      { consumedAt: new Date(), updatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!transaction) {
+      throw await this.rejection(userId, transactionId, type, jobId);
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Work out why a transaction could not be consumed
+   * @param {string} userId - User ID
+   * @param {string} transactionId - Transaction ID
+   * @param {string} type - Expected transaction type
+   * @param {string} jobId - Expected job ID
+   * @returns {Promise<ApiError>} Specific error
+   */
+  async rejection(userId, transactionId, type, jobId) {
+    const transaction = await TransactionModel.findById(transactionId);
+
+    if (!transaction || transaction.userId.toString() !== userId.toString()) {
+      return new ApiError(404, 'TRANSACTION_NOT_FOUND', 'Transaction not found');
+    }
+
+    if (transaction.type !== type) {
+      return new ApiError(409, 'TRANSACTION_TYPE_MISMATCH', `Transaction was not made for ${type}`);
+    }
+
+    if (transaction.status === 'PENDING') {
+      return new ApiError(402, 'PAYMENT_PENDING', 'Payment has not been completed yet');
+    }
+
+    if (transaction.status !== 'COMPLETED') {
+      return new ApiError(402, 'PAYMENT_NOT_COMPLETED', `Payment is ${transaction.status.toLowerCase()}`);
+    }
+
+    if (transaction.consumedAt) {
+      return new ApiError(409, 'TRANSACTION_ALREADY_USED', 'Transaction has already been used');
+    }
+
+    const paidJobId = transaction.metadata?.jobId ? transaction.metadata.jobId.toString() : null;
+    if (paidJobId !== (jobId ? jobId.toString() : null)) {
+      return new ApiError(409, 'TRANSACTION_JOB_MISMATCH', 'Transaction was made for another job');
+    }
+
+    return new ApiError(409, 'TRANSACTION_UNUSABLE', 'Transaction cannot be used');
+  }
+
+  /**
+   * Give a consumed transaction back when the paid action could not be delivered
+   * @param {string} transactionId - Transaction ID
+   * @returns {Promise<void>}
+   */
+  async release(transactionId) {
+    await TransactionModel.updateOne(
+      { _id: transactionId },
+      { consumedAt: null, updatedAt: new Date() }
+    );
+  }
+}
+
+module.exports = new EntitlementService();
@@ -0,0 +1,161 @@
+const EscrowModel = require('../models/escrow.model.js');
+const ChainCursorModel = require('../models/chain-cursor.model.js');
+const escrowService = require('./escrow.service.js');
+const escrowConfig = require('../config/escrow.js');
+
+// Cursor name of the escrow contract event stream
+const CURSOR_NAME = 'escrow';
+
+// Escrow status after each contract event, and the statuses the contract allows it from.
+// Events that don't fit (e.g. for an escrow whose funding was rejected) are ignored.
+const TRANSITIONS = {
+  // Funding of a cancelled escrow is still tracked, so its funds can be released or refunded
+  EscrowFunded: { to: 'FUNDED', from: ['AWAITING_FUNDING', 'CANCELLED'] },
+  MilestoneSubmitted: { to: 'MILESTONE_SUBMITTED', from: ['FUNDED'] },
+  EscrowReleased: { to: 'RELEASED', from: ['FUNDED', 'MILESTONE_SUBMITTED'] },
+  EscrowRefunded: { to: 'REFUNDED', from: ['FUNDED'] },
+  DisputeOpened: { to: 'DISPUTED', from: ['FUNDED', 'MILESTONE_SUBMITTED'] },
+  DisputeResolved: { to: 'RESOLVED', from: ['DISPUTED'] }
+};
+
+/**
+ * Keeps Escrow documents in sync with the escrow contract by reading its events
+ * block range by block range from a stored cursor. Applying an event is idempotent,
+ * so restarts and several instances syncing at once are safe.
+ */
+class EscrowSyncService {
+  constructor() {
+    this.running = false;
+  }
+
+  /**
+   * Apply one contract event to its escrow
+   * @param {Object} log - Parsed contract event (ethers EventLog)
+   * @returns {Promise<boolean>} Whether the escrow was updated
+   */
+  async applyEvent(log) {
+    const transition = TRANSITIONS[log.eventName];
+    if (!transition) {
+      return false;
+    }
+
+    const escrowId = log.args.escrowId.toLowerCase();
+    const query = {
+      escrowId,
+      status: { $in: transition.from },
+      events: { $not: { $elemMatch: { txHash: log.transactionHash, logIndex: log.index } } }
+    };
+    const update = {
+      status: transition.to,
+      updatedAt: new Date(),
+      $push: {
+        events: {
+          name: log.eventName,
+          txHash: log.transactionHash,
+          logIndex: log.index,
+          blockNumber: log.blockNumber
+        }
+      }
+    };
+
+    if (log.eventName === 'EscrowFunded') {
+      // Only accept funding that matches the terms we prepared
+      const escrow = await EscrowModel.findOne({ escrowId, status: { $in: transition.from } });
+      if (!escrow) {
+        return false;
+      }
+
+      const matches = log.args.employer.toLowerCase() === escrow.employerAddress
+        && log.args.worker.toLowerCase() === escrow.workerAddress
+        && log.args.token.toLowerCase() === escrow.tokenAddress
+        && log.args.amount.toString() === escrow.amount
+        && Number(log.args.deadline) === Math.floor(escrow.deadline.getTime() / 1000);
+
+      if (!matches) {
+        console.warn(`Escrow ${escrowId} was funded with other terms than prepared, ignoring`);
+        return false;
+      }
+    }
+
+    if (log.eventName === 'DisputeResolved') {
+      update.resolution = {
+        workerAmount: log.args.workerAmount.toString(),
+        employerAmount: log.args.employerAmount.toString()
+      };
+    }
+
+    const result = await EscrowModel.updateOne(query, update);
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Read and apply the confirmed events since the last synced block
+   * @returns {Promise<number>} Number of applied events
+   */
+  async syncOnce() {
+    if (!escrowConfig.CONTRACT_ADDRESS) {
+      return 0;
+    }
+
+    const contract = escrowService.getContract();
+    const latest = await escrowService.getProvider().getBlockNumber() - escrowConfig.CONFIRMATIONS;
+    const cursor = await ChainCursorModel.findOne({ name: CURSOR_NAME });
+
+    let from = cursor ? cursor.lastBlock + 1 : escrowConfig.START_BLOCK;
+    let applied = 0;
+
+    while (from <= latest) {
+      const to = Math.min(from + escrowConfig.BLOCK_RANGE - 1, latest);
+      const logs = await contract.queryFilter('*', from, to);
+
+      for (const log of logs) {
+        if (log.eventName && await this.applyEvent(log)) {
+          applied++;
+        }
+      }
+
+      // $max keeps the cursor from moving back when another instance got further
+      await ChainCursorModel.updateOne(
+        { name: CURSOR_NAME },
+        { $max: { lastBlock: to }, updatedAt: new Date() },
+        { upsert: true }
+      );
+      from = to + 1;
+    }
+
+    return applied;
+  }
+
+  /**
+   * Periodically sync escrow events, if an escrow contract is configured
+   * @returns {NodeJS.Timeout|null} Interval handle
+   */
+  scheduleSync() {
+    if (!escrowConfig.CONTRACT_ADDRESS) {
+      return null;
+    }
+
+    const run = async () => {
+      if (this.running) {
+        return;
+      }
+
+      this.running = true;
+      try {
+        const applied = await this.syncOnce();
+        if (applied > 0) {
+          console.log(`Applied ${applied} escrow events`);
+        }
+      } catch (error) {
+        console.error('Escrow sync error:', error);
+      } finally {
+        this.running = false;
+      }
+    };
+
+    run();
+    return setInterval(run, escrowConfig.SYNC_INTERVAL_MS).unref();
+  }
+}
+
+module.exports = new EscrowSyncService();
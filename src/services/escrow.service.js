@@ -0,0 +1,312 @@
+const { ethers } = require('ethers');
+const mongoose = require('mongoose');
+const EscrowModel = require('../models/escrow.model.js');
+const JobModel = require('../models/job.model.js');
+const UserModel = require('../models/user.model.js');
+const escrowConfig = require('../config/escrow.js');
+const paymentsConfig = require('../config/payments.js');
+const ApiError = require('../utils/api-error.js');
+
+// Contract calls the parties sign themselves, with who may make them and from which states
+const ACTIONS = {
+  submit: { method: 'submitMilestone', party: 'worker', from: ['FUNDED'] },
+  accept: { method: 'acceptMilestone', party: 'employer', from: ['FUNDED', 'MILESTONE_SUBMITTED'] },
+  refund: { method: 'refundAfterTimeout', party: 'employer', from: ['FUNDED'], afterDeadline: true },
+  dispute: { method: 'openDispute', party: 'any', from: ['FUNDED', 'MILESTONE_SUBMITTED'] }
+};
+
+/**
+ * Service for on-chain escrow of FREELANCE and CONTRACT jobs. Employers and workers
+ * sign the contract calls with their own wallets; the API prepares the calls and
+ * learns about the result from contract events (see escrow-sync.service.js).
+ */
+class EscrowService {
+  constructor() {
+    this.provider = null;
+    this.interface = new ethers.Interface(escrowConfig.ABI);
+  }
+
+  /**
+   * Make sure an escrow contract is configured
+   */
+  ensureConfigured() {
+    if (!escrowConfig.CONTRACT_ADDRESS) {
+      throw new ApiError(503, 'ESCROW_NOT_CONFIGURED', 'Escrow is not available');
+    }
+  }
+
+  /**
+   * JSON-RPC provider for the escrow chain
+   * @returns {ethers.JsonRpcProvider} Provider
+   */
+  getProvider() {
+    if (!this.provider) {
+      this.provider = new ethers.JsonRpcProvider(escrowConfig.RPC_URL, escrowConfig.CHAIN_ID, { staticNetwork: true });
+    }
+    return this.provider;
+  }
+
+  /**
+   * Escrow contract bound to a provider or signer
+   * @param {ethers.ContractRunner} runner - Provider or signer
+   * @returns {ethers.Contract} Contract
+   */
+  getContract(runner = this.getProvider()) {
+    this.ensureConfigured();
+    return new ethers.Contract(escrowConfig.CONTRACT_ADDRESS, escrowConfig.ABI, runner);
+  }
+
+  /**
+   * Build a contract call for the user's wallet to sign
+   * @param {string} method - Contract function
+   * @param {Array} args - Function arguments
+   * @returns {Object} Transaction request (to, data, chainId)
+   */
+  buildCall(method, args) {
+    return {
+      to: escrowConfig.CONTRACT_ADDRESS,
+      data: this.interface.encodeFunctionData(method, args),
+      chainId: escrowConfig.CHAIN_ID,
+      method,
+      args: args.map(arg => (typeof arg === 'bigint' ? arg.toString() : arg))
+    };
+  }
+
+  /**
+   * Contract ID of an escrow, as JobEscrow.escrowIdOf computes it
+   * @param {string} employerAddress - Wallet that funds the escrow
+   * @param {string} ref - bytes32 reference passed to createEscrow
+   * @returns {string} bytes32 escrow ID (lowercase hex)
+   */
+  escrowIdOf(employerAddress, ref) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['address', 'bytes32'], [employerAddress, ref]));
+  }
+
+  /**
+   * Create an escrow for a job and prepare the funding call for the employer
+   * @param {string} employerId - Employer user ID
+   * @param {string} jobId - Job ID
+   * @param {Object} terms - Worker, amount, token and deadline
+   * @param {string} terms.workerId - Worker user ID
+   * @param {string} terms.amount - Amount in token units (e.g. "12.5")
+   * @param {string} terms.token - WLD or USDC
+   * @param {string} terms.deadline - Milestone deadline (ISO date)
+   * @returns {Promise<Object>} Escrow and the createEscrow call to sign
+   */
+  async createEscrow(employerId, jobId, { workerId, amount, token = 'WLD', deadline } = {}) {
+    this.ensureConfigured();
+
+    if (!mongoose.isValidObjectId(jobId) || !mongoose.isValidObjectId(workerId)) {
+      throw new ApiError(400, 'ESCROW_TERMS_INVALID', 'A valid job and workerId are required');
+    }
+
+    const job = await JobModel.findById(jobId).select('type ownerId');
+    if (!job) {
+      throw new ApiError(404, 'JOB_NOT_FOUND', 'Job not found');
+    }
+
+    // Imported listings have no owner on the platform, so nobody can fund them
+    if (!job.ownerId || !job.ownerId.equals(employerId)) {
+      throw new ApiError(403, 'ESCROW_ACTION_FORBIDDEN', 'Only the employer who posted the job can fund its escrow');
+    }
+
+    if (!escrowConfig.JOB_TYPES.includes(job.type)) {
+      throw new ApiError(409, 'ESCROW_JOB_TYPE_UNSUPPORTED', `Escrow is only available for ${escrowConfig.JOB_TYPES.join(' and ')} jobs`);
+    }
+
+    if (workerId.toString() === employerId.toString()) {
+      throw new ApiError(400, 'ESCROW_TERMS_INVALID', 'Employer and worker must be different users');
+    }
+
+    const [employer, worker] = await Promise.all([
+      UserModel.findById(employerId).select('walletAddress'),
+      UserModel.findById(workerId).select('walletAddress')
+    ]);
+
+    if (!employer?.walletAddress) {
+      throw new ApiError(400, 'ESCROW_EMPLOYER_WALLET_MISSING', 'Link a wallet to fund an escrow');
+    }
+
+    if (!worker?.walletAddress) {
+      throw new ApiError(400, 'ESCROW_WORKER_WALLET_MISSING', 'The worker has no linked wallet');
+    }
+
+    if (!paymentsConfig.PAYMENT_TOKENS.includes(token)) {
+      throw new ApiError(400, 'TOKEN_NOT_ALLOWED', `Escrow accepts: ${paymentsConfig.PAYMENT_TOKENS.join(', ')}`);
+    }
+
+    let units;
+    try {
+      units = ethers.parseUnits(String(amount), paymentsConfig.TOKEN_DECIMALS[token]);
+    } catch (error) {
+      units = 0n;
+    }
+    if (units <= 0n) {
+      throw new ApiError(400, 'ESCROW_AMOUNT_INVALID', 'Amount must be a positive number');
+    }
+
+    const deadlineDate = new Date(deadline);
+    if (Number.isNaN(deadlineDate.getTime()) || deadlineDate <= new Date()) {
+      throw new ApiError(400, 'ESCROW_DEADLINE_INVALID', 'Deadline must be a date in the future');
+    }
+
+    const ref = ethers.hexlify(ethers.randomBytes(32));
+    const employerAddress = employer.walletAddress.toLowerCase();
+
+    const escrow = await EscrowModel.create({
+      escrowId: this.escrowIdOf(employerAddress, ref),
+      ref,
+      jobId,
+      employerId,
+      workerId,
+      employerAddress,
+      workerAddress: worker.walletAddress.toLowerCase(),
+      token,
+      tokenAddress: paymentsConfig.TOKEN_ADDRESSES[token],
+      amount: units.toString(),
+      deadline: deadlineDate
+    });
+
+    const call = this.buildCall('createEscrow', [
+      escrow.ref,
+      escrow.workerAddress,
+      escrow.tokenAddress,
+      units,
+      BigInt(Math.floor(deadlineDate.getTime() / 1000))
+    ]);
+
+    return { escrow, call };
+  }
+
+  /**
+   * Get an escrow the user is a party of
+   * @param {string} userId - User ID
+   * @param {string} id - Escrow document ID
+   * @returns {Promise<Object>} Escrow
+   */
+  async getForParty(userId, id) {
+    const escrow = mongoose.isValidObjectId(id)
+      ? await EscrowModel.findOne({ _id: id, $or: [{ employerId: userId }, { workerId: userId }] })
+      : null;
+
+    if (!escrow) {
+      throw new ApiError(404, 'ESCROW_NOT_FOUND', 'Escrow not found');
+    }
+
+    return escrow;
+  }
+
+  /**
+   * List the escrows a user is a party of
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Escrows, newest first
+   */
+  async listForUser(userId) {
+    return EscrowModel.find({ $or: [{ employerId: userId }, { workerId: userId }] })
+      .populate('jobId', 'title company type')
+      .select('-events')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Prepare a contract call for a party of an escrow
+   * @param {string} userId - User ID
+   * @param {string} id - Escrow document ID
+   * @param {string} action - submit, accept, refund or dispute
+   * @returns {Promise<Object>} Call to sign
+   */
+  async prepareAction(userId, id, action) {
+    this.ensureConfigured();
+
+    const rule = ACTIONS[action];
+    if (!rule) {
+      throw new ApiError(400, 'ESCROW_ACTION_UNKNOWN', `Action must be one of: ${Object.keys(ACTIONS).join(', ')}`);
+    }
+
+    const escrow = await this.getForParty(userId, id);
+    const isEmployer = escrow.employerId.toString() === userId.toString();
+    const isWorker = escrow.workerId.toString() === userId.toString();
+
+    if ((rule.party === 'employer' && !isEmployer) || (rule.party === 'worker' && !isWorker)) {
+      throw new ApiError(403, 'ESCROW_ACTION_FORBIDDEN', `Only the ${rule.party} can ${action} this escrow`);
+    }
+
+    if (!rule.from.includes(escrow.status)) {
+      throw new ApiError(409, 'ESCROW_STATE_INVALID', `Cannot ${action} an escrow that is ${escrow.status.toLowerCase()}`);
+    }
+
+    if (rule.afterDeadline && escrow.deadline > new Date()) {
+      throw new ApiError(409, 'ESCROW_DEADLINE_NOT_REACHED', 'The escrow can be refunded after its deadline');
+    }
+
+    return this.buildCall(rule.method, [escrow.escrowId]);
+  }
+
+  /**
+   * Cancel an escrow that was never funded, e.g. because the employer changed wallets
+   * or gave up. Funding that still arrives for it is applied by the sync.
+   * @param {string} userId - Employer user ID
+   * @param {string} id - Escrow document ID
+   * @returns {Promise<Object>} Cancelled escrow
+   */
+  async cancelEscrow(userId, id) {
+    const escrow = await this.getForParty(userId, id);
+
+    if (escrow.employerId.toString() !== userId.toString()) {
+      throw new ApiError(403, 'ESCROW_ACTION_FORBIDDEN', 'Only the employer can cancel this escrow');
+    }
+
+    const cancelled = await EscrowModel.findOneAndUpdate(
+      { _id: escrow._id, status: 'AWAITING_FUNDING' },
+      { status: 'CANCELLED', updatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      throw new ApiError(409, 'ESCROW_STATE_INVALID', 'Only escrows awaiting funding can be cancelled');
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Settle a disputed escrow as the arbiter. The escrow is updated once the
+   * DisputeResolved event is synced.
+   * @param {string} id - Escrow document ID
+   * @param {string} workerAmount - Part of the amount for the worker, in token units
+   * @returns {Promise<Object>} Submitted transaction hash
+   */
+  async resolveDispute(id, workerAmount) {
+    this.ensureConfigured();
+
+    if (!escrowConfig.ARBITER_PRIVATE_KEY) {
+      throw new ApiError(503, 'ESCROW_ARBITER_NOT_CONFIGURED', 'Dispute resolution is not available');
+    }
+
+    const escrow = mongoose.isValidObjectId(id) ? await EscrowModel.findById(id) : null;
+    if (!escrow) {
+      throw new ApiError(404, 'ESCROW_NOT_FOUND', 'Escrow not found');
+    }
+
+    if (escrow.status !== 'DISPUTED') {
+      throw new ApiError(409, 'ESCROW_STATE_INVALID', 'Only disputed escrows can be resolved');
+    }
+
+    let units;
+    try {
+      units = ethers.parseUnits(String(workerAmount), paymentsConfig.TOKEN_DECIMALS[escrow.token]);
+    } catch (error) {
+      units = -1n;
+    }
+    if (units < 0n || units > BigInt(escrow.amount)) {
+      throw new ApiError(400, 'ESCROW_AMOUNT_INVALID', 'Worker amount must be between 0 and the escrowed amount');
+    }
+
+    const arbiter = new ethers.Wallet(escrowConfig.ARBITER_PRIVATE_KEY, this.getProvider());
+    const tx = await this.getContract(arbiter).resolveDispute(escrow.escrowId, units);
+
+    return { txHash: tx.hash };
+  }
+}
+
+module.exports = new EscrowService();
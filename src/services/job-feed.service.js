@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const path = require('path');
+const { parse: parseCsv } = require('csv-parse/sync');
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const jobImportService = require('./job-import.service.js');
+const jobFeedsConfig = require('../config/job-feeds.js');
+const ApiError = require('../utils/api-error.js');
+
+// Source names are stored on jobs, keep them simple
+const SOURCE_PATTERN = /^[a-z0-9_-]{1,40}$/;
+
+// Reserved for data/jobs.json (see jobImportService.importSeedFile)
+const SEED_SOURCE = 'seed';
+
+// Job types as partners spell them, after upper-casing and removing separators
+const TYPE_ALIASES = {
+  FULLTIME: 'FULL_TIME',
+  PARTTIME: 'PART_TIME',
+  CONTRACTOR: 'CONTRACT',
+  TEMPORARY: 'CONTRACT',
+  FREELANCER: 'FREELANCE',
+  INTERN: 'INTERNSHIP'
+};
+
+// Language names partners use instead of codes
+const LANGUAGE_ALIASES = {
+  spanish: 'es',
+  espanol: 'es',
+  'español': 'es',
+  english: 'en'
+};
+
+const EXTENSION_FORMATS = {
+  '.json': 'json',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+  '.csv': 'csv',
+  '.xml': 'xml'
+};
+
+/**
+ * Read a value by path ('a.b'); a literal key with dots wins, e.g. a CSV column "salary.min"
+ * @param {Object} record - Source record
+ * @param {string} fieldPath - Path of the value
+ * @returns {*} Value or undefined
+ */
+function getPath(record, fieldPath) {
+  if (record[fieldPath] !== undefined) {
+    return record[fieldPath];
+  }
+
+  return fieldPath.split('.').reduce((value, key) => {
+    if (value === undefined || value === null) return undefined;
+    // Repeated XML elements come as arrays: use the first one
+    return Array.isArray(value) ? value[0]?.[key] : value[key];
+  }, record);
+}
+
+/**
+ * Set a value by path ('a.b')
+ * @param {Object} target - Object to write to
+ * @param {string} fieldPath - Path of the value
+ * @param {*} value - Value
+ */
+function setPath(target, fieldPath, value) {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    object[key] = object[key] || {};
+    return object[key];
+  }, target);
+  parent[last] = value;
+}
+
+/**
+ * Service for importing partner job feeds (JSON, JSON Lines, CSV and XML). Records are
+ * mapped to jobs with the field mapping of their source, then imported with
+ * jobImportService; the report refers to feed rows (CSV/JSON Lines line, XML or JSON entry).
+ */
+class JobFeedService {
+  /**
+   * Format of a feed, from the source configuration, the requested format or the file name
+   * @param {Object} sourceConfig - Source configuration
+   * @param {string} format - Requested format
+   * @param {string} fileName - Feed file name
+   * @returns {string} json, jsonl, csv or xml
+   */
+  resolveFormat(sourceConfig, format, fileName) {
+    const resolved = sourceConfig.format || format || EXTENSION_FORMATS[path.extname(fileName || '').toLowerCase()];
+
+    if (!jobFeedsConfig.FORMATS.includes(resolved)) {
+      throw new ApiError(400, 'IMPORT_FORMAT_INVALID', `format must be one of: ${jobFeedsConfig.FORMATS.join(', ')}`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Parse a feed into records. Rows that cannot be parsed are returned as errors.
+   * @param {string} content - Feed content
+   * @param {string} format - json, jsonl, csv or xml
+   * @param {string} recordPath - Path of the records in JSON and XML documents
+   * @returns {Object} Parsed rows ({ row, record }) and row errors
+   */
+  parse(content, format, recordPath) {
+    const rows = [];
+    const errors = [];
+
+    if (format === 'jsonl') {
+      content.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+          rows.push({ row: index + 1, record: JSON.parse(line) });
+        } catch (error) {
+          errors.push({ row: index + 1, messages: [`Invalid JSON: ${error.message}`] });
+        }
+      });
+      return { rows, errors };
+    }
+
+    if (format === 'csv') {
+      let records;
+      try {
+        records = parseCsv(content, {
+          columns: true,
+          bom: true,
+          trim: true,
+          skip_empty_lines: true,
+          skip_records_with_error: true,
+          info: true,
+          on_skip: error => errors.push({ row: error.lines, messages: [error.message] })
+        });
+      } catch (error) {
+        throw new ApiError(400, 'IMPORT_FILE_INVALID', `Cannot read CSV: ${error.message}`);
+      }
+      records.forEach(({ record, info }) => rows.push({ row: info.lines, record }));
+      return { rows, errors };
+    }
+
+    let document;
+    if (format === 'xml') {
+      const validation = XMLValidator.validate(content);
+      if (validation !== true) {
+        throw new ApiError(400, 'IMPORT_FILE_INVALID', `Cannot read XML: ${validation.err.msg} (line ${validation.err.line})`);
+      }
+      document = new XMLParser({ parseTagValue: false, trimValues: true }).parse(content);
+    } else {
+      try {
+        document = JSON.parse(content);
+      } catch (error) {
+        throw new ApiError(400, 'IMPORT_FILE_INVALID', `Cannot read JSON: ${error.message}`);
+      }
+    }
+
+    const records = recordPath ? getPath(document, recordPath) : document;
+    if (records === undefined || records === null) {
+      throw new ApiError(400, 'IMPORT_FILE_INVALID', `No jobs found${recordPath ? ` at ${recordPath}` : ''}`);
+    }
+
+    [].concat(records).forEach((record, index) => rows.push({ row: index + 1, record }));
+    return { rows, errors };
+  }
+
+  /**
+   * Map a source record to job fields
+   * @param {Object} record - Source record
+   * @param {Object} fields - Field mapping (job field to source path)
+   * @returns {Object} Job fields
+   */
+  mapRecord(record, fields) {
+    const job = {};
+
+    if (!record || typeof record !== 'object') {
+      return job;
+    }
+
+    Object.entries(fields).forEach(([field, source]) => {
+      const value = Array.isArray(source)
+        ? source.map(sourcePath => getPath(record, sourcePath)).filter(part => part !== undefined && part !== '').join(', ')
+        : getPath(record, source);
+
+      if (value !== undefined && value !== '') {
+        setPath(job, field, value);
+      }
+    });
+
+    return job;
+  }
+
+  /**
+   * Bring partner values to the shape of JobSchema; values that still don't fit
+   * are left for schema validation to report
+   * @param {Object} job - Mapped job fields
+   * @returns {Object} Job fields
+   */
+  normalize(job) {
+    Object.keys(job).forEach(field => {
+      if (typeof job[field] === 'string') job[field] = job[field].trim();
+    });
+
+    if (typeof job.type === 'string') {
+      const type = job.type.toUpperCase().replace(/[\s-]+/g, '_');
+      job.type = TYPE_ALIASES[type.replace(/_/g, '')] || type;
+    }
+
+    if (typeof job.language === 'string') {
+      const language = job.language.toLowerCase();
+      job.language = LANGUAGE_ALIASES[language] || language;
+    }
+
+    if (typeof job.remote === 'string') {
+      job.remote = /^(true|yes|s[ií]|1)$/i.test(job.remote) || /remot/i.test(job.remote);
+    }
+
+    if (typeof job.requirements === 'string') {
+      job.requirements = job.requirements.split(/\r?\n|\|/).map(item => item.trim()).filter(Boolean);
+    } else if (job.requirements && !Array.isArray(job.requirements) && typeof job.requirements === 'object') {
+      // <requirements><requirement>..</requirement></requirements>
+      job.requirements = Object.values(job.requirements).flat().map(item => String(item).trim()).filter(Boolean);
+    }
+
+    ['min', 'max'].forEach(bound => {
+      const value = job.salary?.[bound];
+      if (typeof value === 'string') {
+        const digits = value.replace(/[^\d.-]/g, '');
+        job.salary[bound] = digits && Number.isFinite(Number(digits)) ? Number(digits) : value;
+      }
+    });
+
+    // Feeds without IDs get one from the listing itself, so re-imports still match
+    if (job.externalId === undefined) {
+      job.externalId = crypto.createHash('sha1').update(jobImportService.matchKey(job)).digest('hex').slice(0, 24);
+    }
+
+    return job;
+  }
+
+  /**
+   * Import a partner feed. Rows that fail to parse or validate are reported and
+   * the other rows are imported. Missing jobs are only deactivated when every row
+   * could be read, so a truncated feed doesn't hide listings.
+   * @param {string|Buffer} content - Feed content
+   * @param {Object} options - Import options
+   * @param {string} options.source - Source name (see config/job-feeds.js)
+   * @param {string} options.format - json, jsonl, csv or xml (default: from the source or file name)
+   * @param {string} options.fileName - Feed file name
+   * @param {boolean} options.dryRun - Only report what would change
+   * @returns {Promise<Object>} Import report by feed row
+   */
+  async importFeed(content, { source, format, fileName, dryRun = false } = {}) {
+    if (!SOURCE_PATTERN.test(source || '') || source === SEED_SOURCE) {
+      throw new ApiError(400, 'IMPORT_SOURCE_INVALID', 'source must be 1-40 lowercase letters, digits, - or _ (and not "seed")');
+    }
+
+    if (!content || content.length === 0) {
+      throw new ApiError(400, 'IMPORT_FILE_INVALID', 'Feed is empty');
+    }
+
+    const sourceConfig = jobFeedsConfig.SOURCES[source] || {};
+    const resolvedFormat = this.resolveFormat(sourceConfig, format, fileName);
+    const { rows, errors } = this.parse(String(content), resolvedFormat, sourceConfig.recordPath);
+
+    const jobs = rows.map(({ record }) => this.normalize(this.mapRecord(record, sourceConfig.fields || jobFeedsConfig.DEFAULT_FIELDS)));
+    const report = await jobImportService.importJobs(jobs, { source, dryRun, deactivateMissing: errors.length === 0 });
+
+    // Refer to feed rows instead of positions in the parsed jobs
+    const toRow = index => (index === null || index === undefined ? null : rows[index].row);
+    const withRow = ({ index, ...entry }) => ({ row: toRow(index), ...entry });
+
+    return {
+      ...report,
+      format: resolvedFormat,
+      total: rows.length + errors.length,
+      created: report.created.map(withRow),
+      updated: report.updated.map(withRow),
+      skipped: report.skipped.map(entry => ({
+        ...withRow(entry),
+        duplicateOf: entry.duplicateOf.index === undefined ? entry.duplicateOf : { row: toRow(entry.duplicateOf.index) }
+      })),
+      errors: errors.concat(report.errors.map(withRow)).sort((a, b) => (a.row ?? Infinity) - (b.row ?? Infinity)),
+      deactivationSkipped: errors.length > 0
+    };
+  }
+}
+
+module.exports = new JobFeedService();
@@ -0,0 +1,310 @@
+const fs = require('fs');
+const path = require('path');
+const JobModel = require('../models/job.model.js');
+const ApiError = require('../utils/api-error.js');
+
+// Jobs bundled with the app
+const SEED_FILE = path.join(__dirname, '../../data/jobs.json');
+const SEED_SOURCE = 'seed';
+
+// Fields an import keeps in sync with its source
+const SYNCED_FIELDS = [
+  'title', 'company', 'description', 'requirements', 'salary', 'location',
+  'remote', 'type', 'category', 'applicationUrl', 'contactEmail', 'language'
+];
+
+// Operations per bulk write
+const WRITE_BATCH_SIZE = 1000;
+
+/**
+ * Compare two field values as stored in MongoDB
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Whether they are equal
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Service for importing job feeds. Jobs are matched on their source and external ID,
+ * so existing jobs keep their ObjectId (and the UserJob, Chat and Transaction
+ * references to it) across imports.
+ */
+class JobImportService {
+  /**
+   * Import the jobs of a source: add new jobs, update changed ones and deactivate
+   * the active jobs the source no longer lists. Invalid rows and listings that are
+   * already in the import or in another source (same company, title and location)
+   * are reported and left out; everything else is imported.
+   * @param {Array} records - Jobs, each with an externalId
+   * @param {Object} options - Import options
+   * @param {string} options.source - Source name
+   * @param {boolean} options.dryRun - Only report what would change
+   * @param {boolean} options.deactivateMissing - Deactivate the jobs missing from the records
+   * @returns {Promise<Object>} Import report with the diff
+   */
+  async importJobs(records, { source = SEED_SOURCE, dryRun = false, deactivateMissing = true } = {}) {
+    if (!Array.isArray(records)) {
+      throw new ApiError(400, 'IMPORT_INVALID', 'Jobs must be an array');
+    }
+
+    const report = {
+      source,
+      dryRun,
+      total: records.length,
+      created: [],
+      updated: [],
+      deactivated: [],
+      unchanged: 0,
+      skipped: [],
+      errors: []
+    };
+
+    const existing = await JobModel.find({ source, externalId: { $exists: true } }).lean();
+    const byExternalId = new Map(existing.map(job => [job.externalId, job]));
+
+    // Jobs seeded before external IDs existed are adopted instead of duplicated
+    const legacy = await JobModel.find({
+      source: { $exists: false },
+      externalId: { $exists: false },
+      ownerId: { $exists: false }
+    }).lean();
+    const byLegacyKey = new Map(legacy.map(job => [this.matchKey(job), job]));
+
+    // Listings other sources already provide
+    const others = await JobModel.find({ source: { $exists: true, $ne: source }, active: true })
+      .select('company title location source')
+      .lean();
+    const byOtherKey = new Map(others.map(job => [this.matchKey(job), job]));
+
+    const seen = new Set();
+    const keys = new Map();
+    const operations = [];
+    // Report entry of each operation, to undo it when the write fails
+    const pending = [];
+
+    const addOperation = (operation, list, entry, index) => {
+      list.push(entry);
+      operations.push(operation);
+      pending.push({ list, entry, index });
+    };
+
+    records.forEach((record, index) => {
+      const externalId = record?.externalId === undefined || record?.externalId === null
+        ? ''
+        : String(record.externalId).trim();
+
+      if (!externalId) {
+        report.errors.push({ index, externalId: null, messages: ['externalId is required'] });
+        return;
+      }
+
+      if (seen.has(externalId)) {
+        report.errors.push({ index, externalId, messages: ['Duplicate externalId in this import'] });
+        return;
+      }
+      seen.add(externalId);
+
+      const fields = {};
+      SYNCED_FIELDS.forEach(field => {
+        if (record[field] !== undefined) fields[field] = record[field];
+      });
+
+      // Imported listings are public right away
+      const doc = new JobModel({ ...fields, source, externalId, status: 'PUBLISHED' });
+      const validation = doc.validateSync();
+      if (validation) {
+        report.errors.push({ index, externalId, messages: Object.values(validation.errors).map(error => error.message) });
+        return;
+      }
+
+      const next = doc.toObject();
+      const key = this.matchKey(next);
+
+      if (keys.has(key)) {
+        report.skipped.push({ index, externalId, reason: 'DUPLICATE_IN_IMPORT', duplicateOf: { index: keys.get(key) } });
+        return;
+      }
+      keys.set(key, index);
+
+      let current = byExternalId.get(externalId);
+      const adopted = !current && byLegacyKey.get(key);
+      if (adopted) {
+        byLegacyKey.delete(key);
+        current = adopted;
+      }
+
+      const duplicate = !current && byOtherKey.get(key);
+      if (duplicate) {
+        report.skipped.push({
+          index,
+          externalId,
+          reason: 'DUPLICATE_OF_OTHER_SOURCE',
+          duplicateOf: { jobId: duplicate._id, source: duplicate.source }
+        });
+        return;
+      }
+
+      if (!current) {
+        addOperation({ insertOne: { document: next } }, report.created, { index, externalId, title: next.title }, index);
+        return;
+      }
+
+      const changes = {};
+      for (const field of [...SYNCED_FIELDS, 'active', 'status', 'source', 'externalId']) {
+        if (!sameValue(current[field], next[field])) {
+          changes[field] = { from: current[field] ?? null, to: next[field] ?? null };
+        }
+      }
+
+      if (Object.keys(changes).length === 0) {
+        report.unchanged++;
+        return;
+      }
+
+      const set = { updatedAt: new Date() };
+      Object.keys(changes).forEach(field => { set[field] = next[field]; });
+      addOperation(
+        { updateOne: { filter: { _id: current._id }, update: { $set: set } } },
+        report.updated,
+        { index, externalId, jobId: current._id, changes },
+        index
+      );
+    });
+
+    if (deactivateMissing) {
+      existing
+        .filter(job => job.active && !seen.has(job.externalId))
+        .forEach(job => addOperation(
+          { updateOne: { filter: { _id: job._id }, update: { $set: { active: false, updatedAt: new Date() } } } },
+          report.deactivated,
+          { externalId: job.externalId, jobId: job._id, title: job.title },
+          null
+        ));
+    }
+
+    if (!dryRun) {
+      for (let start = 0; start < operations.length; start += WRITE_BATCH_SIZE) {
+        try {
+          await JobModel.bulkWrite(operations.slice(start, start + WRITE_BATCH_SIZE), { ordered: false });
+        } catch (error) {
+          if (!error.writeErrors) {
+            throw error;
+          }
+
+          // Unordered writes go on after a failure: only the failed rows become errors
+          [].concat(error.writeErrors).forEach(writeError => {
+            const { list, entry, index } = pending[start + writeError.index];
+            list.splice(list.indexOf(entry), 1);
+            report.errors.push({ index, externalId: entry.externalId, messages: [writeError.errmsg] });
+          });
+        }
+      }
+    }
+
+    report.errors.sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity));
+    return report;
+  }
+
+  /**
+   * Key that identifies the same listing across sources
+   * @param {Object} job - Job
+   * @returns {string} Normalized company, title and location
+   */
+  matchKey(job) {
+    return [job.company, job.title, job.location].map(value => String(value || '').trim().toLowerCase()).join('|');
+  }
+
+  /**
+   * Read the jobs of a JSON file
+   * @param {string} filePath - File path
+   * @returns {Array} Jobs
+   */
+  readJsonFile(filePath) {
+    let records;
+    try {
+      records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new ApiError(400, 'IMPORT_FILE_INVALID', `Cannot read ${path.basename(filePath)}: ${error.message}`);
+    }
+
+    if (!Array.isArray(records)) {
+      throw new ApiError(400, 'IMPORT_FILE_INVALID', `${path.basename(filePath)} must contain an array of jobs`);
+    }
+
+    return records;
+  }
+
+  /**
+   * Import the bundled data/jobs.json
+   * @param {Object} options - Import options
+   * @param {boolean} options.dryRun - Only report what would change
+   * @returns {Promise<Object>} Import report
+   */
+  async importSeedFile({ dryRun = false } = {}) {
+    return this.importJobs(this.readJsonFile(SEED_FILE), { source: SEED_SOURCE, dryRun });
+  }
+
+  /**
+   * Bring the indexes of the jobs collection in line with JobSchema, e.g. after the
+   * text index changed. MongoDB allows a single text index per collection, so an
+   * outdated one is dropped before the new one is built.
+   * @param {Object} options - Sync options
+   * @param {boolean} options.dryRun - Only report what would change
+   * @returns {Promise<Object>} Names of the dropped and created indexes
+   */
+  async syncIndexes({ dryRun = false } = {}) {
+    const [, textOptions] = JobModel.schema.indexes().find(([fields]) => Object.values(fields).includes('text'));
+
+    let existing;
+    try {
+      existing = await JobModel.collection.indexes();
+    } catch (error) {
+      if (error.codeName !== 'NamespaceNotFound') {
+        throw error;
+      }
+      existing = [];
+    }
+
+    const staleText = existing
+      .filter(index => index.textIndexVersion !== undefined
+        && (index.name !== textOptions.name || index.language_override !== textOptions.language_override))
+      .map(index => index.name);
+
+    const diff = existing.length > 0
+      ? await JobModel.diffIndexes()
+      : { toDrop: [], toCreate: JobModel.schema.indexes().map(([fields]) => fields) };
+    const indexName = fields => (Object.values(fields).includes('text')
+      ? textOptions.name
+      : Object.entries(fields).map(([field, type]) => `${field}_${type}`).join('_'));
+    const dropped = [...new Set([...staleText, ...diff.toDrop])];
+    const created = [...new Set([
+      ...diff.toCreate.map(indexName),
+      ...(staleText.length > 0 ? [textOptions.name] : [])
+    ])];
+
+    if (!dryRun) {
+      for (const name of staleText) {
+        await JobModel.collection.dropIndex(name);
+      }
+      await JobModel.syncIndexes();
+    }
+
+    return { dryRun, dropped, created };
+  }
+
+  /**
+   * Summarize an import report in one line
+   * @param {Object} report - Import report
+   * @returns {string} Summary
+   */
+  summarize(report) {
+    return `${report.dryRun ? '[dry run] ' : ''}${report.source}: ${report.total} jobs, ` +
+      `${report.created.length} created, ${report.updated.length} updated, ` +
+      `${report.deactivated.length} deactivated, ${report.unchanged} unchanged, ` +
+      `${report.skipped.length} skipped, ${report.errors.length} errors`;
+  }
+}
+
+module.exports = new JobImportService();
@@ -0,0 +1,243 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const JobModel = require('../models/job.model.js');
+const jobsConfig = require('../config/jobs.js');
+const ApiError = require('../utils/api-error.js');
+
+// Status changes an owner can make
+const TRANSITIONS = {
+  DRAFT: ['PUBLISHED'],
+  PUBLISHED: ['CLOSED'],
+  CLOSED: [],
+  EXPIRED: []
+};
+
+const salarySchema = Joi.object({
+  min: Joi.number().min(0),
+  max: Joi.number().min(0).when('min', { is: Joi.exist(), then: Joi.number().min(Joi.ref('min')) }),
+  currency: Joi.string().uppercase().length(3).default('USD')
+}).or('min', 'max');
+
+const jobFields = {
+  title: Joi.string().trim().min(3).max(150),
+  company: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().min(20).max(10000),
+  requirements: Joi.array().items(Joi.string().trim().min(1).max(300)).max(30),
+  salary: salarySchema,
+  location: Joi.string().trim().min(1).max(100),
+  remote: Joi.boolean(),
+  type: Joi.string().valid(...jobsConfig.TYPES),
+  category: Joi.string().valid(...jobsConfig.CATEGORIES),
+  applicationUrl: Joi.string().uri({ scheme: ['http', 'https'] }),
+  contactEmail: Joi.string().email(),
+  language: Joi.string().valid(...jobsConfig.LANGUAGES)
+};
+
+const createSchema = Joi.object({
+  ...jobFields,
+  status: Joi.string().valid('DRAFT', 'PUBLISHED').default('DRAFT')
+}).fork(['title', 'company', 'description', 'location', 'category'], field => field.required());
+
+const updateSchema = Joi.object({
+  ...jobFields,
+  status: Joi.string().valid('PUBLISHED', 'CLOSED')
+}).min(1);
+
+/**
+ * Service for job listings posted by employers
+ */
+class JobPostingService {
+  /**
+   * Validate a listing payload
+   * @param {Joi.Schema} schema - Joi schema
+   * @param {Object} data - Request body
+   * @returns {Object} Validated fields
+   */
+  validate(schema, data) {
+    const { value, error } = schema.validate(data || {}, { abortEarly: false, stripUnknown: true });
+
+    if (error) {
+      throw new ApiError(400, 'JOB_INVALID', error.details.map(detail => detail.message).join('; '));
+    }
+
+    return value;
+  }
+
+  /**
+   * Move a listing to a new status
+   * @param {Object} job - Job document
+   * @param {string} status - New status
+   */
+  applyStatus(job, status) {
+    if (!TRANSITIONS[job.status].includes(status)) {
+      throw new ApiError(409, 'JOB_STATUS_INVALID', `A ${job.status.toLowerCase()} listing cannot be ${status.toLowerCase()}`);
+    }
+
+    const now = new Date();
+    job.status = status;
+
+    if (status === 'PUBLISHED') {
+      job.publishedAt = now;
+      job.postedAt = now;
+      job.expiresAt = new Date(now.getTime() + jobsConfig.POSTING_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+    }
+
+    if (status === 'CLOSED') {
+      job.closedAt = now;
+    }
+  }
+
+  /**
+   * Create a listing, as a draft unless status is PUBLISHED
+   * @param {string} ownerId - Employer user ID
+   * @param {Object} data - Listing fields
+   * @returns {Promise<Object>} Created job
+   */
+  async createJob(ownerId, data) {
+    const { status, ...fields } = this.validate(createSchema, data);
+
+    const job = new JobModel({ ...fields, ownerId, status: 'DRAFT' });
+    if (status === 'PUBLISHED') {
+      this.applyStatus(job, status);
+    }
+
+    await job.save();
+    return job;
+  }
+
+  /**
+   * Get a listing of its owner
+   * @param {string} ownerId - Employer user ID
+   * @param {string} id - Job ID
+   * @returns {Promise<Object>} Job
+   */
+  async getOwnedJob(ownerId, id) {
+    const job = mongoose.isValidObjectId(id) ? await JobModel.findOne({ _id: id, ownerId }) : null;
+
+    if (!job) {
+      throw new ApiError(404, 'JOB_NOT_FOUND', 'Job not found');
+    }
+
+    return job;
+  }
+
+  /**
+   * Edit a draft or published listing, or publish or close it
+   * @param {string} ownerId - Employer user ID
+   * @param {string} id - Job ID
+   * @param {Object} data - Fields to change, optionally with a new status
+   * @returns {Promise<Object>} Updated job
+   */
+  async updateJob(ownerId, id, data) {
+    const { status, ...fields } = this.validate(updateSchema, data);
+    const job = await this.getOwnedJob(ownerId, id);
+
+    if (!['DRAFT', 'PUBLISHED'].includes(job.status)) {
+      throw new ApiError(409, 'JOB_NOT_EDITABLE', `A ${job.status.toLowerCase()} listing cannot be changed`);
+    }
+
+    job.set(fields);
+    if (status && status !== job.status) {
+      this.applyStatus(job, status);
+    }
+    job.updatedAt = new Date();
+
+    await job.save();
+    return job;
+  }
+
+  /**
+   * Delete a draft; published listings are closed instead, so the interactions and
+   * payments that refer to them keep working
+   * @param {string} ownerId - Employer user ID
+   * @param {string} id - Job ID
+   * @returns {Promise<Object>} Whether the job was deleted, and the closed job otherwise
+   */
+  async deleteJob(ownerId, id) {
+    const job = await this.getOwnedJob(ownerId, id);
+
+    if (job.status === 'DRAFT') {
+      await job.deleteOne();
+      return { deleted: true };
+    }
+
+    if (job.status === 'PUBLISHED') {
+      this.applyStatus(job, 'CLOSED');
+      job.updatedAt = new Date();
+      await job.save();
+    }
+
+    return { deleted: false, job };
+  }
+
+  /**
+   * List an employer's own listings, drafts included
+   * @param {string} ownerId - Employer user ID
+   * @param {Object} filters - Optional status filter
+   * @param {Object} pagination - Page and limit
+   * @returns {Promise<Object>} Paginated jobs
+   */
+  async listOwnJobs(ownerId, { status } = {}, { page, limit } = {}) {
+    page = parseInt(page) || 1;
+    limit = Math.min(parseInt(limit) || 20, 100);
+
+    const query = { ownerId };
+    if (status) {
+      if (!jobsConfig.STATUSES.includes(status)) {
+        throw new ApiError(400, 'JOB_STATUS_INVALID', `status must be one of: ${jobsConfig.STATUSES.join(', ')}`);
+      }
+      query.status = status;
+    }
+
+    const [jobs, total] = await Promise.all([
+      JobModel.find(query)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      JobModel.countDocuments(query)
+    ]);
+
+    return {
+      jobs,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Mark published listings past their posting period as expired
+   * @returns {Promise<number>} Number of expired listings
+   */
+  async expireJobs() {
+    const now = new Date();
+    const result = await JobModel.updateMany(
+      { status: 'PUBLISHED', expiresAt: { $lte: now } },
+      { status: 'EXPIRED', updatedAt: now }
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`Expired ${result.modifiedCount} job listings`);
+    }
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Periodically expire listings
+   * @returns {NodeJS.Timeout} Interval handle
+   */
+  scheduleExpiry() {
+    const run = () => this.expireJobs().catch(error => {
+      console.error('Job expiry error:', error);
+    });
+
+    run();
+    return setInterval(run, jobsConfig.EXPIRY_INTERVAL_MS).unref();
+  }
+}
+
+module.exports = new JobPostingService();
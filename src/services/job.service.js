@@ -1,5 +1,9 @@
+const mongoose = require('mongoose');
 const JobModel = require('../models/job.model.js');
 const UserJobModel = require('../models/user-job.model.js');
+const jobsConfig = require('../config/jobs.js');
+const searchUtils = require('../utils/search.utils.js');
+const ApiError = require('../utils/api-error.js');
 const fs = require('fs');
 const path = require('path');
 
@@ -36,68 +40,105 @@ class JobService {
   }
 
   /**
-   * Seed database with jobs
-   * @returns {Promise<void>}
+   * Query for listings anyone can see: active, published and not past their expiry
+   * @returns {Object} MongoDB query
    */
-  async seedJobs() {
-    try {
-      console.log("Iniciando proceso de carga de trabajos...");
-      
-      // Forzar la eliminación de trabajos existentes
-      const existingCount = await JobModel.countDocuments();
-      console.log(`Se encontraron ${existingCount} trabajos existentes en la base de datos.`);
-      
-      if (existingCount > 0) {
-        console.log("Eliminando trabajos existentes...");
-        await JobModel.deleteMany({});
-        console.log("Trabajos existentes eliminados.");
-      }
-      
-      // Cargar trabajos desde el JSON
-      const jobs = await this.getJobsFromJson();
-      
-      if (jobs && jobs.length > 0) {
-        console.log(`Insertando ${jobs.length} trabajos en la base de datos...`);
-        
-        // Insertar trabajos con manejo de errores
-        try {
-          await JobModel.insertMany(jobs);
-          console.log(`¡${jobs.length} trabajos insertados correctamente!`);
-          
-          // Verificar que los trabajos se insertaron
-          const insertedCount = await JobModel.countDocuments();
-          console.log(`Verificación: Hay ${insertedCount} trabajos en la base de datos.`);
-          
-          // Verificar categorías disponibles
-          const categories = await JobModel.distinct('category');
-          console.log(`Categorías disponibles: ${categories.join(', ')}`);
-        } catch (insertError) {
-          console.error('Error al insertar trabajos:', insertError);
-          
-          // Intentar insertar uno por uno para identificar problemas
-          if (insertError.name === 'ValidationError' || insertError.name === 'BulkWriteError') {
-            console.log("Intentando insertar trabajos individualmente para identificar errores...");
-            let successCount = 0;
-            
-            for (let i = 0; i < jobs.length; i++) {
-              try {
-                const job = new JobModel(jobs[i]);
-                await job.save();
-                successCount++;
-              } catch (individualError) {
-                console.error(`Error al insertar trabajo #${i + 1}:`, individualError);
-              }
-            }
-            
-            console.log(`Se insertaron ${successCount} de ${jobs.length} trabajos individualmente.`);
-          }
-        }
-      } else {
-        console.error("No se encontraron trabajos en el archivo JSON.");
-      }
-    } catch (error) {
-      console.error('Error general en la carga de trabajos:', error);
+  publicQuery() {
+    return {
+      active: true,
+      // Jobs imported before listings had a status are published
+      status: { $in: ['PUBLISHED', null] },
+      expiresAt: { $not: { $lte: new Date() } }
+    };
+  }
+
+  /**
+   * Get a listing anyone can see, e.g. before a user pays for a chat or link about it
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} Job
+   */
+  async getPublicJob(jobId) {
+    const job = mongoose.isValidObjectId(jobId)
+      ? await JobModel.findOne({ _id: jobId, ...this.publicQuery() })
+      : null;
+    
+    if (!job) {
+      throw new ApiError(404, 'JOB_NOT_FOUND', 'Job not found or no longer open');
+    }
+    
+    return job;
+  }
+
+  /**
+   * Names of the published categories a category filter refers to, by name or slug
+   * @param {string} value - Category name or slug
+   * @returns {Promise<Array>} Category names
+   */
+  async resolveCategory(value) {
+    const names = await JobModel.distinct('category', this.publicQuery());
+    const matches = names.filter(name => name === value || searchUtils.slugify(name) === value);
+    
+    return matches.length > 0 ? matches : [String(value)];
+  }
+
+  /**
+   * Build the query of a filter set: the visibility and search part, and one
+   * condition per facet filter
+   * @param {Object} filters - Filter criteria
+   * @returns {Promise<Object>} Search string, base query and facet conditions
+   */
+  async buildQuery(filters = {}) {
+    // Only show published listings
+    const base = this.publicQuery();
+    const conditions = {};
+    
+    const search = typeof filters.search === 'string'
+      ? filters.search.trim().slice(0, jobsConfig.MAX_SEARCH_LENGTH)
+      : '';
+    
+    if (search) {
+      // Full-text search on the text index, ignoring case and accents
+      base.$text = {
+        $search: search,
+        $language: jobsConfig.LANGUAGES.includes(filters.language) ? filters.language : 'es',
+        $caseSensitive: false,
+        $diacriticSensitive: false
+      };
+    }
+    
+    if (filters.category) {
+      conditions.category = { category: { $in: await this.resolveCategory(filters.category) } };
+    }
+    
+    if (filters.type) {
+      conditions.type = { type: filters.type };
+    }
+    
+    if (filters.location) {
+      conditions.location = { location: { $regex: searchUtils.escapeRegex(filters.location), $options: 'i' } };
+    }
+    
+    if (filters.remote) {
+      conditions.remote = { remote: filters.remote === 'true' };
     }
+    
+    if (filters.minSalary) {
+      conditions.salary = { 'salary.min': { $gte: Number(filters.minSalary) } };
+    }
+    
+    return { search, base, conditions };
+  }
+
+  /**
+   * Combine facet conditions into one query
+   * @param {Object} conditions - Conditions from buildQuery
+   * @param {string} except - Facet to leave out
+   * @returns {Object} MongoDB query
+   */
+  combine(conditions, except = null) {
+    return Object.entries(conditions)
+      .filter(([name]) => name !== except)
+      .reduce((query, [, condition]) => ({ ...query, ...condition }), {});
   }
 
   /**
@@ -108,53 +149,8 @@ class JobService {
    */
   async getJobs(filters = {}, pagination = { page: 1, limit: 10 }) {
     try {
-      // Verificar que hay trabajos en la base de datos
-      const totalJobs = await JobModel.countDocuments();
-      console.log(`Total de trabajos en la base de datos: ${totalJobs}`);
-      
-      // Si no hay trabajos, intentar cargarlos
-      if (totalJobs === 0) {
-        console.log("No hay trabajos en la base de datos. Intentando cargarlos...");
-        await this.seedJobs();
-      }
-      
-      const query = {};
-      
-      // Apply filters
-      if (filters.search) {
-        // Buscar en título, descripción, empresa y categoría
-        query.$or = [
-          { title: { $regex: new RegExp(filters.search, 'i') } },
-          { description: { $regex: new RegExp(filters.search, 'i') } },
-          { company: { $regex: new RegExp(filters.search, 'i') } },
-          { category: { $regex: new RegExp(filters.search, 'i') } }
-        ];
-      }
-      
-      if (filters.category) {
-        query.category = filters.category;
-      }
-      
-      if (filters.type) {
-        query.type = filters.type;
-      }
-      
-      if (filters.location) {
-        query.location = { $regex: new RegExp(filters.location, 'i') };
-      }
-      
-      if (filters.remote) {
-        query.remote = filters.remote === 'true';
-      }
-      
-      if (filters.minSalary) {
-        query['salary.min'] = { $gte: Number(filters.minSalary) };
-      }
-      
-      // Only show active jobs (si existe el campo)
-      if ('active' in JobModel.schema.paths) {
-        query.active = true;
-      }
+      const { search, base, conditions } = await this.buildQuery(filters);
+      const query = { ...base, ...this.combine(conditions) };
       
       console.log("Filtros aplicados:", JSON.stringify(query));
       
@@ -163,14 +159,19 @@ class JobService {
       const limit = parseInt(pagination.limit) || 10;
       const skip = (page - 1) * limit;
       
-      // Execute query with pagination
-      const jobs = await JobModel.find(query)
-        .sort({ postedAt: -1 })
+      // Execute query with pagination, most relevant first when searching
+      const jobs = await JobModel.find(query, search ? { score: { $meta: 'textScore' } } : {})
+        .sort(search ? { score: { $meta: 'textScore' }, postedAt: -1 } : { postedAt: -1 })
         .skip(skip)
-        .limit(limit);
+        .limit(limit)
+        .lean();
       
       console.log(`Se encontraron ${jobs.length} trabajos que coinciden con los filtros.`);
       
+      if (search) {
+        this.addHighlights(jobs, search);
+      }
+      
       // Get total count for pagination
       const total = await JobModel.countDocuments(query);
       
@@ -190,13 +191,93 @@ class JobService {
   }
 
   /**
-   * Get a single job by ID
+   * Count the jobs per category, type, remote flag, location and salary bucket.
+   * Each facet applies every filter except its own, so the other options of a
+   * filter keep their counts once one is selected.
+   * @param {Object} filters - Filter criteria, as for getJobs
+   * @returns {Promise<Object>} Total and counts per facet
+   */
+  async getFacets(filters = {}) {
+    try {
+      const { base, conditions } = await this.buildQuery(filters);
+      const countBy = (facet, field, limit = 0) => [
+        { $match: this.combine(conditions, facet) },
+        { $group: { _id: field, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        ...(limit ? [{ $limit: limit }] : [])
+      ];
+      const boundaries = jobsConfig.SALARY_BUCKETS;
+      
+      const [result] = await JobModel.aggregate([
+        { $match: base },
+        {
+          $facet: {
+            total: [{ $match: this.combine(conditions) }, { $count: 'count' }],
+            categories: countBy('category', '$category'),
+            types: countBy('type', '$type'),
+            remote: countBy('remote', { $ifNull: ['$remote', false] }),
+            locations: countBy('location', '$location', jobsConfig.FACET_LOCATIONS_LIMIT),
+            salary: [
+              { $match: this.combine(conditions, 'salary') },
+              {
+                $bucket: {
+                  groupBy: '$salary.min',
+                  // The last bucket has no upper bound
+                  boundaries: [...boundaries, Number.MAX_SAFE_INTEGER],
+                  default: 'unknown',
+                  output: { count: { $sum: 1 } }
+                }
+              }
+            ]
+          }
+        }
+      ]);
+      
+      return {
+        total: result.total[0]?.count || 0,
+        categories: result.categories.map(({ _id, count }) => ({ name: _id, slug: searchUtils.slugify(_id), count })),
+        types: result.types.map(({ _id, count }) => ({ value: _id, count })),
+        remote: result.remote.map(({ _id, count }) => ({ value: _id, count })),
+        locations: result.locations.map(({ _id, count }) => ({ value: _id, count })),
+        salary: result.salary.map(({ _id, count }) => (_id === 'unknown'
+          ? { min: null, max: null, count }
+          : { min: _id, max: boundaries[boundaries.indexOf(_id) + 1] ?? null, count }))
+      };
+    } catch (error) {
+      console.error('Error getting job facets:', error);
+      throw new Error('Failed to get job facets');
+    }
+  }
+
+  /**
+   * Add the matched parts of the title, company, category and a description snippet
+   * to search results
+   * @param {Array} jobs - Search results
+   * @param {string} search - Search string
+   */
+  addHighlights(jobs, search) {
+    const pattern = searchUtils.searchPattern(search);
+    
+    jobs.forEach(job => {
+      job.highlights = ['title', 'company', 'category', 'description']
+        .map(field => ({ path: field, texts: searchUtils.highlight(job[field], pattern, field === 'description') }))
+        .filter(highlight => highlight.texts);
+    });
+  }
+
+  /**
+   * Get a single job by ID. Unpublished listings are only found for their owner.
    * @param {string} jobId - Job ID
+   * @param {string} viewerId - Optional ID of the user asking
    * @returns {Promise<Object>} Job object
    */
-  async getJobById(jobId) {
+  async getJobById(jobId, viewerId = null) {
     try {
-      const job = await JobModel.findById(jobId);
+      const visible = viewerId
+        ? { $or: [this.publicQuery(), { ownerId: viewerId }] }
+        : this.publicQuery();
+      
+      const job = await JobModel.findOne({ _id: jobId, ...visible });
       
       if (!job) {
         throw new Error('Job not found');
@@ -223,11 +304,7 @@ class JobService {
         throw new Error('Invalid status');
       }
       
-      const job = await JobModel.findById(jobId);
-      
-      if (!job) {
-        throw new Error('Job not found');
-      }
+      await this.getPublicJob(jobId);
       
       // Find or create user-job relation
       let userJob = await UserJobModel.findOne({ userId, jobId });
@@ -246,6 +323,9 @@ class JobService {
       await userJob.save();
       return userJob;
     } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
       console.error('Error updating job status:', error);
       throw new Error('Failed to update job status');
     }
@@ -260,11 +340,7 @@ class JobService {
    */
   async generateJobLink(userId, jobId, transactionId) {
     try {
-      const job = await JobModel.findById(jobId);
-      
-      if (!job) {
-        throw new Error('Job not found');
-      }
+      await this.getPublicJob(jobId);
       
       // Find user-job relation
       let userJob = await UserJobModel.findOne({ userId, jobId });
@@ -293,6 +369,9 @@ class JobService {
       
       return userJob;
     } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
       console.error('Error generating job link:', error);
       throw new Error('Failed to generate job link');
     }
@@ -324,30 +403,30 @@ class JobService {
   }
 
   /**
-   * Get job categories
-   * @returns {Promise<Array>} Array of categories
+   * Get the categories of published jobs with their slug and number of jobs
+   * @returns {Promise<Array>} Categories ({ name, slug, count }), largest first
    */
   async getCategories() {
     try {
       // Intentar obtener categorías de la base de datos
-      const categories = await JobModel.distinct('category');
-      
-      // Si no hay categorías, intentar cargar los trabajos primero
-      if (categories.length === 0) {
-        console.log("No se encontraron categorías. Intentando cargar trabajos primero...");
-        await this.seedJobs();
-        return await JobModel.distinct('category');
-      }
+      const categories = await JobModel.aggregate([
+        { $match: this.publicQuery() },
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+      ]);
       
-      return categories;
+      return categories.map(({ _id, count }) => ({ name: _id, slug: searchUtils.slugify(_id), count }));
     } catch (error) {
       console.error('Error getting job categories:', error);
       
       // Si hay un error en la base de datos, intentar obtener categorías del JSON directamente
       try {
         const jobs = await this.getJobsFromJson();
-        const categories = [...new Set(jobs.map(job => job.category))];
-        console.log("Categorías obtenidas directamente del JSON:", categories);
+        const counts = jobs.reduce((total, job) => total.set(job.category, (total.get(job.category) || 0) + 1), new Map());
+        const categories = [...counts]
+          .map(([name, count]) => ({ name, slug: searchUtils.slugify(name), count }))
+          .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+        console.log("Categorías obtenidas directamente del JSON:", categories.map(category => category.name));
         return categories;
       } catch (jsonError) {
         console.error('Error getting categories from JSON:', jsonError);
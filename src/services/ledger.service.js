@@ -0,0 +1,277 @@
+const LedgerEntryModel = require('../models/ledger-entry.model.js');
+const paymentsConfig = require('../config/payments.js');
+const ApiError = require('../utils/api-error.js');
+
+// Platform-side accounts that balance user postings
+const ACCOUNTS = {
+  DEPOSITS: 'platform:deposits',
+  REVENUE: 'platform:revenue',
+  MARKETING: 'platform:marketing',
+  // Clears balances moved between user accounts
+  TRANSFERS: 'platform:transfers'
+};
+
+// How often a posting is retried when another posting took the same sequence number
+const MAX_RETRIES = 5;
+
+/**
+ * Service for the prepaid credit ledger (double-entry, balance computed from entries)
+ */
+class LedgerService {
+  /**
+   * Ledger account of a user
+   * @param {string} userId - User ID
+   * @returns {string} Account name
+   */
+  userAccount(userId) {
+    return `user:${userId}`;
+  }
+
+  /**
+   * Compute a user's balance from the ledger
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Balance and last sequence number
+   */
+  async getBalance(userId) {
+    const [result] = await LedgerEntryModel.aggregate([
+      { $match: { account: this.userAccount(userId) } },
+      {
+        $group: {
+          _id: null,
+          balance: { $sum: '$amount' },
+          sequence: { $max: '$sequence' }
+        }
+      }
+    ]);
+
+    return {
+      balance: result ? result.balance : 0,
+      sequence: result ? result.sequence : 0
+    };
+  }
+
+  /**
+   * Post a journal between a user account and a platform account.
+   * The user entry takes the next sequence number of the account; if a concurrent
+   * posting took it first the balance is re-read and the posting retried, so two
+   * spends can never both draw on the same credits. The counter entry is written
+   * after the user entry; a posting that stopped in between is completed when it
+   * is posted again.
+   * @param {Object} posting - Posting details
+   * @param {string} posting.journalId - Unique journal ID (makes the posting idempotent)
+   * @param {string} posting.type - Entry type, see the ledger entry model
+   * @param {string} posting.userId - User ID
+   * @param {number} posting.amount - Signed credit amount for the user account
+   * @param {string} posting.counterAccount - Platform account
+   * @param {string} posting.transactionId - Related transaction
+   * @param {string} posting.description - Description shown in the history
+   * @returns {Promise<Object>} User ledger entry
+   */
+  async post({ journalId, type, userId, amount, counterAccount, transactionId, description }) {
+    const account = this.userAccount(userId);
+
+    for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+      const existing = await LedgerEntryModel.findOne({ journalId, account });
+      if (existing) {
+        await this.completeJournal(existing, counterAccount);
+        return existing;
+      }
+
+      const { balance, sequence } = await this.getBalance(userId);
+
+      if (amount < 0 && balance + amount < 0) {
+        throw new ApiError(402, 'INSUFFICIENT_CREDITS', `Insufficient credits: balance ${balance}, needed ${-amount}`);
+      }
+
+      let entry;
+      try {
+        entry = await LedgerEntryModel.create(
+          { journalId, account, userId, amount, sequence: sequence + 1, type, transactionId, description }
+        );
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        // Lost the race for the sequence number (or the journal was posted meanwhile), try again
+        continue;
+      }
+
+      await this.completeJournal(entry, counterAccount);
+      return entry;
+    }
+
+    throw new ApiError(409, 'LEDGER_CONFLICT', 'Too many concurrent balance changes, please retry');
+  }
+
+  /**
+   * Write the counter entry of a journal if it is missing, so the journal sums to zero
+   * @param {Object} entry - User entry of the journal
+   * @param {string} counterAccount - Platform account
+   * @returns {Promise<void>}
+   */
+  async completeJournal(entry, counterAccount) {
+    try {
+      await LedgerEntryModel.updateOne(
+        { journalId: entry.journalId, account: counterAccount },
+        {
+          $setOnInsert: {
+            amount: -entry.amount,
+            type: entry.type,
+            transactionId: entry.transactionId,
+            description: entry.description
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // A concurrent retry wrote the counter entry first
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Credit a completed deposit to the user's balance
+   * @param {Object} transaction - Completed DEPOSIT transaction
+   * @returns {Promise<Object>} User ledger entry
+   */
+  async creditDeposit(transaction) {
+    const rate = paymentsConfig.CREDITS_PER_TOKEN[transaction.token] || 1;
+
+    return this.post({
+      journalId: `deposit:${transaction._id}`,
+      type: 'DEPOSIT',
+      userId: transaction.userId,
+      amount: transaction.amount * rate,
+      counterAccount: ACCOUNTS.DEPOSITS,
+      transactionId: transaction._id,
+      description: `Deposit of ${transaction.amount} ${transaction.token}`
+    });
+  }
+
+  /**
+   * Spend credits for a paid action
+   * @param {Object} transaction - Transaction paid with credits
+   * @returns {Promise<Object>} User ledger entry
+   */
+  async spend(transaction) {
+    return this.post({
+      journalId: `spend:${transaction._id}`,
+      type: 'SPEND',
+      userId: transaction.userId,
+      amount: -transaction.amount,
+      counterAccount: ACCOUNTS.REVENUE,
+      transactionId: transaction._id,
+      description: `${transaction.type} paid with credits`
+    });
+  }
+
+  /**
+   * Give the credits for a refunded transaction back to the user
+   * @param {Object} transaction - Refunded transaction
+   * @param {number} credits - Credits to give back
+   * @returns {Promise<Object>} User ledger entry
+   */
+  async refund(transaction, credits) {
+    return this.post({
+      journalId: `refund:${transaction._id}`,
+      type: 'REFUND',
+      userId: transaction.userId,
+      amount: credits,
+      counterAccount: ACCOUNTS.REVENUE,
+      transactionId: transaction._id,
+      description: `Refund of ${transaction.type}`
+    });
+  }
+
+  /**
+   * Reward a referrer for a referred user's first paid action (once per referred user)
+   * @param {string} referrerId - User who shared the referral code
+   * @param {Object} transaction - First paid transaction of the referred user
+   * @param {number} credits - Reward
+   * @returns {Promise<Object>} User ledger entry
+   */
+  async creditReferral(referrerId, transaction, credits) {
+    return this.post({
+      journalId: `referral:${transaction.userId}`,
+      type: 'REFERRAL',
+      userId: referrerId,
+      amount: credits,
+      counterAccount: ACCOUNTS.MARKETING,
+      transactionId: transaction._id,
+      description: 'Referral reward'
+    });
+  }
+
+  /**
+   * Move the whole balance of a merged duplicate account to the account it was merged into.
+   * Posted as two journals through the transfers account; re-running it after an
+   * interruption completes the transfer without moving the balance twice.
+   * @param {string} fromUserId - Duplicate account
+   * @param {string} toUserId - Account that is kept
+   * @returns {Promise<Object|null>} Entry on the kept account, or null when there was nothing to move
+   */
+  async transferBalance(fromUserId, toUserId) {
+    const outJournalId = `merge-out:${fromUserId}`;
+    let out = await LedgerEntryModel.findOne({ journalId: outJournalId, account: this.userAccount(fromUserId) });
+
+    if (!out) {
+      const { balance } = await this.getBalance(fromUserId);
+      if (balance <= 0) {
+        return null;
+      }
+
+      out = await this.post({
+        journalId: outJournalId,
+        type: 'TRANSFER',
+        userId: fromUserId,
+        amount: -balance,
+        counterAccount: ACCOUNTS.TRANSFERS,
+        description: 'Balance moved to merged account'
+      });
+    }
+
+    return this.post({
+      journalId: `merge-in:${fromUserId}`,
+      type: 'TRANSFER',
+      userId: toUserId,
+      amount: -out.amount,
+      counterAccount: ACCOUNTS.TRANSFERS,
+      description: 'Balance of merged account'
+    });
+  }
+
+  /**
+   * Get the ledger history of a user
+   * @param {string} userId - User ID
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated ledger entries
+   */
+  async getHistory(userId, pagination = { page: 1, limit: 20 }) {
+    const query = { account: this.userAccount(userId) };
+    const page = parseInt(pagination.page) || 1;
+    const limit = Math.min(parseInt(pagination.limit) || 20, 100);
+
+    const entries = await LedgerEntryModel.find(query)
+      .select('journalId amount sequence type transactionId description createdAt')
+      .sort({ sequence: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await LedgerEntryModel.countDocuments(query);
+
+    return {
+      entries,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = new LedgerService();
+module.exports.ACCOUNTS = ACCOUNTS;
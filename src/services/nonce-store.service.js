@@ -0,0 +1,135 @@
+const NonceModel = require('../models/nonce.model.js');
+const authConfig = require('../config/auth.js');
+const ApiError = require('../utils/api-error.js');
+
+/**
+ * Build the error for a nonce that could not be consumed
+ * @param {Object|null} entry - Stored nonce entry, if any
+ * @param {string} clientKey - Client trying to use the nonce
+ * @returns {ApiError} Error describing why the nonce was rejected
+ */
+function rejection(entry, clientKey) {
+  if (!entry) {
+    return new ApiError(401, 'NONCE_UNKNOWN', 'Nonce was not issued by this server');
+  }
+
+  if (entry.usedAt) {
+    return new ApiError(401, 'NONCE_REUSED', 'Nonce has already been used');
+  }
+
+  if (entry.expiresAt <= new Date()) {
+    return new ApiError(401, 'NONCE_EXPIRED', 'Nonce has expired');
+  }
+
+  if (entry.clientKey !== clientKey) {
+    return new ApiError(401, 'NONCE_CLIENT_MISMATCH', 'Nonce was issued to another client');
+  }
+
+  return new ApiError(401, 'NONCE_INVALID', 'Nonce could not be used');
+}
+
+/**
+ * Nonce store backed by a MongoDB collection with a TTL index,
+ * shared by every instance behind the load balancer
+ */
+class MongoNonceStore {
+  /**
+   * Store a newly issued nonce
+   * @param {string} nonce - Generated nonce
+   * @param {string} clientKey - Client the nonce is issued to
+   * @returns {Promise<void>}
+   */
+  async issue(nonce, clientKey) {
+    await NonceModel.create({
+      nonce,
+      clientKey,
+      expiresAt: new Date(Date.now() + authConfig.NONCE_TTL_MS)
+    });
+  }
+
+  /**
+   * Atomically mark a nonce as used
+   * @param {string} nonce - Nonce to consume
+   * @param {string} clientKey - Client presenting the nonce
+   * @returns {Promise<void>}
+   */
+  async consume(nonce, clientKey) {
+    const now = new Date();
+    const entry = await NonceModel.findOneAndUpdate(
+      { nonce, clientKey, usedAt: null, expiresAt: { $gt: now } },
+      { usedAt: now }
+    );
+
+    if (!entry) {
+      throw rejection(await NonceModel.findOne({ nonce }), clientKey);
+    }
+  }
+
+  /**
+   * Count nonces that were issued and can still be used
+   * @returns {Promise<number>} Number of outstanding nonces
+   */
+  async countOutstanding() {
+    return NonceModel.countDocuments({ usedAt: null, expiresAt: { $gt: new Date() } });
+  }
+}
+
+/**
+ * In-memory nonce store for tests and single-instance development
+ */
+class MemoryNonceStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Drop expired nonces
+   */
+  purge() {
+    const now = new Date();
+    for (const [nonce, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(nonce);
+      }
+    }
+  }
+
+  async issue(nonce, clientKey) {
+    this.purge();
+    this.entries.set(nonce, {
+      clientKey,
+      usedAt: null,
+      expiresAt: new Date(Date.now() + authConfig.NONCE_TTL_MS)
+    });
+  }
+
+  async consume(nonce, clientKey) {
+    const entry = this.entries.get(nonce);
+
+    if (!entry || entry.usedAt || entry.expiresAt <= new Date() || entry.clientKey !== clientKey) {
+      throw rejection(entry, clientKey);
+    }
+
+    entry.usedAt = new Date();
+  }
+
+  async countOutstanding() {
+    this.purge();
+    return [...this.entries.values()].filter(entry => !entry.usedAt).length;
+  }
+}
+
+const stores = {
+  mongo: MongoNonceStore,
+  memory: MemoryNonceStore
+};
+
+const Store = stores[authConfig.NONCE_STORE];
+
+if (!Store) {
+  throw new Error(`Unknown nonce store: ${authConfig.NONCE_STORE}`);
+}
+
+module.exports = new Store();
+module.exports.MongoNonceStore = MongoNonceStore;
+module.exports.MemoryNonceStore = MemoryNonceStore;
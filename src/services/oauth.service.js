@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const OAuthSessionModel = require('../models/oauth-session.model.js');
+const worldIdConfig = require('../config/world-id.js');
+const authConfig = require('../config/auth.js');
+const ApiError = require('../utils/api-error.js');
+
+/**
+ * Generate a URL-safe random string
+ * @returns {string} Random base64url string
+ */
+function randomString() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Hash a value with SHA-256
+ * @param {string} value - Value to hash
+ * @param {string} encoding - Output encoding
+ * @returns {string} Hash
+ */
+function sha256(value, encoding = 'hex') {
+  return crypto.createHash('sha256').update(value).digest(encoding);
+}
+
+/**
+ * Service for the World ID OAuth flow: state/PKCE and one-time token hand-off
+ */
+class OAuthService {
+  /**
+   * Check a redirect target against the allowlist (same origin and path)
+   * @param {string} redirectTo - Requested redirect URL
+   * @returns {string} Allowed redirect URL
+   */
+  resolveRedirect(redirectTo) {
+    const target = redirectTo || authConfig.OAUTH_REDIRECT_ALLOWLIST[0];
+
+    let url;
+    try {
+      url = new URL(target);
+    } catch (error) {
+      throw new ApiError(400, 'OAUTH_REDIRECT_NOT_ALLOWED', 'Redirect target is not allowed');
+    }
+
+    const allowed = authConfig.OAUTH_REDIRECT_ALLOWLIST.some(entry => {
+      const allowedUrl = new URL(entry);
+      return allowedUrl.origin === url.origin && allowedUrl.pathname === url.pathname;
+    });
+
+    if (!allowed) {
+      throw new ApiError(400, 'OAUTH_REDIRECT_NOT_ALLOWED', 'Redirect target is not allowed');
+    }
+
+    return url.origin + url.pathname;
+  }
+
+  /**
+   * Start an OAuth login: create state and PKCE verifier and build the authorize URL.
+   * The binding goes into a cookie, so only the browser that started the login can
+   * finish it and a callback URL sent to someone else is useless.
+   * @param {string} redirectTo - Frontend page to return to
+   * @returns {Promise<Object>} World ID authorize URL and the browser binding
+   */
+  async start(redirectTo) {
+    const state = randomString();
+    const codeVerifier = randomString();
+    const binding = randomString();
+
+    await OAuthSessionModel.create({
+      state,
+      codeVerifier,
+      bindingHash: sha256(binding),
+      redirectTo: this.resolveRedirect(redirectTo),
+      expiresAt: new Date(Date.now() + authConfig.OAUTH_STATE_TTL_MS)
+    });
+
+    const params = new URLSearchParams({
+      client_id: worldIdConfig.APP_ID,
+      response_type: 'code',
+      scope: 'openid profile',
+      redirect_uri: worldIdConfig.REDIRECT_URI,
+      state,
+      code_challenge: sha256(codeVerifier, 'base64url'),
+      code_challenge_method: 'S256'
+    });
+
+    return { authorizeUrl: `${worldIdConfig.AUTHORIZE_URL}?${params.toString()}`, binding };
+  }
+
+  /**
+   * Use the state returned to the callback. Each state works once, and only in the
+   * browser that started the login.
+   * @param {string} state - State from the callback query
+   * @param {string} binding - Binding cookie of the browser
+   * @returns {Promise<Object>} OAuth session with the PKCE verifier
+   */
+  async consumeState(state, binding) {
+    if (!state) {
+      throw new ApiError(400, 'OAUTH_STATE_MISSING', 'OAuth state missing');
+    }
+
+    if (!binding) {
+      throw new ApiError(400, 'OAUTH_BINDING_MISSING', 'OAuth login was started in another browser');
+    }
+
+    const session = await OAuthSessionModel.findOneAndUpdate(
+      { state, bindingHash: sha256(binding), stateUsedAt: null, expiresAt: { $gt: new Date() } },
+      { stateUsedAt: new Date() },
+      { new: true }
+    );
+
+    if (!session) {
+      throw new ApiError(400, 'OAUTH_STATE_INVALID', 'OAuth state is invalid, expired or already used');
+    }
+
+    return session;
+  }
+
+  /**
+   * Create the short-lived one-time code the frontend exchanges for tokens
+   * @param {Object} session - OAuth session from consumeState
+   * @param {string} userId - Authenticated user ID
+   * @returns {Promise<string>} Redirect URL carrying the one-time code
+   */
+  async createHandoff(session, userId) {
+    const code = randomString();
+
+    await OAuthSessionModel.updateOne(
+      { _id: session._id },
+      {
+        userId,
+        handoffCodeHash: sha256(code),
+        expiresAt: new Date(Date.now() + authConfig.OAUTH_HANDOFF_TTL_MS)
+      }
+    );
+
+    return `${session.redirectTo}?code=${encodeURIComponent(code)}`;
+  }
+
+  /**
+   * Redeem a one-time hand-off code
+   * @param {string} code - Code from the redirect
+   * @returns {Promise<string>} ID of the user the code was issued for
+   */
+  async redeemHandoff(code) {
+    if (!code) {
+      throw new ApiError(400, 'OAUTH_CODE_MISSING', 'Code is required');
+    }
+
+    const session = await OAuthSessionModel.findOneAndUpdate(
+      { handoffCodeHash: sha256(code), handoffUsedAt: null, expiresAt: { $gt: new Date() } },
+      { handoffUsedAt: new Date() }
+    );
+
+    if (!session) {
+      throw new ApiError(401, 'OAUTH_CODE_INVALID', 'Code is invalid, expired or already used');
+    }
+
+    return session.userId;
+  }
+}
+
+module.exports = new OAuthService();
@@ -1,7 +1,25 @@
-const axios = require('axios');
 const crypto = require('crypto');
-const worldIdConfig = require('../config/world-id.js');
+const { ethers } = require('ethers');
+const mongoose = require('mongoose');
+const worldApi = require('./world-api.service.js');
 const TransactionModel = require('../models/transaction.model.js');
+const ledgerService = require('./ledger.service.js');
+const pricingService = require('./pricing.service.js');
+const promoService = require('./promo.service.js');
+const referralService = require('./referral.service.js');
+const paymentsConfig = require('../config/payments.js');
+const ApiError = require('../utils/api-error.js');
+
+// Error for each reason a payment does not complete a transaction
+const SETTLEMENT_ERRORS = {
+  REFERENCE_MISMATCH: [422, 'PAYMENT_REFERENCE_MISMATCH', 'Payment was made for another reference'],
+  TOKEN_NOT_ALLOWED: [422, 'PAYMENT_TOKEN_NOT_ALLOWED', 'Payment was made in a token that is not accepted'],
+  TOKEN_MISMATCH: [422, 'PAYMENT_TOKEN_MISMATCH', 'Payment was made in another token than the one quoted'],
+  RECIPIENT_MISMATCH: [422, 'PAYMENT_RECIPIENT_MISMATCH', 'Payment was not sent to the treasury address'],
+  AMOUNT_MISMATCH: [422, 'PAYMENT_AMOUNT_MISMATCH', 'Paid amount is lower than the price'],
+  EXPIRED: [410, 'TRANSACTION_EXPIRED', 'Transaction expired before it was paid'],
+  PAYMENT_FAILED: [402, 'PAYMENT_FAILED', 'Payment failed']
+};
 
 /**
  * Service for handling World ID payments
@@ -21,16 +39,8 @@ class PaymentService {
    * @returns {Promise<Object>} Transaction verification result
    */
   async verifyPayment(transactionId) {
-    const headers = {
-      'Authorization': `Bearer ${worldIdConfig.API_KEY}`,
-      'Content-Type': 'application/json'
-    };
-
-    const url = `${worldIdConfig.API_BASE_URL}/minikit/transaction/${transactionId}?app_id=${worldIdConfig.APP_ID}`;
-
     try {
-      const response = await axios.get(url, { headers });
-      return response.data;
+      return await worldApi.getTransaction(transactionId);
     } catch (error) {
       console.error('Payment verification failed:', error.response?.data || error.message);
       throw new Error('Payment verification failed');
@@ -38,27 +48,304 @@ class PaymentService {
   }
 
   /**
-   * Records a transaction in the database
+   * Map a verification result to a transaction status
+   * @param {Object} verification - Result of verifyPayment
+   * @returns {string} COMPLETED, FAILED or PENDING (not settled on chain yet)
+   */
+  settlementStatus(verification) {
+    if (verification.status === 'success' || verification.transaction_status === 'mined') {
+      return 'COMPLETED';
+    }
+
+    if (verification.status === 'failed' || verification.transaction_status === 'failed') {
+      return 'FAILED';
+    }
+
+    return 'PENDING';
+  }
+
+  /**
+   * Map the token reported by the World API (symbol or contract address) to our token name
+   * @param {string} inputToken - Token from the API
+   * @returns {string|null} WLD, USDC, or null if unknown
+   */
+  resolveToken(inputToken) {
+    if (!inputToken) {
+      return null;
+    }
+
+    const value = String(inputToken);
+    if (paymentsConfig.PAYMENT_TOKENS.includes(value.toUpperCase())) {
+      return value.toUpperCase();
+    }
+
+    return paymentsConfig.TOKEN_ALIASES[value.toLowerCase()] || null;
+  }
+
+  /**
+   * Compare what the World API reports as paid with what the transaction charges
+   * @param {Object} transaction - Transaction
+   * @param {Object} verification - Result of verifyPayment
+   * @returns {string|null} Mismatch reason, or null if the payment matches
+   */
+  checkSettlement(transaction, verification) {
+    if (!paymentsConfig.TREASURY_ADDRESS) {
+      throw new Error('TREASURY_ADDRESS is not configured');
+    }
+
+    const token = this.resolveToken(verification.input_token);
+    if (!token) {
+      return 'TOKEN_NOT_ALLOWED';
+    }
+
+    if (token !== transaction.token) {
+      return 'TOKEN_MISMATCH';
+    }
+
+    const recipient = (verification.recipient_address || '').toLowerCase();
+    if (recipient !== paymentsConfig.TREASURY_ADDRESS.toLowerCase()) {
+      return 'RECIPIENT_MISMATCH';
+    }
+
+    if (verification.input_token_amount === undefined) {
+      return 'AMOUNT_MISMATCH';
+    }
+
+    const paid = Number(ethers.formatUnits(BigInt(verification.input_token_amount), paymentsConfig.TOKEN_DECIMALS[token]));
+    if (paid < transaction.amount) {
+      return 'AMOUNT_MISMATCH';
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the error for a transaction that could not be completed
+   * @param {string} reason - Mismatch or failure reason
+   * @returns {ApiError} Error describing the reason
+   */
+  settlementError(reason) {
+    const [status, code, message] = SETTLEMENT_ERRORS[reason] || SETTLEMENT_ERRORS.PAYMENT_FAILED;
+    return new ApiError(status, code, message);
+  }
+
+  /**
+   * Move a PENDING transaction to its final status, unless it was settled meanwhile
+   * @param {Object} transaction - Pending transaction
+   * @param {string} status - COMPLETED or FAILED
+   * @param {Object} details - Failure reason and World ID transaction ID
+   * @returns {Promise<Object|null>} Settled transaction, or null if it was no longer pending
+   */
+  async settlePending(transaction, status, { reason = null, worldIdTransactionId } = {}) {
+    const update = {
+      status,
+      failureReason: status === 'FAILED' ? reason : null,
+      updatedAt: new Date()
+    };
+    if (worldIdTransactionId) {
+      update.worldIdTransactionId = worldIdTransactionId;
+    }
+
+    const settled = await TransactionModel.findOneAndUpdate(
+      { _id: transaction._id, status: 'PENDING' },
+      update,
+      { new: true }
+    );
+
+    if (settled) {
+      await this.onSettled(settled);
+    }
+
+    return settled;
+  }
+
+  /**
+   * Side effects of a transaction reaching its final status
+   * @param {Object} transaction - COMPLETED or FAILED transaction
+   * @returns {Promise<void>}
+   */
+  async onSettled(transaction) {
+    if (transaction.status === 'FAILED') {
+      await promoService.release(transaction);
+      return;
+    }
+
+    // Completed deposits top up the credit balance; if that fails the reconciler posts it later
+    if (transaction.type === 'DEPOSIT') {
+      await this.creditDeposit(transaction).catch(error => {
+        console.error('Deposit credit failed, left for the reconciler:', error);
+      });
+    }
+
+    // A missed referral reward must not fail the payment itself
+    await referralService.rewardFirstPaidAction(transaction).catch(error => {
+      console.error('Referral reward failed:', error);
+    });
+  }
+
+  /**
+   * Put a completed deposit on the credit balance (idempotent per transaction)
+   * @param {Object} transaction - Completed DEPOSIT transaction
+   * @returns {Promise<Object>} User ledger entry
+   */
+  async creditDeposit(transaction) {
+    const entry = await ledgerService.creditDeposit(transaction);
+
+    await TransactionModel.updateOne({ _id: transaction._id, creditedAt: null }, { creditedAt: new Date() });
+    return entry;
+  }
+
+  /**
+   * Settle a pending transaction from a World API verification result.
+   * Payments that do not match the transaction are failed.
+   * @param {Object} transaction - Pending transaction
+   * @param {Object} verification - Result of verifyPayment
+   * @param {string} worldIdTransactionId - World ID transaction ID
+   * @returns {Promise<Object>} Resulting status, reason and settled transaction (null if unchanged)
+   */
+  async finalize(transaction, verification, worldIdTransactionId) {
+    // A payment made for another reference says nothing about this transaction
+    if (verification.reference !== transaction.reference) {
+      return { status: 'REJECTED', reason: 'REFERENCE_MISMATCH', transaction: null };
+    }
+
+    let status = this.settlementStatus(verification);
+    let reason = status === 'FAILED' ? 'PAYMENT_FAILED' : null;
+
+    if (status === 'COMPLETED') {
+      reason = this.checkSettlement(transaction, verification);
+      if (reason) {
+        status = 'FAILED';
+      }
+    }
+
+    if (status === 'PENDING') {
+      return { status, reason, transaction: null };
+    }
+
+    const settled = await this.settlePending(transaction, status, { reason, worldIdTransactionId });
+    return { status, reason, transaction: settled };
+  }
+
+  /**
+   * Confirm a MiniKit payment for a transaction: check it with the World API and
+   * settle the transaction when the payment matches it.
+   * @param {string} reference - Transaction reference
+   * @param {string} worldIdTransactionId - World ID transaction ID
+   * @param {Object} options - Options
+   * @param {string} options.userId - Caller, who must own the transaction (omit for trusted callers)
+   * @returns {Promise<Object>} Resulting status and reason, and the transaction
+   */
+  async confirmPayment(reference, worldIdTransactionId, { userId } = {}) {
+    if (!reference || !worldIdTransactionId) {
+      throw new ApiError(400, 'PAYMENT_DETAILS_MISSING', 'reference and transaction_id are required');
+    }
+
+    const transaction = await TransactionModel.findOne({ reference });
+
+    if (!transaction) {
+      throw new ApiError(404, 'TRANSACTION_NOT_FOUND', 'Transaction not found');
+    }
+
+    if (userId && transaction.userId.toString() !== userId.toString()) {
+      throw new ApiError(403, 'TRANSACTION_NOT_OWNED', 'Transaction belongs to another user');
+    }
+
+    if (transaction.paymentMethod !== 'MINIKIT') {
+      throw new ApiError(409, 'TRANSACTION_NOT_MINIKIT', 'Transaction is not paid through MiniKit');
+    }
+
+    if (transaction.worldIdTransactionId && transaction.worldIdTransactionId !== worldIdTransactionId) {
+      throw new ApiError(409, 'TRANSACTION_ID_MISMATCH', 'Transaction is linked to another World ID transaction');
+    }
+
+    if (transaction.status !== 'PENDING') {
+      return { status: transaction.status, reason: transaction.failureReason || 'ALREADY_SETTLED', transaction };
+    }
+
+    const verification = await this.verifyPayment(worldIdTransactionId);
+    const result = await this.finalize(transaction, verification, worldIdTransactionId);
+
+    if (result.status === 'PENDING') {
+      // Not mined yet: remember the ID so the reconciler picks it up
+      await TransactionModel.updateOne(
+        { _id: transaction._id, status: 'PENDING' },
+        { worldIdTransactionId, updatedAt: new Date() }
+      );
+    }
+
+    return {
+      status: result.transaction ? result.transaction.status : result.status,
+      reason: result.reason,
+      transaction: result.transaction || transaction
+    };
+  }
+
+  /**
+   * Records a transaction in the database. When a product is given instead of an
+   * amount, the current catalog price is charged and a snapshot of it is stored.
+   * A promo code lowers that price; when it makes it free the transaction is completed right away.
    * @param {Object} transactionData - Transaction data
    * @returns {Promise<Object>} Saved transaction
    */
   async recordTransaction(transactionData) {
+    let priceSnapshot;
+    let promo;
+    // Known up front so the promo redemption can refer to the transaction
+    const transactionId = new mongoose.Types.ObjectId();
+
+    if (transactionData.product && transactionData.amount === undefined) {
+      priceSnapshot = await pricingService.quote(transactionData.product, {
+        token: transactionData.token,
+        jobId: transactionData.metadata?.jobId
+      });
+    }
+
+    if (transactionData.promoCode) {
+      if (!priceSnapshot) {
+        throw new ApiError(400, 'PROMO_CODE_NOT_APPLICABLE', 'Promo codes only apply to chats and job links');
+      }
+      promo = await promoService.reserve(
+        transactionData.promoCode,
+        transactionData.userId,
+        transactionData.product,
+        priceSnapshot.amount,
+        transactionId
+      );
+    }
+
+    const amount = priceSnapshot
+      ? Math.round((priceSnapshot.amount - (promo ? promo.discount : 0)) * 1e6) / 1e6
+      : transactionData.amount;
+    const free = Boolean(promo) && amount === 0;
+
+    let transaction;
     try {
-      const transaction = new TransactionModel({
+      transaction = new TransactionModel({
+        _id: transactionId,
         userId: transactionData.userId,
-        type: transactionData.type,
-        amount: transactionData.amount,
-        status: 'PENDING',
+        type: transactionData.type || paymentsConfig.PRODUCT_TYPES[transactionData.product],
+        amount,
+        status: free ? 'COMPLETED' : 'PENDING',
         reference: this.generateUuid(),
         worldIdTransactionId: transactionData.worldIdTransactionId,
+        paymentMethod: free ? 'PROMO' : transactionData.paymentMethod,
+        token: priceSnapshot ? priceSnapshot.token : transactionData.token,
+        priceSnapshot,
+        promo,
         metadata: transactionData.metadata || {}
       });
 
-      return await transaction.save();
+      await transaction.save();
     } catch (error) {
+      if (promo) {
+        await promoService.release({ _id: transactionId, promo });
+      }
       console.error('Failed to record transaction:', error);
       throw new Error('Transaction recording failed');
     }
+
+    return transaction;
   }
 
   /**
@@ -84,12 +371,70 @@ class PaymentService {
         throw new Error('Transaction not found');
       }
 
+      // Completed deposits top up the credit balance (idempotent per transaction)
+      if (status === 'COMPLETED' && updatedTransaction.type === 'DEPOSIT') {
+        await ledgerService.creditDeposit(updatedTransaction);
+      }
+
       return updatedTransaction;
     } catch (error) {
       console.error('Failed to update transaction:', error);
       throw new Error('Transaction update failed');
     }
   }
+
+  /**
+   * Start a deposit of WLD or USDC that is turned into credits once paid
+   * @param {string} userId - User ID
+   * @param {number} amount - Amount of tokens to deposit
+   * @param {string} token - Token (WLD or USDC)
+   * @returns {Promise<Object>} Pending DEPOSIT transaction
+   */
+  async createDeposit(userId, amount, token = 'WLD') {
+    const value = Number(amount);
+
+    if (!paymentsConfig.DEPOSIT_TOKENS.includes(token)) {
+      throw new ApiError(400, 'TOKEN_NOT_ALLOWED', `Deposits accept: ${paymentsConfig.DEPOSIT_TOKENS.join(', ')}`);
+    }
+
+    if (!Number.isFinite(value) || value < paymentsConfig.MIN_DEPOSIT || value > paymentsConfig.MAX_DEPOSIT) {
+      throw new ApiError(400, 'DEPOSIT_AMOUNT_INVALID',
+        `Deposit must be between ${paymentsConfig.MIN_DEPOSIT} and ${paymentsConfig.MAX_DEPOSIT} ${token}`);
+    }
+
+    return this.recordTransaction({ userId, type: 'DEPOSIT', amount: value, token });
+  }
+
+  /**
+   * Pay for an action from the credit balance instead of an on-chain payment.
+   * Credits are worth 1 WLD, so the WLD price is charged.
+   * @param {Object} transactionData - Transaction data (userId, product, metadata)
+   * @returns {Promise<Object>} Completed transaction
+   */
+  async payWithCredits(transactionData) {
+    const transaction = await this.recordTransaction({ ...transactionData, token: 'WLD', paymentMethod: 'CREDITS' });
+
+    // Free with a promo code, nothing to spend
+    if (transaction.status === 'COMPLETED') {
+      return transaction;
+    }
+
+    try {
+      await ledgerService.spend(transaction);
+    } catch (error) {
+      transaction.status = 'FAILED';
+      transaction.updatedAt = new Date();
+      await transaction.save();
+      await this.onSettled(transaction);
+      throw error;
+    }
+
+    transaction.status = 'COMPLETED';
+    transaction.updatedAt = new Date();
+    await transaction.save();
+    await this.onSettled(transaction);
+    return transaction;
+  }
 }
 
 module.exports = new PaymentService();
\ No newline at end of file
@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const PriceModel = require('../models/price.model.js');
+const JobModel = require('../models/job.model.js');
+const paymentsConfig = require('../config/payments.js');
+const ApiError = require('../utils/api-error.js');
+
+// Fields staff may set on a catalog price
+const EDITABLE_FIELDS = ['product', 'token', 'category', 'amount', 'label', 'promotional', 'validFrom', 'validUntil', 'active'];
+
+/**
+ * Query condition for prices valid at a point in time
+ * @param {Date} now - Point in time
+ * @returns {Object} MongoDB condition
+ */
+function validAt(now) {
+  return {
+    active: true,
+    $and: [
+      { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+      { $or: [{ validUntil: null }, { validUntil: { $gt: now } }] }
+    ]
+  };
+}
+
+/**
+ * Order two candidate prices: category-specific beats generic, promotional beats regular
+ * @param {Object} a - Price
+ * @param {Object} b - Price
+ * @returns {number} Sort order
+ */
+function byPrecedence(a, b) {
+  return (Number(Boolean(b.category)) - Number(Boolean(a.category)))
+    || (Number(b.promotional) - Number(a.promotional))
+    || (a.amount - b.amount);
+}
+
+/**
+ * Service for the pricing catalog
+ */
+class PricingService {
+  /**
+   * Find the price to charge for a product
+   * @param {string} product - CHAT or JOB_LINK
+   * @param {Object} options - Token and job category
+   * @param {string} options.token - Token to pay with
+   * @param {string} options.category - Job category, if the product is about a job
+   * @returns {Promise<Object>} Price snapshot
+   */
+  async getPrice(product, { token = 'WLD', category = null } = {}) {
+    const defaults = paymentsConfig.DEFAULT_PRICES[product];
+
+    if (!defaults) {
+      throw new ApiError(400, 'PRODUCT_UNKNOWN', `Unknown product: ${product}`);
+    }
+
+    const candidates = await PriceModel.find({
+      product,
+      token,
+      category: { $in: [category, null] },
+      ...validAt(new Date())
+    }).lean();
+
+    const price = candidates.sort(byPrecedence)[0];
+
+    if (price) {
+      return {
+        priceId: price._id,
+        product,
+        token,
+        category: price.category,
+        amount: price.amount,
+        promotional: price.promotional,
+        label: price.label
+      };
+    }
+
+    if (defaults[token] === undefined) {
+      throw new ApiError(400, 'TOKEN_NOT_ALLOWED', `${product} cannot be paid with ${token}`);
+    }
+
+    return { product, token, category: null, amount: defaults[token], promotional: false };
+  }
+
+  /**
+   * Find the price for a product about a job, using the job's category
+   * @param {string} product - Product
+   * @param {Object} options - Token and optional job ID
+   * @returns {Promise<Object>} Price snapshot
+   */
+  async quote(product, { token = 'WLD', jobId = null } = {}) {
+    let category = null;
+
+    if (jobId) {
+      const job = mongoose.isValidObjectId(jobId) ? await JobModel.findById(jobId).select('category') : null;
+
+      if (!job) {
+        throw new ApiError(404, 'JOB_NOT_FOUND', 'Job not found');
+      }
+      category = job.category;
+    }
+
+    return this.getPrice(product, { token, category });
+  }
+
+  /**
+   * List the catalog prices in effect now
+   * @param {string} category - Optional category filter
+   * @returns {Promise<Array>} Current prices, including defaults not overridden by the catalog
+   */
+  async listPrices(category = null) {
+    const query = validAt(new Date());
+    if (category) {
+      query.category = { $in: [category, null] };
+    }
+
+    const prices = await PriceModel.find(query).lean();
+
+    // Keep the winning price per product, token and category
+    const current = new Map();
+    for (const price of prices.sort(byPrecedence)) {
+      const key = `${price.product}:${price.token}:${price.category || ''}`;
+      if (!current.has(key)) {
+        current.set(key, price);
+      }
+    }
+
+    for (const [product, tokens] of Object.entries(paymentsConfig.DEFAULT_PRICES)) {
+      for (const [token, amount] of Object.entries(tokens)) {
+        const key = `${product}:${token}:`;
+        if (!current.has(key)) {
+          current.set(key, { product, token, category: null, amount, promotional: false, default: true });
+        }
+      }
+    }
+
+    return [...current.values()].map(price => ({
+      id: price._id,
+      product: price.product,
+      token: price.token,
+      category: price.category,
+      amount: price.amount,
+      label: price.label,
+      promotional: price.promotional,
+      validUntil: price.validUntil,
+      default: Boolean(price.default)
+    }));
+  }
+
+  /**
+   * Pick the editable fields of a price and validate them
+   * @param {Object} data - Price data
+   * @returns {Object} Sanitized price data
+   */
+  sanitize(data) {
+    const update = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        update[field] = data[field];
+      }
+    });
+
+    if (update.amount !== undefined && !(Number(update.amount) >= 0)) {
+      throw new ApiError(400, 'PRICE_INVALID', 'Amount must be a number of at least 0');
+    }
+
+    if (update.validFrom && update.validUntil && new Date(update.validFrom) >= new Date(update.validUntil)) {
+      throw new ApiError(400, 'PRICE_INVALID', 'validFrom must be before validUntil');
+    }
+
+    return update;
+  }
+
+  /**
+   * Add a price to the catalog
+   * @param {Object} data - Price data
+   * @returns {Promise<Object>} Created price
+   */
+  async createPrice(data) {
+    try {
+      return await PriceModel.create(this.sanitize(data));
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw new ApiError(400, 'PRICE_INVALID', error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a catalog price
+   * @param {string} priceId - Price ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} Updated price
+   */
+  async updatePrice(priceId, data) {
+    if (!mongoose.isValidObjectId(priceId)) {
+      throw new ApiError(404, 'PRICE_NOT_FOUND', 'Price not found');
+    }
+
+    const price = await PriceModel.findByIdAndUpdate(
+      priceId,
+      { ...this.sanitize(data), updatedAt: new Date() },
+      { new: true, runValidators: true }
+    );
+
+    if (!price) {
+      throw new ApiError(404, 'PRICE_NOT_FOUND', 'Price not found');
+    }
+
+    return price;
+  }
+}
+
+module.exports = new PricingService();
@@ -1,6 +1,9 @@
+const mongoose = require('mongoose');
 const UserModel = require('../models/user.model.js');
 const UserJobModel = require('../models/user-job.model.js');
 const TransactionModel = require('../models/transaction.model.js');
+const RefundRequestModel = require('../models/refund-request.model.js');
+const referralService = require('./referral.service.js');
 
 /**
  * Service for handling user profile operations
@@ -106,11 +109,13 @@ class ProfileService {
         status: 'COMPLETED'
       });
       
+      // Deposits only turn tokens into credits, they are not spending
       const totalSpent = await TransactionModel.aggregate([
         {
           $match: {
-            userId: userId,
-            status: 'COMPLETED'
+            userId: new mongoose.Types.ObjectId(userId),
+            status: 'COMPLETED',
+            type: { $ne: 'DEPOSIT' }
           }
         },
         {
@@ -121,13 +126,32 @@ class ProfileService {
         }
       ]);
       
+      const refunds = await TransactionModel.aggregate([
+        {
+          $match: {
+            userId: new mongoose.Types.ObjectId(userId),
+            status: 'REFUNDED'
+          }
+        },
+        {
+          $group: {
+            _id: null,
+            count: { $sum: 1 },
+            credits: { $sum: '$refund.credits' }
+          }
+        }
+      ]);
+      
       return {
         ...user.statistics.toObject(),
         appliedJobs,
         interestedJobs,
         discardedJobs,
         totalTransactions,
-        totalSpent: totalSpent.length > 0 ? totalSpent[0].total : 0
+        totalSpent: totalSpent.length > 0 ? totalSpent[0].total : 0,
+        refundedTransactions: refunds.length > 0 ? refunds[0].count : 0,
+        totalRefundedCredits: refunds.length > 0 ? refunds[0].credits : 0,
+        referrals: await referralService.getStats(userId)
       };
     } catch (error) {
       console.error('Error getting user statistics:', error);
@@ -143,9 +167,25 @@ class ProfileService {
   async getTransactionHistory(userId) {
     try {
       const transactions = await TransactionModel.find({ userId })
-        .sort({ createdAt: -1 });
-      
-      return transactions;
+        .sort({ createdAt: -1 })
+        .lean();
+      
+      // Show the latest refund request next to each transaction
+      const requests = await RefundRequestModel.find({ userId })
+        .select('transactionId status reviewNote createdAt')
+        .sort({ createdAt: 1 })
+        .lean();
+      const latestRequest = new Map(requests.map(request => [request.transactionId.toString(), request]));
+      
+      return transactions.map(transaction => {
+        const request = latestRequest.get(transaction._id.toString());
+        return {
+          ...transaction,
+          refundRequest: request
+            ? { id: request._id, status: request.status, reviewNote: request.reviewNote, createdAt: request.createdAt }
+            : null
+        };
+      });
     } catch (error) {
       console.error('Error getting transaction history:', error);
       throw new Error('Failed to get transaction history');
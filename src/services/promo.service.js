@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const PromoCodeModel = require('../models/promo-code.model.js');
+const PromoRedemptionModel = require('../models/promo-redemption.model.js');
+const ApiError = require('../utils/api-error.js');
+
+// Fields staff may set on a promo code
+const EDITABLE_FIELDS = ['code', 'discountType', 'discountValue', 'products', 'maxUses', 'perUserLimit', 'expiresAt', 'active'];
+
+/**
+ * Round an amount to 6 decimals to avoid floating point noise
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function round(amount) {
+  return Math.round(amount * 1e6) / 1e6;
+}
+
+/**
+ * Service for promo codes. A use is reserved, with the user's redemption, when a
+ * transaction is recorded and given back if that transaction fails.
+ */
+class PromoService {
+  /**
+   * Work out the discount a code gives on a price
+   * @param {Object} promoCode - Promo code
+   * @param {number} price - Price in the payment token
+   * @returns {number} Discount, never more than the price
+   */
+  discountFor(promoCode, price) {
+    const discount = promoCode.discountType === 'PERCENT'
+      ? price * Math.min(promoCode.discountValue, 100) / 100
+      : promoCode.discountValue;
+
+    return round(Math.min(discount, price));
+  }
+
+  /**
+   * Check a code for a user and product and reserve one use of it for a transaction.
+   * The user's redemption is written first: its unique slot keeps parallel requests
+   * from going over the per-user limit. Only then is a use of the code taken.
+   * @param {string} code - Promo code
+   * @param {string} userId - User ID
+   * @param {string} product - Product being bought
+   * @param {number} price - Catalog price
+   * @param {string} transactionId - ID of the transaction about to be recorded
+   * @returns {Promise<Object>} Reserved promo (codeId, code, discount)
+   */
+  async reserve(code, userId, product, price, transactionId) {
+    const promoCode = await PromoCodeModel.findOne({ code: String(code).trim().toUpperCase(), active: true });
+
+    if (!promoCode) {
+      throw new ApiError(404, 'PROMO_CODE_INVALID', 'Promo code does not exist');
+    }
+
+    if (promoCode.expiresAt && promoCode.expiresAt <= new Date()) {
+      throw new ApiError(410, 'PROMO_CODE_EXPIRED', 'Promo code has expired');
+    }
+
+    if (promoCode.products.length > 0 && !promoCode.products.includes(product)) {
+      throw new ApiError(400, 'PROMO_CODE_NOT_APPLICABLE', `Promo code cannot be used for ${product}`);
+    }
+
+    const discount = this.discountFor(promoCode, price);
+    await this.claimSlot(promoCode, userId, transactionId, discount);
+
+    const reserved = await PromoCodeModel.findOneAndUpdate(
+      {
+        _id: promoCode._id,
+        $or: [{ maxUses: null }, { $expr: { $lt: ['$usesCount', '$maxUses'] } }]
+      },
+      { $inc: { usesCount: 1 } }
+    );
+
+    if (!reserved) {
+      await PromoRedemptionModel.deleteOne({ transactionId });
+      throw new ApiError(409, 'PROMO_CODE_USED_UP', 'Promo code has been used up');
+    }
+
+    return {
+      codeId: promoCode._id,
+      code: promoCode.code,
+      discount
+    };
+  }
+
+  /**
+   * Write the user's redemption of a code in a free slot (0 to perUserLimit - 1)
+   * @param {Object} promoCode - Promo code
+   * @param {string} userId - User ID
+   * @param {string} transactionId - Transaction ID
+   * @param {number} discount - Discount given
+   * @returns {Promise<Object>} Redemption
+   */
+  async claimSlot(promoCode, userId, transactionId, discount) {
+    const [taken, legacy] = await Promise.all([
+      PromoRedemptionModel.distinct('slot', { codeId: promoCode._id, userId, slot: { $exists: true } }),
+      // Redemptions from before slots count as the first ones
+      PromoRedemptionModel.countDocuments({ codeId: promoCode._id, userId, slot: { $exists: false } })
+    ]);
+
+    for (let slot = legacy; slot < promoCode.perUserLimit; slot++) {
+      if (taken.includes(slot)) {
+        continue;
+      }
+
+      try {
+        return await PromoRedemptionModel.create({ codeId: promoCode._id, userId, slot, transactionId, discount });
+      } catch (error) {
+        // Taken by a parallel request in the meantime: try the next one
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+
+    throw new ApiError(409, 'PROMO_CODE_USER_LIMIT', 'You have already used this promo code');
+  }
+
+  /**
+   * Give back a reserved use, e.g. when the transaction could not be recorded
+   * @param {string} codeId - Promo code ID
+   * @returns {Promise<void>}
+   */
+  async cancel(codeId) {
+    await PromoCodeModel.updateOne({ _id: codeId, usesCount: { $gt: 0 } }, { $inc: { usesCount: -1 } });
+  }
+
+  /**
+   * Give back the use of a failed transaction (idempotent)
+   * @param {Object} transaction - Failed transaction
+   * @returns {Promise<void>}
+   */
+  async release(transaction) {
+    if (!transaction.promo?.codeId) {
+      return;
+    }
+
+    const { deletedCount } = await PromoRedemptionModel.deleteOne({ transactionId: transaction._id });
+    if (deletedCount > 0) {
+      await this.cancel(transaction.promo.codeId);
+    }
+  }
+
+  /**
+   * Pick the editable fields of a promo code and validate them
+   * @param {Object} data - Promo code data
+   * @returns {Object} Sanitized data
+   */
+  sanitize(data) {
+    const update = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        update[field] = data[field];
+      }
+    });
+
+    if (update.discountType === 'PERCENT' && Number(update.discountValue) > 100) {
+      throw new ApiError(400, 'PROMO_CODE_INVALID_DATA', 'A percentage discount cannot exceed 100');
+    }
+
+    return update;
+  }
+
+  /**
+   * Create a promo code
+   * @param {Object} data - Promo code data
+   * @returns {Promise<Object>} Created promo code
+   */
+  async createCode(data) {
+    try {
+      return await PromoCodeModel.create(this.sanitize(data));
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ApiError(409, 'PROMO_CODE_EXISTS', 'A promo code with this code already exists');
+      }
+      if (error.name === 'ValidationError') {
+        throw new ApiError(400, 'PROMO_CODE_INVALID_DATA', error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a promo code
+   * @param {string} codeId - Promo code ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} Updated promo code
+   */
+  async updateCode(codeId, data) {
+    const promoCode = mongoose.isValidObjectId(codeId)
+      ? await PromoCodeModel.findByIdAndUpdate(
+        codeId,
+        { ...this.sanitize(data), updatedAt: new Date() },
+        { new: true, runValidators: true }
+      )
+      : null;
+
+    if (!promoCode) {
+      throw new ApiError(404, 'PROMO_CODE_NOT_FOUND', 'Promo code not found');
+    }
+
+    return promoCode;
+  }
+
+  /**
+   * List promo codes, newest first
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated promo codes
+   */
+  async listCodes(pagination = { page: 1, limit: 20 }) {
+    const page = parseInt(pagination.page) || 1;
+    const limit = Math.min(parseInt(pagination.limit) || 20, 100);
+
+    const codes = await PromoCodeModel.find()
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await PromoCodeModel.countDocuments();
+
+    return {
+      codes,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = new PromoService();
@@ -0,0 +1,215 @@
+const PDFDocument = require('pdfkit');
+const TransactionModel = require('../models/transaction.model.js');
+const ApiError = require('../utils/api-error.js');
+
+// Largest number of transactions in one export
+const MAX_EXPORT_ROWS = 5000;
+
+// Statuses a receipt can be issued for
+const RECEIPT_STATUSES = ['COMPLETED', 'REFUNDED'];
+
+const CSV_COLUMNS = ['date', 'reference', 'minikitTransactionId', 'product', 'amount', 'token', 'paymentMethod', 'status', 'refundedCredits'];
+
+/**
+ * Quote a CSV value and neutralize spreadsheet formulas
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a PDF document into a buffer
+ * @param {Function} draw - Draws the content on the document
+ * @returns {Promise<Buffer>} PDF file
+ */
+function renderPdf(draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    draw(doc);
+    doc.end();
+  });
+}
+
+/**
+ * Service for receipts and transaction exports
+ */
+class ReceiptService {
+  /**
+   * Flatten a transaction into the fields shown on receipts and exports
+   * @param {Object} transaction - Transaction
+   * @returns {Object} Receipt fields
+   */
+  describe(transaction) {
+    return {
+      date: new Date(transaction.createdAt).toISOString(),
+      reference: transaction.reference,
+      minikitTransactionId: transaction.worldIdTransactionId || '',
+      product: transaction.priceSnapshot?.product || transaction.type,
+      amount: transaction.amount,
+      token: transaction.token,
+      paymentMethod: transaction.paymentMethod,
+      status: transaction.status,
+      refundedCredits: transaction.refund?.credits ?? ''
+    };
+  }
+
+  /**
+   * Get a transaction of the user that a receipt can be issued for
+   * @param {string} userId - User ID
+   * @param {string} reference - Transaction reference
+   * @returns {Promise<Object>} Transaction
+   */
+  async getReceiptTransaction(userId, reference) {
+    const transaction = await TransactionModel.findOne({ reference, userId });
+
+    if (!transaction) {
+      throw new ApiError(404, 'TRANSACTION_NOT_FOUND', 'Transaction not found');
+    }
+
+    if (!RECEIPT_STATUSES.includes(transaction.status)) {
+      throw new ApiError(409, 'RECEIPT_NOT_AVAILABLE', 'Receipts are only available for completed payments');
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Render the receipt of a transaction as PDF
+   * @param {string} userId - User ID
+   * @param {string} reference - Transaction reference
+   * @returns {Promise<Buffer>} PDF receipt
+   */
+  async renderReceipt(userId, reference) {
+    const transaction = await this.getReceiptTransaction(userId, reference);
+    const fields = this.describe(transaction);
+
+    return renderPdf(doc => {
+      doc.fontSize(20).text('Do Up - Payment receipt');
+      doc.moveDown();
+      doc.fontSize(11);
+
+      const rows = [
+        ['Reference', fields.reference],
+        ['MiniKit transaction ID', fields.minikitTransactionId || '-'],
+        ['Product', fields.product],
+        ['Amount', `${fields.amount} ${fields.token}`],
+        ['Payment method', fields.paymentMethod],
+        ['Status', fields.status],
+        ['Date (UTC)', fields.date]
+      ];
+
+      if (transaction.promo?.code) {
+        rows.push(['Promo code', `${transaction.promo.code} (-${transaction.promo.discount} ${fields.token})`]);
+      }
+
+      if (transaction.refund?.refundedAt) {
+        rows.push(['Refunded', `${transaction.refund.credits} credits on ${transaction.refund.refundedAt.toISOString()}`]);
+      }
+
+      rows.forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+        doc.font('Helvetica').text(String(value));
+      });
+    });
+  }
+
+  /**
+   * Get the user's transactions in a date range for export; a range with more than
+   * MAX_EXPORT_ROWS transactions is rejected rather than cut off
+   * @param {string} userId - User ID
+   * @param {Object} range - Optional from/to dates (ISO strings)
+   * @returns {Promise<Array>} Transactions, oldest first
+   */
+  async getExportTransactions(userId, { from, to } = {}) {
+    const query = { userId };
+    const createdAt = {};
+
+    for (const [key, value, operator] of [['from', from, '$gte'], ['to', to, '$lte']]) {
+      if (value) {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          throw new ApiError(400, 'EXPORT_RANGE_INVALID', `${key} must be a valid date`);
+        }
+        createdAt[operator] = date;
+      }
+    }
+
+    if (createdAt.$gte && createdAt.$lte && createdAt.$gte > createdAt.$lte) {
+      throw new ApiError(400, 'EXPORT_RANGE_INVALID', 'from must be before to');
+    }
+
+    if (Object.keys(createdAt).length > 0) {
+      query.createdAt = createdAt;
+    }
+
+    // One row more than allowed tells a full export from a cut-off one
+    const transactions = await TransactionModel.find(query)
+      .sort({ createdAt: 1 })
+      .limit(MAX_EXPORT_ROWS + 1)
+      .lean();
+
+    if (transactions.length > MAX_EXPORT_ROWS) {
+      throw new ApiError(413, 'EXPORT_TOO_LARGE', `More than ${MAX_EXPORT_ROWS} transactions in this period, please choose a narrower from/to range`);
+    }
+
+    return transactions;
+  }
+
+  /**
+   * Export the user's transactions
+   * @param {string} userId - User ID
+   * @param {string} format - csv or pdf
+   * @param {Object} range - Optional from/to dates
+   * @returns {Promise<Object>} File content, content type and file extension
+   */
+  async exportTransactions(userId, format, range) {
+    if (!['csv', 'pdf'].includes(format)) {
+      throw new ApiError(400, 'EXPORT_FORMAT_INVALID', 'format must be csv or pdf');
+    }
+
+    const rows = (await this.getExportTransactions(userId, range)).map(transaction => this.describe(transaction));
+
+    if (format === 'csv') {
+      const lines = [CSV_COLUMNS.join(',')]
+        .concat(rows.map(row => CSV_COLUMNS.map(column => csvCell(row[column])).join(',')));
+
+      return { content: Buffer.from(`${lines.join('\r\n')}\r\n`, 'utf8'), contentType: 'text/csv; charset=utf-8' };
+    }
+
+    const content = await renderPdf(doc => {
+      doc.fontSize(18).text('Do Up - Transaction history');
+      doc.fontSize(10).text(`Period: ${range.from || 'start'} - ${range.to || 'now'}`);
+      doc.moveDown();
+
+      if (rows.length === 0) {
+        doc.text('No transactions in this period.');
+      }
+
+      rows.forEach(row => {
+        doc.font('Helvetica-Bold').text(`${row.date}  ${row.product}  ${row.amount} ${row.token}  ${row.status}`);
+        doc.font('Helvetica').text(`Reference ${row.reference}` +
+          (row.minikitTransactionId ? `, MiniKit ${row.minikitTransactionId}` : '') +
+          `, paid with ${row.paymentMethod}`);
+        doc.moveDown(0.5);
+      });
+    });
+
+    return { content, contentType: 'application/pdf' };
+  }
+}
+
+module.exports = new ReceiptService();
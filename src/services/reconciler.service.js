@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const os = require('os');
+const TransactionModel = require('../models/transaction.model.js');
+const ReconciliationRunModel = require('../models/reconciliation-run.model.js');
+const paymentService = require('./payment.service.js');
+const paymentsConfig = require('../config/payments.js');
+
+// Identifies this process in run reports
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Service that settles PENDING MiniKit transactions the client never verified:
+ * paid ones are checked against the World API, unpaid ones expire. Completed
+ * deposits missing from the credit balance are posted again.
+ * Transactions are claimed one at a time with a lease, so several instances
+ * can run the reconciler at once without checking the same transaction.
+ */
+class ReconcilerService {
+  /**
+   * Claim the next pending transaction that is due for a check
+   * @param {string} runId - Current run
+   * @returns {Promise<Object|null>} Claimed transaction, or null when nothing is due
+   */
+  async claim(runId) {
+    const now = new Date();
+
+    return TransactionModel.findOneAndUpdate(
+      {
+        status: 'PENDING',
+        paymentMethod: 'MINIKIT',
+        $and: [
+          {
+            $or: [
+              { worldIdTransactionId: { $nin: [null, ''] } },
+              { createdAt: { $lte: new Date(now.getTime() - paymentsConfig.PENDING_TIMEOUT_MS) } }
+            ]
+          },
+          {
+            $or: [
+              { 'reconcileLock.until': null },
+              { 'reconcileLock.until': { $lte: now } }
+            ]
+          }
+        ]
+      },
+      {
+        reconcileLock: { runId, until: new Date(now.getTime() + paymentsConfig.RECONCILE_LEASE_MS) },
+        lastCheckedAt: now
+      },
+      { new: true, sort: { lastCheckedAt: 1, createdAt: 1 } }
+    );
+  }
+
+  /**
+   * Build the report entry for a settled transaction
+   * @param {Object|null} settled - Settled transaction, null if it was settled elsewhere
+   * @param {string} reason - Why the status changed
+   * @returns {Object|null} Change for the report
+   */
+  change(settled, reason) {
+    if (!settled) {
+      return null;
+    }
+
+    return {
+      transactionId: settled._id,
+      reference: settled.reference,
+      from: 'PENDING',
+      to: settled.status,
+      reason
+    };
+  }
+
+  /**
+   * Check one claimed transaction
+   * @param {Object} transaction - Claimed transaction
+   * @returns {Promise<Object|null>} Change for the report, or null if it stays pending
+   */
+  async reconcile(transaction) {
+    if (!transaction.worldIdTransactionId) {
+      const expired = await paymentService.settlePending(transaction, 'FAILED', { reason: 'EXPIRED' });
+      return this.change(expired, 'EXPIRED');
+    }
+
+    const verification = await paymentService.verifyPayment(transaction.worldIdTransactionId);
+    const result = await paymentService.finalize(transaction, verification);
+
+    // The stored World ID transaction paid for something else, so this one was never paid
+    if (result.status === 'REJECTED') {
+      const rejected = await paymentService.settlePending(transaction, 'FAILED', { reason: result.reason });
+      return this.change(rejected, result.reason);
+    }
+
+    return this.change(result.transaction, result.reason || 'VERIFIED');
+  }
+
+  /**
+   * Post the completed deposits that are not on the credit balance yet, e.g. because
+   * the ledger posting failed after the payment was settled
+   * @param {Object} report - Run report
+   * @returns {Promise<void>}
+   */
+  async creditDeposits(report) {
+    const deposits = await TransactionModel.find({ type: 'DEPOSIT', status: 'COMPLETED', creditedAt: null })
+      .sort({ updatedAt: 1 })
+      .limit(paymentsConfig.RECONCILE_BATCH_SIZE);
+
+    for (const deposit of deposits) {
+      try {
+        await paymentService.creditDeposit(deposit);
+        report.changes.push({
+          transactionId: deposit._id,
+          reference: deposit.reference,
+          from: 'COMPLETED',
+          to: 'COMPLETED',
+          reason: 'DEPOSIT_CREDITED'
+        });
+      } catch (error) {
+        report.failures.push({
+          transactionId: deposit._id,
+          reference: deposit.reference,
+          message: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Run one reconciliation pass and store its report
+   * @returns {Promise<Object>} Run report
+   */
+  async run() {
+    const report = new ReconciliationRunModel({
+      runId: crypto.randomUUID(),
+      instanceId: INSTANCE_ID,
+      startedAt: new Date()
+    });
+
+    for (let i = 0; i < paymentsConfig.RECONCILE_BATCH_SIZE; i++) {
+      const transaction = await this.claim(report.runId);
+
+      if (!transaction) {
+        break;
+      }
+
+      report.checked++;
+
+      try {
+        const change = await this.reconcile(transaction);
+        if (change) {
+          report.changes.push(change);
+        }
+      } catch (error) {
+        report.failures.push({
+          transactionId: transaction._id,
+          reference: transaction.reference,
+          message: error.message
+        });
+      }
+    }
+
+    await this.creditDeposits(report);
+
+    report.finishedAt = new Date();
+    return report.save();
+  }
+
+  /**
+   * List recent run reports
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated run reports
+   */
+  async listRuns(pagination = { page: 1, limit: 20 }) {
+    const page = parseInt(pagination.page) || 1;
+    const limit = Math.min(parseInt(pagination.limit) || 20, 100);
+
+    const runs = await ReconciliationRunModel.find()
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await ReconciliationRunModel.countDocuments();
+
+    return {
+      runs,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Periodically reconcile pending transactions
+   * @returns {NodeJS.Timeout} Interval handle
+   */
+  scheduleReconciliation() {
+    const run = () => this.run()
+      .then(report => {
+        if (report.changes.length > 0 || report.failures.length > 0) {
+          console.log(`Reconciliation ${report.runId}: ${report.changes.length} changed, ${report.failures.length} failed`);
+        }
+      })
+      .catch(error => {
+        console.error('Reconciliation error:', error);
+      });
+
+    run();
+    return setInterval(run, paymentsConfig.RECONCILE_INTERVAL_MS).unref();
+  }
+}
+
+module.exports = new ReconcilerService();
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const UserModel = require('../models/user.model.js');
+const TransactionModel = require('../models/transaction.model.js');
+const LedgerEntryModel = require('../models/ledger-entry.model.js');
+const ledgerService = require('./ledger.service.js');
+const paymentsConfig = require('../config/payments.js');
+const ApiError = require('../utils/api-error.js');
+
+// Payment methods that count as a paid action for the referral reward
+const PAID_METHODS = ['MINIKIT', 'CREDITS'];
+
+/**
+ * Service for the referral program
+ */
+class ReferralService {
+  /**
+   * Get a user's referral code, creating it on first use
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} Referral code
+   */
+  async getCode(userId) {
+    const user = await UserModel.findById(userId).select('referralCode');
+
+    if (!user) {
+      throw new ApiError(404, 'USER_NOT_FOUND', 'User not found');
+    }
+
+    if (user.referralCode) {
+      return user.referralCode;
+    }
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = crypto.randomBytes(5).toString('hex').toUpperCase();
+
+      try {
+        const updated = await UserModel.findOneAndUpdate(
+          { _id: userId, referralCode: null },
+          { referralCode: code },
+          { new: true }
+        ).select('referralCode');
+
+        // Another request may have created the code meanwhile
+        return updated ? updated.referralCode : (await UserModel.findById(userId).select('referralCode')).referralCode;
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+
+    throw new Error('Could not generate a unique referral code');
+  }
+
+  /**
+   * Register who referred a user. Only possible once and before the first paid action.
+   * @param {string} userId - Referred user ID
+   * @param {string} code - Referral code of the referrer
+   * @returns {Promise<Object>} Referrer nickname
+   */
+  async applyCode(userId, code) {
+    if (!code) {
+      throw new ApiError(400, 'REFERRAL_CODE_REQUIRED', 'Referral code is required');
+    }
+
+    const referrer = await UserModel.findOne({ referralCode: String(code).trim().toUpperCase() }).select('nickname');
+
+    if (!referrer) {
+      throw new ApiError(404, 'REFERRAL_CODE_INVALID', 'Referral code does not exist');
+    }
+
+    if (referrer._id.toString() === userId.toString()) {
+      throw new ApiError(400, 'REFERRAL_SELF', 'You cannot use your own referral code');
+    }
+
+    const hasPaid = await TransactionModel.exists({
+      userId,
+      type: { $ne: 'DEPOSIT' },
+      status: 'COMPLETED',
+      paymentMethod: { $in: PAID_METHODS }
+    });
+
+    if (hasPaid) {
+      throw new ApiError(409, 'REFERRAL_TOO_LATE', 'Referral codes can only be used before your first paid action');
+    }
+
+    const user = await UserModel.findOneAndUpdate(
+      { _id: userId, referredBy: null },
+      { referredBy: referrer._id, updatedAt: new Date() }
+    );
+
+    if (!user) {
+      throw new ApiError(409, 'REFERRAL_ALREADY_APPLIED', 'A referral code has already been applied');
+    }
+
+    return { referrer: referrer.nickname };
+  }
+
+  /**
+   * Reward the referrer when a referred, World ID verified user completes a paid action.
+   * The reward is granted once per referred user.
+   * @param {Object} transaction - Completed transaction
+   * @returns {Promise<void>}
+   */
+  async rewardFirstPaidAction(transaction) {
+    if (transaction.type === 'DEPOSIT' || !PAID_METHODS.includes(transaction.paymentMethod) || !(transaction.amount > 0)) {
+      return;
+    }
+
+    const user = await UserModel.findOneAndUpdate(
+      {
+        _id: transaction.userId,
+        referredBy: { $ne: null },
+        referralRewardedAt: null,
+        verificationLevel: { $ne: 'none' }
+      },
+      { referralRewardedAt: new Date() }
+    );
+
+    if (!user) {
+      return;
+    }
+
+    try {
+      await ledgerService.creditReferral(user.referredBy, transaction, paymentsConfig.REFERRAL_REWARD_CREDITS);
+    } catch (error) {
+      await UserModel.updateOne({ _id: user._id }, { referralRewardedAt: null });
+      throw error;
+    }
+  }
+
+  /**
+   * Referral statistics of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Code, referred and rewarded users, and credits earned
+   */
+  async getStats(userId) {
+    const code = await this.getCode(userId);
+    const referredUsers = await UserModel.countDocuments({ referredBy: userId });
+    const rewardedReferrals = await UserModel.countDocuments({ referredBy: userId, referralRewardedAt: { $ne: null } });
+
+    const [earned] = await LedgerEntryModel.aggregate([
+      {
+        $match: {
+          account: ledgerService.userAccount(userId),
+          type: 'REFERRAL'
+        }
+      },
+      { $group: { _id: null, credits: { $sum: '$amount' } } }
+    ]);
+
+    return {
+      code,
+      referredUsers,
+      rewardedReferrals,
+      creditsEarned: earned ? earned.credits : 0
+    };
+  }
+}
+
+module.exports = new ReferralService();
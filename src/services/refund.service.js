@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const TransactionModel = require('../models/transaction.model.js');
+const RefundRequestModel = require('../models/refund-request.model.js');
+const ChatModel = require('../models/chat.model.js');
+const UserJobModel = require('../models/user-job.model.js');
+const jobService = require('./job.service.js');
+const ledgerService = require('./ledger.service.js');
+const demoService = require('./demo.service.js');
+const paymentsConfig = require('../config/payments.js');
+const ApiError = require('../utils/api-error.js');
+
+// Transaction types a user may ask a refund for
+const REFUNDABLE_TYPES = ['CHAT', 'JOB_LINK'];
+
+/**
+ * Service for refunds: paid chats and links are refunded to the credit balance
+ * (demo accounts get their free action back) and the chat or link is taken away
+ */
+class RefundService {
+  /**
+   * Refund a completed transaction
+   * @param {string} transactionId - Transaction ID
+   * @param {string} reason - Why it is refunded
+   * @returns {Promise<Object>} Refunded transaction
+   */
+  async refundTransaction(transactionId, reason) {
+    const transaction = await TransactionModel.findOneAndUpdate(
+      { _id: transactionId, status: 'COMPLETED', type: { $in: REFUNDABLE_TYPES } },
+      { status: 'REFUNDED', updatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!transaction) {
+      throw new ApiError(409, 'TRANSACTION_NOT_REFUNDABLE', 'Only completed chat and link payments can be refunded');
+    }
+
+    // Credits are worth 1 WLD; on-chain payments are converted at the deposit rate
+    const credits = transaction.paymentMethod === 'DEMO'
+      ? 0
+      : transaction.amount * (paymentsConfig.CREDITS_PER_TOKEN[transaction.token] || 1);
+
+    try {
+      if (transaction.paymentMethod === 'DEMO') {
+        await demoService.restoreQuota(transaction.userId, transaction.type);
+      } else if (credits > 0) {
+        await ledgerService.refund(transaction, credits);
+      }
+    } catch (error) {
+      await TransactionModel.updateOne(
+        { _id: transaction._id, status: 'REFUNDED' },
+        { status: 'COMPLETED', updatedAt: new Date() }
+      );
+      throw error;
+    }
+
+    transaction.refund = { credits, reason, refundedAt: new Date() };
+
+    // A refunded chat is closed
+    if (transaction.type === 'CHAT') {
+      await ChatModel.updateMany(
+        { transactionId: transaction._id, refundedAt: null },
+        { refundedAt: transaction.refund.refundedAt }
+      );
+    }
+
+    // A refunded link is revoked, so it cannot be used after the money is back
+    if (transaction.type === 'JOB_LINK' && transaction.consumedAt) {
+      await UserJobModel.updateMany(
+        { transactionId: transaction._id },
+        { $unset: { generatedLink: 1 }, status: 'INTERESTED', updatedAt: transaction.refund.refundedAt }
+      );
+      await jobService.updateUserStatistics(transaction.userId);
+    }
+
+    return transaction.save();
+  }
+
+  /**
+   * Ask for a refund of one of the user's payments
+   * @param {string} userId - User ID
+   * @param {string} transactionId - Transaction ID
+   * @param {string} reason - Why the user wants a refund
+   * @returns {Promise<Object>} Refund request
+   */
+  async requestRefund(userId, transactionId, reason) {
+    if (!mongoose.isValidObjectId(transactionId)) {
+      throw new ApiError(400, 'TRANSACTION_ID_INVALID', 'A valid transactionId is required');
+    }
+
+    if (!reason || !reason.trim()) {
+      throw new ApiError(400, 'REFUND_REASON_REQUIRED', 'Please tell us why you want a refund');
+    }
+
+    const transaction = await TransactionModel.findOne({ _id: transactionId, userId });
+
+    if (!transaction) {
+      throw new ApiError(404, 'TRANSACTION_NOT_FOUND', 'Transaction not found');
+    }
+
+    if (transaction.status !== 'COMPLETED' || !REFUNDABLE_TYPES.includes(transaction.type)) {
+      throw new ApiError(409, 'TRANSACTION_NOT_REFUNDABLE', 'Only completed chat and link payments can be refunded');
+    }
+
+    try {
+      return await RefundRequestModel.create({ userId, transactionId, reason: reason.trim() });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ApiError(409, 'REFUND_ALREADY_REQUESTED', 'A refund for this payment is already being reviewed');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or deny a pending refund request
+   * @param {string} requestId - Refund request ID
+   * @param {string} moderatorId - Reviewing moderator
+   * @param {boolean} approve - Whether the refund is granted
+   * @param {string} note - Optional note for the user
+   * @returns {Promise<Object>} Reviewed request
+   */
+  async reviewRequest(requestId, moderatorId, approve, note) {
+    if (!mongoose.isValidObjectId(requestId)) {
+      throw new ApiError(404, 'REFUND_REQUEST_NOT_FOUND', 'Refund request not found');
+    }
+
+    const request = await RefundRequestModel.findOneAndUpdate(
+      { _id: requestId, status: 'PENDING' },
+      {
+        status: approve ? 'APPROVED' : 'DENIED',
+        reviewedBy: moderatorId,
+        reviewNote: note,
+        reviewedAt: new Date(),
+        updatedAt: new Date()
+      },
+      { new: true }
+    );
+
+    if (!request) {
+      const exists = await RefundRequestModel.exists({ _id: requestId });
+      throw exists
+        ? new ApiError(409, 'REFUND_REQUEST_ALREADY_REVIEWED', 'Refund request has already been reviewed')
+        : new ApiError(404, 'REFUND_REQUEST_NOT_FOUND', 'Refund request not found');
+    }
+
+    if (approve) {
+      try {
+        await this.refundTransaction(request.transactionId, 'REQUEST_APPROVED');
+      } catch (error) {
+        // Reopen the request so it can be reviewed again
+        await RefundRequestModel.updateOne(
+          { _id: request._id },
+          { status: 'PENDING', $unset: { reviewedBy: 1, reviewNote: 1, reviewedAt: 1 } }
+        );
+        throw error;
+      }
+    }
+
+    return request;
+  }
+
+  /**
+   * List refund requests
+   * @param {Object} filters - Optional status and user filters
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated refund requests
+   */
+  async listRequests(filters = {}, pagination = { page: 1, limit: 20 }) {
+    const query = {};
+
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    if (filters.userId) {
+      query.userId = filters.userId;
+    }
+
+    const page = parseInt(pagination.page) || 1;
+    const limit = Math.min(parseInt(pagination.limit) || 20, 100);
+
+    const requests = await RefundRequestModel.find(query)
+      .populate('transactionId', 'type amount token paymentMethod status reference createdAt')
+      .sort({ createdAt: filters.status === 'PENDING' ? 1 : -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await RefundRequestModel.countDocuments(query);
+
+    return {
+      requests,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,162 @@
+const { ethers } = require('ethers');
+const authConfig = require('../config/auth.js');
+const ApiError = require('../utils/api-error.js');
+
+// Magic value returned by EIP-1271 isValidSignature on success
+const EIP1271_MAGIC_VALUE = '0x1626ba7e';
+const EIP1271_ABI = ['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'];
+
+// Allowed clock skew between client and server
+const CLOCK_SKEW_MS = 60 * 1000;
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+// Field labels of an EIP-4361 message and the key they are parsed into
+const FIELDS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+/**
+ * Service for handling Sign-In-With-Ethereum (EIP-4361) messages
+ */
+class SiweService {
+  /**
+   * Parse an EIP-4361 message
+   * @param {string} message - Raw SIWE message
+   * @returns {Object} Parsed message fields
+   */
+  parseMessage(message) {
+    if (typeof message !== 'string' || !message.includes(HEADER_SUFFIX)) {
+      throw new ApiError(400, 'SIWE_INVALID_MESSAGE', 'Malformed SIWE message');
+    }
+
+    const lines = message.split('\n');
+    const parsed = {
+      domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+      address: lines[1],
+      resources: []
+    };
+
+    if (!lines[0].endsWith(HEADER_SUFFIX) || !ethers.isAddress(parsed.address)) {
+      throw new ApiError(400, 'SIWE_INVALID_MESSAGE', 'Malformed SIWE message');
+    }
+
+    let inResources = false;
+    for (const line of lines.slice(2)) {
+      if (inResources && line.startsWith('- ')) {
+        parsed.resources.push(line.substring(2));
+        continue;
+      }
+
+      if (line === 'Resources:') {
+        inResources = true;
+        continue;
+      }
+
+      const separator = line.indexOf(': ');
+      const label = separator > 0 ? line.substring(0, separator) : null;
+
+      if (label && FIELDS[label]) {
+        parsed[FIELDS[label]] = line.substring(separator + 2);
+      } else if (line && !parsed.uri) {
+        // Optional statement between the address and the URI
+        parsed.statement = line;
+      }
+    }
+
+    if (!parsed.uri || parsed.version !== '1' || !parsed.chainId || !parsed.nonce || !parsed.issuedAt) {
+      throw new ApiError(400, 'SIWE_INVALID_MESSAGE', 'SIWE message is missing required fields');
+    }
+
+    parsed.chainId = Number(parsed.chainId);
+    return parsed;
+  }
+
+  /**
+   * Check the signature of a SIWE message against its address
+   * @param {string} message - Raw SIWE message
+   * @param {string} signature - Signature produced by the wallet
+   * @param {string} address - Address claimed in the message
+   * @returns {Promise<boolean>} Whether the signature is valid
+   */
+  async isValidSignature(message, signature, address) {
+    try {
+      const recovered = ethers.verifyMessage(message, signature);
+      if (recovered.toLowerCase() === address.toLowerCase()) {
+        return true;
+      }
+    } catch (error) {
+      // Not an EOA signature, it may still be valid for a contract wallet
+    }
+
+    if (!authConfig.SIWE_RPC_URL) {
+      return false;
+    }
+
+    try {
+      const provider = new ethers.JsonRpcProvider(authConfig.SIWE_RPC_URL);
+      const wallet = new ethers.Contract(address, EIP1271_ABI, provider);
+      const result = await wallet.isValidSignature(ethers.hashMessage(message), signature);
+      return result === EIP1271_MAGIC_VALUE;
+    } catch (error) {
+      console.error('EIP-1271 signature check failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Verify a signed SIWE message. Nonce bookkeeping is left to the caller.
+   * @param {string} message - Raw SIWE message
+   * @param {string} signature - Signature produced by the wallet
+   * @returns {Promise<Object>} Parsed message with checksummed address
+   */
+  async verify(message, signature) {
+    if (!signature) {
+      throw new ApiError(400, 'SIWE_MISSING_SIGNATURE', 'Signature is required');
+    }
+
+    const fields = this.parseMessage(message);
+    const now = Date.now();
+
+    if (fields.domain !== authConfig.SIWE_DOMAIN) {
+      throw new ApiError(401, 'SIWE_DOMAIN_MISMATCH', 'SIWE message was issued for another domain');
+    }
+
+    if (!authConfig.SIWE_CHAIN_IDS.includes(fields.chainId)) {
+      throw new ApiError(401, 'SIWE_CHAIN_MISMATCH', 'SIWE message was issued for an unsupported chain');
+    }
+
+    const issuedAt = Date.parse(fields.issuedAt);
+    if (Number.isNaN(issuedAt) || issuedAt > now + CLOCK_SKEW_MS) {
+      throw new ApiError(401, 'SIWE_INVALID_ISSUED_AT', 'SIWE message has an invalid issue time');
+    }
+
+    const expiresAt = fields.expirationTime
+      ? Date.parse(fields.expirationTime)
+      : issuedAt + authConfig.SIWE_MAX_AGE_MS;
+    if (Number.isNaN(expiresAt) || expiresAt < now - CLOCK_SKEW_MS) {
+      throw new ApiError(401, 'SIWE_EXPIRED', 'SIWE message has expired');
+    }
+
+    if (fields.notBefore && Date.parse(fields.notBefore) > now + CLOCK_SKEW_MS) {
+      throw new ApiError(401, 'SIWE_NOT_YET_VALID', 'SIWE message is not valid yet');
+    }
+
+    const valid = await this.isValidSignature(message, signature, fields.address);
+    if (!valid) {
+      throw new ApiError(401, 'SIWE_INVALID_SIGNATURE', 'Signature does not match the SIWE message address');
+    }
+
+    fields.address = ethers.getAddress(fields.address);
+    return fields;
+  }
+}
+
+module.exports = new SiweService();
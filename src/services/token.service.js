@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const jwtUtils = require('../utils/jwt.utils.js');
+const authConfig = require('../config/auth.js');
+const ApiError = require('../utils/api-error.js');
+const RefreshTokenModel = require('../models/refresh-token.model.js');
+const RevokedTokenModel = require('../models/revoked-token.model.js');
+const UserModel = require('../models/user.model.js');
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Service for handling sessions: access tokens, rotating refresh tokens and revocation
+ */
+class TokenService {
+  /**
+   * Issue an access token and a refresh token
+   * @param {Object} claims - Claims to encode in the access token (must include userId)
+   * @param {Object} options - Session options
+   * @param {string} options.familyId - Existing token family when rotating
+   * @param {string} options.userAgent - Client user agent
+   * @param {string} options.ip - Client IP address
+   * @returns {Promise<Object>} Access token and refresh token
+   */
+  async issueTokens(claims, options = {}) {
+    const familyId = options.familyId || crypto.randomUUID();
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+    await RefreshTokenModel.create({
+      tokenHash: hashToken(refreshToken),
+      userId: claims.userId,
+      familyId,
+      claims,
+      userAgent: options.userAgent,
+      ip: options.ip,
+      expiresAt: new Date(Date.now() + authConfig.REFRESH_TOKEN_TTL_MS)
+    });
+
+    return {
+      token: jwtUtils.createAccessToken({ ...claims, sid: familyId }),
+      refreshToken
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. Presenting a token that was
+   * already rotated revokes the whole family, since it means the token leaked.
+   * @param {string} refreshToken - Raw refresh token
+   * @param {Object} options - Client user agent and IP address
+   * @returns {Promise<Object>} New access token and refresh token
+   */
+  async rotateRefreshToken(refreshToken, options = {}) {
+    if (!refreshToken) {
+      throw new ApiError(400, 'REFRESH_TOKEN_MISSING', 'Refresh token is required');
+    }
+
+    const stored = await RefreshTokenModel.findOne({ tokenHash: hashToken(refreshToken) });
+
+    if (!stored) {
+      throw new ApiError(401, 'REFRESH_TOKEN_INVALID', 'Invalid refresh token');
+    }
+
+    if (stored.revokedAt) {
+      throw new ApiError(401, 'REFRESH_TOKEN_REVOKED', 'Refresh token has been revoked');
+    }
+
+    if (stored.expiresAt <= new Date()) {
+      throw new ApiError(401, 'REFRESH_TOKEN_EXPIRED', 'Refresh token has expired');
+    }
+
+    // Mark as used atomically so two concurrent refreshes cannot both succeed
+    const claimed = await RefreshTokenModel.findOneAndUpdate(
+      { _id: stored._id, usedAt: null, revokedAt: null },
+      { usedAt: new Date() }
+    );
+
+    if (!claimed) {
+      await this.revokeFamily(stored.familyId, 'REFRESH_TOKEN_REUSE');
+      throw new ApiError(401, 'REFRESH_TOKEN_REUSED', 'Refresh token reuse detected, session revoked');
+    }
+
+    // Verification, demo status and roles can change during a session, so take them from the user rather than the old claims
+    const user = await UserModel.findById(stored.userId).select('verificationLevel worldIdNullifierHash isDemo roles');
+
+    if (!user) {
+      await this.revokeFamily(stored.familyId, 'USER_NOT_FOUND');
+      throw new ApiError(401, 'REFRESH_TOKEN_INVALID', 'Invalid refresh token');
+    }
+
+    const claims = {
+      ...stored.claims,
+      worldIdVerified: Boolean(user.worldIdNullifierHash),
+      verificationLevel: user.verificationLevel,
+      isDemoUser: user.isDemo || undefined,
+      roles: user.roles
+    };
+
+    return this.issueTokens(claims, { ...options, familyId: stored.familyId });
+  }
+
+  /**
+   * Revoke every refresh token of a family and block its access tokens
+   * @param {string} familyId - Token family (the `sid` claim)
+   * @param {string} reason - Why the family is revoked
+   * @returns {Promise<void>}
+   */
+  async revokeFamily(familyId, reason) {
+    const now = new Date();
+
+    await RefreshTokenModel.updateMany(
+      { familyId, revokedAt: null },
+      { revokedAt: now, revokedReason: reason }
+    );
+
+    // Access tokens of the family are at most as long-lived as its refresh tokens
+    const latest = await RefreshTokenModel.findOne({ familyId }).sort({ expiresAt: -1 });
+
+    await RevokedTokenModel.create({
+      familyId,
+      reason,
+      expiresAt: latest ? latest.expiresAt : new Date(now.getTime() + authConfig.REFRESH_TOKEN_TTL_MS)
+    });
+  }
+
+  /**
+   * Revoke every session of a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Why the sessions are revoked
+   * @returns {Promise<void>}
+   */
+  async revokeUserSessions(userId, reason) {
+    const familyIds = await RefreshTokenModel.distinct('familyId', { userId, revokedAt: null });
+
+    for (const familyId of familyIds) {
+      await this.revokeFamily(familyId, reason);
+    }
+  }
+
+  /**
+   * Revoke a session from one of its access tokens
+   * @param {Object} decoded - Decoded access token
+   * @param {string} reason - Why the session is revoked
+   * @returns {Promise<void>}
+   */
+  async revokeSession(decoded, reason) {
+    if (decoded.sid) {
+      await this.revokeFamily(decoded.sid, reason);
+    }
+
+    if (decoded.jti) {
+      await RevokedTokenModel.create({
+        jti: decoded.jti,
+        reason,
+        expiresAt: new Date(decoded.exp * 1000)
+      });
+    }
+  }
+
+  /**
+   * Check the denylist for an access token
+   * @param {Object} decoded - Decoded access token
+   * @returns {Promise<boolean>} Whether the token has been revoked
+   */
+  async isRevoked(decoded) {
+    const conditions = [];
+
+    if (decoded.jti) conditions.push({ jti: decoded.jti });
+    if (decoded.sid) conditions.push({ familyId: decoded.sid });
+
+    if (conditions.length === 0) {
+      return false;
+    }
+
+    return Boolean(await RevokedTokenModel.exists({ $or: conditions }));
+  }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const WebhookEventModel = require('../models/webhook-event.model.js');
+const RejectedWebhookModel = require('../models/rejected-webhook.model.js');
+const paymentService = require('./payment.service.js');
+const paymentsConfig = require('../config/payments.js');
+const ApiError = require('../utils/api-error.js');
+
+// Header carrying "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${rawBody}`>"
+const SIGNATURE_HEADER = 'x-webhook-signature';
+
+// Settlement failures that mean the callback claimed a payment that does not match
+const MISMATCH_REASONS = ['TOKEN_NOT_ALLOWED', 'TOKEN_MISMATCH', 'RECIPIENT_MISMATCH', 'AMOUNT_MISMATCH'];
+
+/**
+ * Parse the signature header
+ * @param {string} header - Header value
+ * @returns {Object} Timestamp and signatures
+ */
+function parseSignatureHeader(header) {
+  const parts = { signatures: [] };
+
+  header.split(',').forEach(part => {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') {
+      parts.timestamp = Number(value);
+    } else if (key === 'v1' && value) {
+      parts.signatures.push(value);
+    }
+  });
+
+  return parts;
+}
+
+/**
+ * Service for the signed payment callback webhook
+ */
+class WebhookService {
+  /**
+   * Check the HMAC signature and timestamp of a callback
+   * @param {Buffer|string} rawBody - Body exactly as received
+   * @param {string} header - Signature header
+   */
+  verifySignature(rawBody, header) {
+    if (!paymentsConfig.WEBHOOK_SECRET) {
+      throw new ApiError(503, 'WEBHOOK_NOT_CONFIGURED', 'Payment callbacks are not configured');
+    }
+
+    if (!header || rawBody === undefined) {
+      throw new ApiError(401, 'WEBHOOK_SIGNATURE_MISSING', 'Signature is required');
+    }
+
+    const { timestamp, signatures } = parseSignatureHeader(header);
+
+    if (!Number.isFinite(timestamp) || signatures.length === 0) {
+      throw new ApiError(401, 'WEBHOOK_SIGNATURE_INVALID', 'Malformed signature header');
+    }
+
+    if (Math.abs(Date.now() - timestamp * 1000) > paymentsConfig.WEBHOOK_TOLERANCE_MS) {
+      throw new ApiError(401, 'WEBHOOK_TIMESTAMP_OUT_OF_RANGE', 'Signature timestamp is too old or in the future');
+    }
+
+    const expected = crypto
+      .createHmac('sha256', paymentsConfig.WEBHOOK_SECRET)
+      .update(`${timestamp}.`)
+      .update(rawBody)
+      .digest();
+
+    const valid = signatures.some(signature => {
+      const given = Buffer.from(signature, 'hex');
+      return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    });
+
+    if (!valid) {
+      throw new ApiError(401, 'WEBHOOK_SIGNATURE_INVALID', 'Signature does not match');
+    }
+  }
+
+  /**
+   * Process a payment event once per event ID. The status in the callback is not
+   * trusted: the transaction is checked with the World API before it is finalized.
+   * @param {Object} event - Callback body (event_id, reference, transaction_id)
+   * @returns {Promise<Object>} Processing result
+   */
+  async handlePaymentEvent(event) {
+    const { event_id: eventId, reference, transaction_id: worldIdTransactionId } = event || {};
+
+    if (!eventId || !reference || !worldIdTransactionId) {
+      throw new ApiError(400, 'WEBHOOK_PAYLOAD_INVALID', 'event_id, reference and transaction_id are required');
+    }
+
+    let record;
+    try {
+      record = await WebhookEventModel.create({ eventId, reference });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      // Already seen: answer as before so the sender stops retrying
+      const previous = await WebhookEventModel.findOne({ eventId });
+      return { duplicate: true, status: previous.outcome, reason: previous.reason };
+    }
+
+    try {
+      const result = await paymentService.confirmPayment(reference, worldIdTransactionId);
+
+      record.transactionId = result.transaction._id;
+      record.outcome = result.status;
+      record.reason = result.reason;
+      record.processedAt = new Date();
+      await record.save();
+
+      if (result.status === 'REJECTED' || MISMATCH_REASONS.includes(result.reason)) {
+        throw paymentService.settlementError(result.reason);
+      }
+
+      return { duplicate: false, status: result.status, reason: result.reason };
+    } catch (error) {
+      // Let the sender retry events that could not be processed
+      if (record.outcome === 'PROCESSING') {
+        await WebhookEventModel.deleteOne({ _id: record._id });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Store a rejected callback for inspection
+   * @param {Object} req - Express request object
+   * @param {ApiError} error - Why it was rejected
+   * @returns {Promise<void>}
+   */
+  async storeRejected(req, error) {
+    try {
+      await RejectedWebhookModel.create({
+        code: error.code,
+        message: error.message,
+        eventId: req.body?.event_id,
+        headers: {
+          signature: req.get(SIGNATURE_HEADER),
+          'content-type': req.get('content-type'),
+          'user-agent': req.get('user-agent')
+        },
+        rawBody: req.rawBody ? req.rawBody.toString('utf8') : undefined,
+        ip: req.ip
+      });
+    } catch (storeError) {
+      console.error('Failed to store rejected webhook:', storeError);
+    }
+  }
+
+  /**
+   * List rejected callbacks, newest first
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated rejected callbacks
+   */
+  async listRejected(pagination = { page: 1, limit: 20 }) {
+    const page = parseInt(pagination.page) || 1;
+    const limit = Math.min(parseInt(pagination.limit) || 20, 100);
+
+    const webhooks = await RejectedWebhookModel.find()
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await RejectedWebhookModel.countDocuments();
+
+    return {
+      webhooks,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = new WebhookService();
+module.exports.SIGNATURE_HEADER = SIGNATURE_HEADER;
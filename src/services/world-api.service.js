@@ -0,0 +1,75 @@
+const axios = require('axios');
+const worldIdConfig = require('../config/world-id.js');
+
+/**
+ * Client for the MiniKit transaction API of the World developer portal
+ */
+class HttpWorldApi {
+  /**
+   * Get the state of a MiniKit transaction
+   * @param {string} transactionId - The World ID transaction ID
+   * @returns {Promise<Object>} Transaction as returned by the API
+   */
+  async getTransaction(transactionId) {
+    const headers = {
+      'Authorization': `Bearer ${worldIdConfig.API_KEY}`,
+      'Content-Type': 'application/json'
+    };
+
+    const url = `${worldIdConfig.API_BASE_URL}/minikit/transaction/${transactionId}?app_id=${worldIdConfig.APP_ID}`;
+
+    const response = await axios.get(url, { headers });
+    return response.data;
+  }
+}
+
+/**
+ * Local stand-in for the transaction API. Tests register the transactions
+ * it should know about with setTransaction.
+ */
+class FakeWorldApi {
+  constructor() {
+    this.transactions = new Map();
+  }
+
+  /**
+   * Register the API answer for a transaction
+   * @param {string} transactionId - The World ID transaction ID
+   * @param {Object} data - Transaction data, e.g. { transaction_status: 'mined' }
+   */
+  setTransaction(transactionId, data) {
+    this.transactions.set(transactionId, { transaction_id: transactionId, ...data });
+  }
+
+  /**
+   * Forget every registered transaction
+   */
+  reset() {
+    this.transactions.clear();
+  }
+
+  async getTransaction(transactionId) {
+    const transaction = this.transactions.get(transactionId);
+
+    if (!transaction) {
+      throw new Error(`Unknown transaction: ${transactionId}`);
+    }
+
+    return transaction;
+  }
+}
+
+const clients = {
+  http: HttpWorldApi,
+  fake: FakeWorldApi
+};
+
+const Client = clients[worldIdConfig.PAYMENTS_API];
+
+if (!Client) {
+  throw new Error(`Unknown World payments API client: ${worldIdConfig.PAYMENTS_API}`);
+}
+
+module.exports = new Client();
+module.exports.HttpWorldApi = HttpWorldApi;
+module.exports.FakeWorldApi = FakeWorldApi;
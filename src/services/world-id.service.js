@@ -99,16 +99,18 @@ class WorldIDService {
    * Gets OAuth token from World ID
    * @param {string} code - Authorization code
    * @param {string} redirectUri - Redirect URI
+   * @param {string} codeVerifier - PKCE code verifier
    * @returns {Promise<Object>} OAuth token
    */
-  async getOAuthToken(code, redirectUri) {
+  async getOAuthToken(code, redirectUri, codeVerifier) {
     try {
       const response = await axios.post(`${worldIdConfig.API_BASE_URL}/oauth/token`, {
         client_id: worldIdConfig.APP_ID,
         client_secret: worldIdConfig.CLIENT_SECRET,
         grant_type: 'authorization_code',
         code,
-        redirect_uri: redirectUri
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier
       });
       
       return response.data;
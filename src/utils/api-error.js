@@ -0,0 +1,28 @@
+/**
+ * Error carrying an HTTP status and a machine-readable code,
+ * so controllers can answer with something more specific than a 500
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status to respond with
+   * @param {string} code - Machine-readable error code
+   * @param {string} message - Human-readable error message
+   */
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+  }
+
+  /**
+   * Send this error as a JSON response
+   * @param {Object} res - Express response object
+   * @returns {Object} Express response
+   */
+  send(res) {
+    return res.status(this.status).json({ error: this.message, code: this.code });
+  }
+}
+
+module.exports = ApiError;
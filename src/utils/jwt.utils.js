@@ -1,7 +1,9 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const keyRing = require('./key-ring.utils.js');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'BrightNimbusworldwoin2025';
-const JWT_EXPIRATION = process.env.JWT_EXPIRATION || '24h';
+const JWT_EXPIRATION = process.env.JWT_EXPIRATION || '15m';
+const JWT_ISSUER = process.env.JWT_ISSUER || 'doup-api';
 
 /**
  * Utilities for JWT token handling
@@ -13,8 +15,14 @@ class JwtUtils {
    * @returns {string} JWT token
    */
   createAccessToken(userData) {
-    return jwt.sign(userData, JWT_SECRET, {
-      expiresIn: JWT_EXPIRATION
+    const { kid, alg, privateKey } = keyRing.getSigningKey();
+
+    return jwt.sign(userData, privateKey, {
+      algorithm: alg,
+      keyid: kid,
+      issuer: JWT_ISSUER,
+      expiresIn: JWT_EXPIRATION,
+      jwtid: crypto.randomUUID()
     });
   }
 
@@ -25,11 +33,21 @@ class JwtUtils {
    */
   verifyToken(token) {
     try {
-      return jwt.verify(token, JWT_SECRET);
+      const { header } = jwt.decode(token, { complete: true }) || {};
+      const key = header && keyRing.getVerificationKey(header.kid);
+
+      if (!key) {
+        throw new Error('Unknown signing key');
+      }
+
+      return jwt.verify(token, key.publicKey, {
+        algorithms: [key.alg],
+        issuer: JWT_ISSUER
+      });
     } catch (error) {
       throw new Error('Invalid token');
     }
   }
 }
 
-module.exports = new JwtUtils();
\ No newline at end of file
+module.exports = new JwtUtils();
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Pick the JWT algorithm for a key
+ * @param {crypto.KeyObject} key - Private or public key
+ * @returns {string} JWT algorithm name
+ */
+function algorithmFor(key) {
+  if (key.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+
+  if (key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+
+  throw new Error(`Unsupported JWT key type: ${key.asymmetricKeyType}`);
+}
+
+/**
+ * Key ring for signing and verifying JWTs.
+ *
+ * Keys are read from JWT_KEYS_DIR: `<kid>.pem` files hold private keys (sign and
+ * verify), `<kid>.pub.pem` files hold public keys of retired keys that are only
+ * kept to verify tokens issued before a rotation. JWT_SIGNING_KID selects the
+ * signing key, otherwise the last private key in alphabetical order is used.
+ */
+class KeyRing {
+  constructor() {
+    this.keys = null;
+    this.signingKid = null;
+  }
+
+  /**
+   * Load key material. Outside production an ephemeral key is generated when
+   * none is configured; in production missing keys are a fatal error.
+   * @returns {KeyRing} This key ring
+   */
+  load() {
+    if (this.keys) {
+      return this;
+    }
+
+    const keys = new Map();
+    const keysDir = process.env.JWT_KEYS_DIR;
+
+    if (keysDir) {
+      const files = fs.readdirSync(keysDir).filter(file => file.endsWith('.pem')).sort();
+
+      for (const file of files) {
+        const pem = fs.readFileSync(path.join(keysDir, file), 'utf8');
+
+        if (file.endsWith('.pub.pem')) {
+          const publicKey = crypto.createPublicKey(pem);
+          keys.set(file.slice(0, -'.pub.pem'.length), { publicKey, alg: algorithmFor(publicKey) });
+        } else {
+          const privateKey = crypto.createPrivateKey(pem);
+          keys.set(file.slice(0, -'.pem'.length), {
+            privateKey,
+            publicKey: crypto.createPublicKey(privateKey),
+            alg: algorithmFor(privateKey)
+          });
+        }
+      }
+    }
+
+    const signable = [...keys.keys()].filter(kid => keys.get(kid).privateKey);
+
+    if (signable.length === 0) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('No JWT signing key configured. Set JWT_KEYS_DIR to a directory of PEM private keys.');
+      }
+
+      console.warn('No JWT signing key configured, using an ephemeral development key');
+      const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+      const kid = `dev-${crypto.randomUUID()}`;
+      keys.set(kid, { privateKey, publicKey, alg: 'ES256' });
+      signable.push(kid);
+    }
+
+    const signingKid = process.env.JWT_SIGNING_KID || signable[signable.length - 1];
+
+    if (!keys.has(signingKid) || !keys.get(signingKid).privateKey) {
+      throw new Error(`JWT signing key "${signingKid}" not found among private keys`);
+    }
+
+    this.keys = keys;
+    this.signingKid = signingKid;
+    return this;
+  }
+
+  /**
+   * Get the key used to sign new tokens
+   * @returns {Object} Key id, algorithm and private key
+   */
+  getSigningKey() {
+    this.load();
+    const { privateKey, alg } = this.keys.get(this.signingKid);
+    return { kid: this.signingKid, alg, privateKey };
+  }
+
+  /**
+   * Get the key that verifies tokens signed with a key id
+   * @param {string} kid - Key id from the token header
+   * @returns {Object|null} Algorithm and public key
+   */
+  getVerificationKey(kid) {
+    this.load();
+    const key = this.keys.get(kid);
+    return key ? { alg: key.alg, publicKey: key.publicKey } : null;
+  }
+
+  /**
+   * Public keys as a JSON Web Key Set
+   * @returns {Object} JWKS document
+   */
+  getJwks() {
+    this.load();
+    const keys = [...this.keys.entries()].map(([kid, key]) => ({
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid,
+      alg: key.alg,
+      use: 'sig'
+    }));
+
+    return { keys };
+  }
+}
+
+module.exports = new KeyRing();
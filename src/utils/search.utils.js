@@ -0,0 +1,120 @@
+// Characters kept before the first match of a snippet, and the snippet length
+const SNIPPET_CONTEXT = 60;
+const SNIPPET_LENGTH = 200;
+
+/**
+ * Utilities for text search input and highlighting
+ */
+class SearchUtils {
+  /**
+   * Escape a string for use as a literal in a regular expression
+   * @param {string} value - User input
+   * @returns {string} Escaped pattern
+   */
+  escapeRegex(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Lower-case a text and strip its accents, keeping the position of every folded
+   * character in the original text
+   * @param {string} text - Text
+   * @returns {Object} Folded text and the original index of each of its characters
+   */
+  fold(text) {
+    let folded = '';
+    const positions = [];
+    let offset = 0;
+
+    for (const char of text) {
+      for (const part of char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()) {
+        folded += part;
+        positions.push(offset);
+      }
+      offset += char.length;
+    }
+
+    positions.push(text.length);
+    return { folded, positions };
+  }
+
+  /**
+   * URL-friendly name, e.g. "Diseño gráfico" -> "diseno-grafico"
+   * @param {string} text - Name
+   * @returns {string} Slug
+   */
+  slugify(text) {
+    return this.fold(String(text)).folded.replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Build a pattern for the words of a $text search, so the same words can be
+   * highlighted. Excluded words (-word) are left out and long words are matched by
+   * their start, roughly like the stemming of the text index.
+   * @param {string} search - $text search string
+   * @returns {RegExp|null} Accent-insensitive pattern, or null without words
+   */
+  searchPattern(search) {
+    const terms = this.fold(String(search).replace(/(^|\s)-\S+/g, ' ')).folded
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(term => term.length > 1)
+      .map(term => this.escapeRegex(term.length > 5 ? term.slice(0, -2) : term));
+
+    if (terms.length === 0) {
+      return null;
+    }
+
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${[...new Set(terms)].join('|')})[\\p{L}\\p{N}]*`, 'gu');
+  }
+
+  /**
+   * Split a text into hit and plain parts, like Atlas Search highlights
+   * @param {string} text - Field value
+   * @param {RegExp} pattern - Pattern from searchPattern
+   * @param {boolean} snippet - Only keep the part around the first hit
+   * @returns {Array|null} Parts ({ value, type: 'hit' or 'text' }), or null without hits
+   */
+  highlight(text, pattern, snippet = false) {
+    if (typeof text !== 'string' || !pattern) {
+      return null;
+    }
+
+    const { folded, positions } = this.fold(text);
+    const hits = [...folded.matchAll(pattern)]
+      .map(match => [positions[match.index], positions[match.index + match[0].length]]);
+
+    if (hits.length === 0) {
+      return null;
+    }
+
+    let start = 0;
+    let end = text.length;
+    if (snippet && text.length > SNIPPET_LENGTH) {
+      // Start and end on word boundaries
+      start = Math.max(0, hits[0][0] - SNIPPET_CONTEXT);
+      if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+      if (start > hits[0][0]) start = hits[0][0];
+      end = Math.min(text.length, start + SNIPPET_LENGTH);
+      const lastSpace = text.lastIndexOf(' ', end);
+      if (end < text.length && lastSpace > hits[0][1]) end = lastSpace;
+    }
+
+    const texts = [];
+    let cursor = start;
+    hits
+      .filter(([hitStart, hitEnd]) => hitStart >= start && hitEnd <= end)
+      .forEach(([hitStart, hitEnd]) => {
+        if (hitStart > cursor) texts.push({ value: text.slice(cursor, hitStart), type: 'text' });
+        texts.push({ value: text.slice(hitStart, hitEnd), type: 'hit' });
+        cursor = hitEnd;
+      });
+    if (cursor < end) texts.push({ value: text.slice(cursor, end), type: 'text' });
+
+    if (start > 0) texts.unshift({ value: '…', type: 'text' });
+    if (end < text.length) texts.push({ value: '…', type: 'text' });
+
+    return texts;
+  }
+}
+
+module.exports = new SearchUtils();
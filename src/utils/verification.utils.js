@@ -0,0 +1,47 @@
+// World ID verification levels from weakest to strongest
+const LEVELS = ['none', 'device', 'document', 'secure_document', 'orb'];
+
+/**
+ * Utilities for comparing World ID verification levels
+ */
+class VerificationUtils {
+  /**
+   * Rank of a verification level, unknown levels count as 'none'
+   * @param {string} level - Verification level
+   * @returns {number} Rank
+   */
+  rank(level) {
+    return Math.max(LEVELS.indexOf(level), 0);
+  }
+
+  /**
+   * Whether a level is a World ID verification at all
+   * @param {string} level - Verification level
+   * @returns {boolean} Whether the user is verified
+   */
+  isVerified(level) {
+    return this.rank(level) > 0;
+  }
+
+  /**
+   * Check whether a level satisfies a required level
+   * @param {string} level - Level the user has
+   * @param {string} required - Level the action needs
+   * @returns {boolean} Whether the level is sufficient
+   */
+  satisfies(level, required) {
+    return this.rank(level) >= this.rank(required);
+  }
+
+  /**
+   * Keep the strongest of two levels, so verifying with a weaker credential never downgrades a user
+   * @param {string} current - Level stored on the user
+   * @param {string} proven - Level just proven
+   * @returns {string} Strongest level
+   */
+  strongest(current, proven) {
+    return this.rank(proven) > this.rank(current) ? proven : (current || 'none');
+  }
+}
+
+module.exports = new VerificationUtils();
@@ -0,0 +1,193 @@
+const assert = require('assert');
+const { ethers, network } = require('hardhat');
+const escrowConfig = require('../../src/config/escrow.js');
+const EscrowModel = require('../../src/models/escrow.model.js');
+const escrowService = require('../../src/services/escrow.service.js');
+const escrowSyncService = require('../../src/services/escrow-sync.service.js');
+
+const AMOUNT = ethers.parseUnits('100', 18);
+const DAY = 24 * 60 * 60;
+
+/**
+ * Run the escrow lifecycle on the Hardhat network, and check that the API's ABI reads
+ * the contract events and that the sync service applies them as the contract moved.
+ */
+describe('JobEscrow', () => {
+  let escrow, token, arbiter, employer, worker, stranger;
+  let stored;
+
+  // Escrow documents of the sync service, kept in memory instead of MongoDB
+  const originals = { findOne: EscrowModel.findOne, updateOne: EscrowModel.updateOne };
+  const matches = (doc, query) => doc.escrowId === query.escrowId
+    && (!query.status || (query.status.$in || [query.status]).includes(doc.status));
+
+  before(() => {
+    EscrowModel.findOne = async query => [...stored.values()].find(doc => matches(doc, query)) || null;
+    EscrowModel.updateOne = async (query, update) => {
+      const doc = [...stored.values()].find(candidate => matches(candidate, query));
+      if (!doc) return { modifiedCount: 0 };
+      doc.status = update.status;
+      return { modifiedCount: 1 };
+    };
+  });
+
+  after(() => {
+    Object.assign(EscrowModel, originals);
+  });
+
+  beforeEach(async () => {
+    [arbiter, employer, worker, stranger] = await ethers.getSigners();
+    escrow = await ethers.deployContract('JobEscrow', [arbiter.address]);
+    token = await ethers.deployContract('MockERC20', ['Mock WLD', 'WLD', 18]);
+    await token.mint(employer.address, AMOUNT);
+    await token.connect(employer).approve(await escrow.getAddress(), AMOUNT);
+    stored = new Map();
+  });
+
+  /**
+   * Store an escrow as the API prepares it
+   * @param {number} days - Days until the deadline
+   * @returns {Promise<Object>} Escrow ID, reference and deadline
+   */
+  async function prepare(days = 7) {
+    const ref = ethers.hexlify(ethers.randomBytes(32));
+    const escrowId = escrowService.escrowIdOf(employer.address.toLowerCase(), ref);
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    const deadline = timestamp + days * DAY;
+
+    stored.set(escrowId, {
+      escrowId,
+      ref,
+      employerAddress: employer.address.toLowerCase(),
+      workerAddress: worker.address.toLowerCase(),
+      tokenAddress: (await token.getAddress()).toLowerCase(),
+      amount: AMOUNT.toString(),
+      deadline: new Date(deadline * 1000),
+      status: 'AWAITING_FUNDING'
+    });
+
+    return { escrowId, ref, deadline };
+  }
+
+  /**
+   * Prepare and fund an escrow
+   * @param {number} days - Days until the deadline
+   * @returns {Promise<string>} Escrow ID
+   */
+  async function fund(days = 7) {
+    const { escrowId, ref, deadline } = await prepare(days);
+
+    await escrow.connect(employer).createEscrow(ref, worker.address, await token.getAddress(), AMOUNT, deadline);
+    return escrowId;
+  }
+
+  /**
+   * Read the contract events with the API's ABI and apply them like escrow-sync does
+   * @returns {Promise<Array>} Names of the applied events
+   */
+  async function sync() {
+    const contract = new ethers.Contract(await escrow.getAddress(), escrowConfig.ABI, ethers.provider);
+    const applied = [];
+
+    for (const log of await contract.queryFilter('*')) {
+      if (await escrowSyncService.applyEvent(log)) {
+        applied.push(log.eventName);
+      }
+    }
+
+    return applied;
+  }
+
+  it('releases the funds to the worker once the employer accepts the milestone', async () => {
+    const escrowId = await fund();
+    assert.equal(await token.balanceOf(await escrow.getAddress()), AMOUNT);
+
+    await assert.rejects(escrow.connect(employer).submitMilestone(escrowId), /not worker/);
+    await escrow.connect(worker).submitMilestone(escrowId);
+    await escrow.connect(employer).acceptMilestone(escrowId);
+
+    assert.equal(await token.balanceOf(worker.address), AMOUNT);
+    assert.deepEqual(await sync(), ['EscrowFunded', 'MilestoneSubmitted', 'EscrowReleased']);
+    assert.equal(stored.get(escrowId).status, 'RELEASED');
+
+    // Replayed events change nothing
+    assert.deepEqual(await sync(), []);
+  });
+
+  it('refunds the employer after the deadline when no milestone was submitted', async () => {
+    const escrowId = await fund(1);
+
+    await assert.rejects(escrow.connect(employer).refundAfterTimeout(escrowId), /deadline not reached/);
+
+    await network.provider.send('evm_increaseTime', [DAY + 1]);
+    await network.provider.send('evm_mine');
+    await escrow.connect(employer).refundAfterTimeout(escrowId);
+
+    assert.equal(await token.balanceOf(employer.address), AMOUNT);
+    assert.deepEqual(await sync(), ['EscrowFunded', 'EscrowRefunded']);
+    assert.equal(stored.get(escrowId).status, 'REFUNDED');
+  });
+
+  it('lets the arbiter split a disputed escrow', async () => {
+    const escrowId = await fund();
+    const workerAmount = ethers.parseUnits('30', 18);
+
+    await escrow.connect(worker).submitMilestone(escrowId);
+    await escrow.connect(worker).openDispute(escrowId);
+    await assert.rejects(escrow.connect(employer).acceptMilestone(escrowId), /not releasable/);
+    await assert.rejects(escrow.connect(stranger).resolveDispute(escrowId, workerAmount), /not arbiter/);
+    await escrow.connect(arbiter).resolveDispute(escrowId, workerAmount);
+
+    assert.equal(await token.balanceOf(worker.address), workerAmount);
+    assert.equal(await token.balanceOf(employer.address), AMOUNT - workerAmount);
+    assert.deepEqual(await sync(), ['EscrowFunded', 'MilestoneSubmitted', 'DisputeOpened', 'DisputeResolved']);
+    assert.equal(stored.get(escrowId).status, 'RESOLVED');
+  });
+
+  it('derives the escrow ID from the employer like the API does', async () => {
+    const escrowId = await fund();
+    const { ref } = stored.get(escrowId);
+
+    assert.equal((await escrow.escrowIdOf(employer.address, ref)).toLowerCase(), escrowId);
+    assert.equal((await escrow.escrows(escrowId)).employer, employer.address);
+  });
+
+  it('keeps an escrow fundable when someone else uses its reference first', async () => {
+    const { escrowId, ref, deadline } = await prepare();
+
+    // Someone else funds with the same reference, paying themselves
+    await token.mint(stranger.address, 1n);
+    await token.connect(stranger).approve(await escrow.getAddress(), 1n);
+    await escrow.connect(stranger).createEscrow(ref, arbiter.address, await token.getAddress(), 1n, deadline);
+    const strangerId = await escrow.escrowIdOf(stranger.address, ref);
+    await escrow.connect(stranger).acceptMilestone(strangerId);
+
+    assert.deepEqual(await sync(), []);
+    assert.equal(stored.get(escrowId).status, 'AWAITING_FUNDING');
+
+    await escrow.connect(employer).createEscrow(ref, worker.address, await token.getAddress(), AMOUNT, deadline);
+    assert.deepEqual(await sync(), ['EscrowFunded']);
+    assert.equal(stored.get(escrowId).status, 'FUNDED');
+  });
+
+  it('ignores an escrow funded with other terms, and its later events', async () => {
+    const { escrowId, ref, deadline } = await prepare();
+
+    // The employer funds a smaller amount than prepared
+    await escrow.connect(employer).createEscrow(ref, worker.address, await token.getAddress(), 1n, deadline);
+    await escrow.connect(employer).acceptMilestone(escrowId);
+
+    assert.deepEqual(await sync(), []);
+    assert.equal(stored.get(escrowId).status, 'AWAITING_FUNDING');
+  });
+
+  it('still applies funding that arrives after the escrow was cancelled', async () => {
+    const { escrowId, ref, deadline } = await prepare();
+    stored.get(escrowId).status = 'CANCELLED';
+
+    await escrow.connect(employer).createEscrow(ref, worker.address, await token.getAddress(), AMOUNT, deadline);
+
+    assert.deepEqual(await sync(), ['EscrowFunded']);
+    assert.equal(stored.get(escrowId).status, 'FUNDED');
+  });
+});
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const memoryDb = require('../support/memory-db.js');
+const LedgerEntryModel = require('../../src/models/ledger-entry.model.js');
+const ledgerService = require('../../src/services/ledger.service.js');
+
+const { ACCOUNTS } = ledgerService;
+
+/**
+ * Transaction-like object the ledger postings refer to
+ * @param {string} userId - User ID
+ * @param {Object} fields - Fields to override
+ * @returns {Object} Transaction
+ */
+function transaction(userId, fields = {}) {
+  return { _id: new mongoose.Types.ObjectId(), userId, type: 'CHAT', amount: 1, token: 'WLD', ...fields };
+}
+
+/**
+ * Sum of the entries of a journal
+ * @param {string} journalId - Journal ID
+ * @returns {Promise<number>} Sum, 0 for a balanced journal
+ */
+async function journalSum(journalId) {
+  const entries = await LedgerEntryModel.find({ journalId });
+  return entries.reduce((sum, entry) => sum + entry.amount, 0);
+}
+
+describe('LedgerService', () => {
+  let userId;
+
+  beforeAll(() => {
+    memoryDb.connect();
+  });
+
+  beforeEach(() => {
+    userId = new mongoose.Types.ObjectId();
+  });
+
+  afterEach(() => {
+    memoryDb.clear();
+  });
+
+  it('credits a deposit once, however often it is posted', async () => {
+    const deposit = transaction(userId, { type: 'DEPOSIT', amount: 5 });
+
+    await ledgerService.creditDeposit(deposit);
+    await ledgerService.creditDeposit(deposit);
+
+    expect(await ledgerService.getBalance(userId)).toEqual({ balance: 5, sequence: 1 });
+    expect(await LedgerEntryModel.countDocuments({ journalId: `deposit:${deposit._id}` })).toBe(2);
+    expect(await journalSum(`deposit:${deposit._id}`)).toBe(0);
+  });
+
+  it('rejects a spend above the balance', async () => {
+    await ledgerService.creditDeposit(transaction(userId, { type: 'DEPOSIT', amount: 1 }));
+
+    await expect(ledgerService.spend(transaction(userId, { amount: 2 })))
+      .rejects.toMatchObject({ status: 402, code: 'INSUFFICIENT_CREDITS' });
+    expect((await ledgerService.getBalance(userId)).balance).toBe(1);
+  });
+
+  it('lets only one of two concurrent spends draw on the same credits', async () => {
+    await ledgerService.creditDeposit(transaction(userId, { type: 'DEPOSIT', amount: 1 }));
+
+    const results = await Promise.allSettled([
+      ledgerService.spend(transaction(userId)),
+      ledgerService.spend(transaction(userId))
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.code).toBe('INSUFFICIENT_CREDITS');
+    expect((await ledgerService.getBalance(userId)).balance).toBe(0);
+  });
+
+  it('completes a journal whose counter entry was never written', async () => {
+    const deposit = transaction(userId, { type: 'DEPOSIT', amount: 3 });
+    const journalId = `deposit:${deposit._id}`;
+
+    // A posting that stopped after the user entry
+    await LedgerEntryModel.create({
+      journalId,
+      account: ledgerService.userAccount(userId),
+      userId,
+      amount: 3,
+      sequence: 1,
+      type: 'DEPOSIT',
+      transactionId: deposit._id
+    });
+    expect(await journalSum(journalId)).toBe(3);
+
+    await ledgerService.creditDeposit(deposit);
+
+    const counter = await LedgerEntryModel.findOne({ journalId, account: ACCOUNTS.DEPOSITS });
+    expect(counter.amount).toBe(-3);
+    expect(await journalSum(journalId)).toBe(0);
+    expect((await ledgerService.getBalance(userId)).balance).toBe(3);
+  });
+
+  it('moves the whole balance of a merged account once', async () => {
+    const primaryId = new mongoose.Types.ObjectId();
+    await ledgerService.creditDeposit(transaction(userId, { type: 'DEPOSIT', amount: 4 }));
+    await ledgerService.spend(transaction(userId));
+
+    await ledgerService.transferBalance(userId, primaryId);
+    await ledgerService.transferBalance(userId, primaryId);
+
+    expect((await ledgerService.getBalance(userId)).balance).toBe(0);
+    expect((await ledgerService.getBalance(primaryId)).balance).toBe(3);
+    expect(await journalSum(`merge-out:${userId}`) + await journalSum(`merge-in:${userId}`)).toBe(0);
+  });
+
+  it('finishes an interrupted transfer without moving the balance twice', async () => {
+    const primaryId = new mongoose.Types.ObjectId();
+    await ledgerService.creditDeposit(transaction(userId, { type: 'DEPOSIT', amount: 2 }));
+
+    // Only the debit of the merged account was posted
+    await ledgerService.post({
+      journalId: `merge-out:${userId}`,
+      type: 'TRANSFER',
+      userId,
+      amount: -2,
+      counterAccount: ACCOUNTS.TRANSFERS
+    });
+
+    await ledgerService.transferBalance(userId, primaryId);
+
+    expect((await ledgerService.getBalance(userId)).balance).toBe(0);
+    expect((await ledgerService.getBalance(primaryId)).balance).toBe(2);
+  });
+
+  it('does not post a transfer for an empty balance', async () => {
+    expect(await ledgerService.transferBalance(userId, new mongoose.Types.ObjectId())).toBeNull();
+    expect(await LedgerEntryModel.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const memoryDb = require('../support/memory-db.js');
+const PromoCodeModel = require('../../src/models/promo-code.model.js');
+const PromoRedemptionModel = require('../../src/models/promo-redemption.model.js');
+const promoService = require('../../src/services/promo.service.js');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+/**
+ * Reserve a use of a code for a new transaction
+ * @param {string} code - Promo code
+ * @param {string} userId - User ID
+ * @param {Object} options - Product and price
+ * @returns {Promise<Object>} Reserved promo
+ */
+function reserve(code, userId, { product = 'CHAT', price = 2 } = {}) {
+  return promoService.reserve(code, userId, product, price, newId());
+}
+
+describe('PromoService', () => {
+  beforeAll(() => {
+    memoryDb.connect();
+  });
+
+  afterEach(() => {
+    memoryDb.clear();
+  });
+
+  it('takes a percentage or a fixed amount off the price, never more than the price', () => {
+    expect(promoService.discountFor({ discountType: 'PERCENT', discountValue: 25 }, 2)).toBe(0.5);
+    expect(promoService.discountFor({ discountType: 'PERCENT', discountValue: 150 }, 2)).toBe(2);
+    expect(promoService.discountFor({ discountType: 'FIXED', discountValue: 0.3 }, 1)).toBe(0.3);
+    expect(promoService.discountFor({ discountType: 'FIXED', discountValue: 5 }, 1)).toBe(1);
+  });
+
+  it('reserves a use of a valid code, whatever its case', async () => {
+    const promoCode = await PromoCodeModel.create({ code: 'WELCOME', discountType: 'PERCENT', discountValue: 50 });
+
+    const promo = await reserve(' welcome ', newId());
+
+    expect(promo).toEqual({ codeId: promoCode._id, code: 'WELCOME', discount: 1 });
+    expect((await PromoCodeModel.findById(promoCode._id)).usesCount).toBe(1);
+    expect(await PromoRedemptionModel.countDocuments({ codeId: promoCode._id })).toBe(1);
+  });
+
+  it('rejects unknown, expired and inapplicable codes', async () => {
+    await PromoCodeModel.create({ code: 'OLD', discountType: 'FIXED', discountValue: 1, expiresAt: new Date(Date.now() - 1000) });
+    await PromoCodeModel.create({ code: 'LINKS', discountType: 'FIXED', discountValue: 1, products: ['JOB_LINK'] });
+
+    await expect(reserve('NOPE', newId())).rejects.toMatchObject({ status: 404, code: 'PROMO_CODE_INVALID' });
+    await expect(reserve('OLD', newId())).rejects.toMatchObject({ status: 410, code: 'PROMO_CODE_EXPIRED' });
+    await expect(reserve('LINKS', newId())).rejects.toMatchObject({ status: 400, code: 'PROMO_CODE_NOT_APPLICABLE' });
+    expect(await PromoRedemptionModel.countDocuments()).toBe(0);
+  });
+
+  it('lets a user redeem a code only as often as the per-user limit, even in parallel', async () => {
+    const promoCode = await PromoCodeModel.create({ code: 'TWICE', discountType: 'FIXED', discountValue: 1, perUserLimit: 2 });
+    const userId = newId();
+
+    const results = await Promise.allSettled([1, 2, 3].map(() => reserve('TWICE', userId)));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+    expect(results.find(result => result.status === 'rejected').reason.code).toBe('PROMO_CODE_USER_LIMIT');
+    expect((await PromoCodeModel.findById(promoCode._id)).usesCount).toBe(2);
+    expect(await PromoRedemptionModel.distinct('slot', { userId })).toEqual(expect.arrayContaining([0, 1]));
+  });
+
+  it('stops at the total number of uses and drops the redemption of the request that missed out', async () => {
+    const promoCode = await PromoCodeModel.create({ code: 'ONCE', discountType: 'FIXED', discountValue: 1, maxUses: 1 });
+
+    const results = await Promise.allSettled([reserve('ONCE', newId()), reserve('ONCE', newId())]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.code).toBe('PROMO_CODE_USED_UP');
+    expect((await PromoCodeModel.findById(promoCode._id)).usesCount).toBe(1);
+    expect(await PromoRedemptionModel.countDocuments({ codeId: promoCode._id })).toBe(1);
+  });
+
+  it('gives the use of a failed transaction back once', async () => {
+    const promoCode = await PromoCodeModel.create({ code: 'BACK', discountType: 'FIXED', discountValue: 1, maxUses: 1 });
+    const userId = newId();
+    const transactionId = newId();
+    const promo = await promoService.reserve('BACK', userId, 'CHAT', 2, transactionId);
+    const failed = { _id: transactionId, promo };
+
+    await promoService.release(failed);
+    await promoService.release(failed);
+
+    expect((await PromoCodeModel.findById(promoCode._id)).usesCount).toBe(0);
+    expect(await PromoRedemptionModel.countDocuments()).toBe(0);
+
+    // The user can use the code again
+    await expect(reserve('BACK', userId)).resolves.toMatchObject({ code: 'BACK' });
+  });
+});
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const memoryDb = require('../support/memory-db.js');
+const TransactionModel = require('../../src/models/transaction.model.js');
+const ReconciliationRunModel = require('../../src/models/reconciliation-run.model.js');
+const ledgerService = require('../../src/services/ledger.service.js');
+const worldApi = require('../../src/services/world-api.service.js');
+const reconcilerService = require('../../src/services/reconciler.service.js');
+const paymentsConfig = require('../../src/config/payments.js');
+
+/**
+ * Store a pending MiniKit transaction
+ * @param {Object} fields - Fields to override
+ * @returns {Promise<Object>} Transaction
+ */
+function pending(fields = {}) {
+  return TransactionModel.create({
+    userId: new mongoose.Types.ObjectId(),
+    type: 'CHAT',
+    amount: 1,
+    token: 'WLD',
+    reference: crypto.randomUUID(),
+    ...fields
+  });
+}
+
+/**
+ * Make the fake World API report a mined payment for a transaction
+ * @param {Object} transaction - Transaction the payment is for
+ * @param {Object} fields - Fields of the API answer to override
+ */
+function mined(transaction, fields = {}) {
+  worldApi.setTransaction(transaction.worldIdTransactionId, {
+    reference: transaction.reference,
+    transaction_status: 'mined',
+    input_token: 'WLD',
+    input_token_amount: (10n ** 18n * BigInt(transaction.amount)).toString(),
+    recipient_address: paymentsConfig.TREASURY_ADDRESS,
+    ...fields
+  });
+}
+
+describe('ReconcilerService', () => {
+  beforeAll(() => {
+    memoryDb.connect();
+  });
+
+  afterEach(() => {
+    memoryDb.clear();
+    worldApi.reset();
+  });
+
+  it('completes a pending transaction the World API reports as mined', async () => {
+    const transaction = await pending({ worldIdTransactionId: 'tx-mined' });
+    mined(transaction);
+
+    const report = await reconcilerService.run();
+
+    expect(report.checked).toBe(1);
+    expect(report.changes).toEqual([
+      expect.objectContaining({ reference: transaction.reference, from: 'PENDING', to: 'COMPLETED', reason: 'VERIFIED' })
+    ]);
+    expect((await TransactionModel.findById(transaction._id)).status).toBe('COMPLETED');
+    expect(await ReconciliationRunModel.countDocuments()).toBe(1);
+  });
+
+  it('leaves a transaction pending while the payment is not mined', async () => {
+    const transaction = await pending({ worldIdTransactionId: 'tx-waiting' });
+    mined(transaction, { transaction_status: 'pending' });
+
+    const report = await reconcilerService.run();
+
+    expect(report.checked).toBe(1);
+    expect(report.changes).toHaveLength(0);
+
+    const stored = await TransactionModel.findById(transaction._id);
+    expect(stored.status).toBe('PENDING');
+    expect(stored.lastCheckedAt).toBeInstanceOf(Date);
+  });
+
+  it('fails a transaction whose World ID transaction paid another reference', async () => {
+    const transaction = await pending({ worldIdTransactionId: 'tx-other' });
+    mined(transaction, { reference: crypto.randomUUID() });
+
+    const report = await reconcilerService.run();
+
+    expect(report.changes).toEqual([expect.objectContaining({ to: 'FAILED', reason: 'REFERENCE_MISMATCH' })]);
+
+    const stored = await TransactionModel.findById(transaction._id);
+    expect(stored.status).toBe('FAILED');
+    expect(stored.failureReason).toBe('REFERENCE_MISMATCH');
+  });
+
+  it('fails a transaction that was paid less than its amount', async () => {
+    const transaction = await pending({ amount: 3, worldIdTransactionId: 'tx-short' });
+    mined(transaction, { input_token_amount: (10n ** 18n).toString() });
+
+    const report = await reconcilerService.run();
+
+    expect(report.changes).toEqual([expect.objectContaining({ to: 'FAILED', reason: 'AMOUNT_MISMATCH' })]);
+    expect((await TransactionModel.findById(transaction._id)).failureReason).toBe('AMOUNT_MISMATCH');
+  });
+
+  it('expires a stale pending transaction that never got a World ID transaction', async () => {
+    const stale = await pending({ createdAt: new Date(Date.now() - paymentsConfig.PENDING_TIMEOUT_MS - 1000) });
+    const recent = await pending();
+
+    const report = await reconcilerService.run();
+
+    expect(report.checked).toBe(1);
+    expect(report.changes).toEqual([expect.objectContaining({ reference: stale.reference, to: 'FAILED', reason: 'EXPIRED' })]);
+    expect((await TransactionModel.findById(stale._id)).failureReason).toBe('EXPIRED');
+    expect((await TransactionModel.findById(recent._id)).status).toBe('PENDING');
+  });
+
+  it('records a failure when the World API does not know the transaction', async () => {
+    const transaction = await pending({ worldIdTransactionId: 'tx-unknown' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const report = await reconcilerService.run();
+
+    expect(report.failures).toEqual([expect.objectContaining({ reference: transaction.reference })]);
+    expect((await TransactionModel.findById(transaction._id)).status).toBe('PENDING');
+    console.error.mockRestore();
+  });
+
+  it('checks every transaction once when two runs overlap', async () => {
+    // Half of the payments are still being mined, so those stay claimable without their lease
+    const transactions = [];
+    for (let i = 0; i < 6; i++) {
+      const transaction = await pending({ worldIdTransactionId: `tx-concurrent-${i}` });
+      mined(transaction, i % 2 ? { transaction_status: 'pending' } : {});
+      transactions.push(transaction);
+    }
+    const lookups = jest.spyOn(worldApi, 'getTransaction');
+
+    const reports = await Promise.all([reconcilerService.run(), reconcilerService.run()]);
+
+    expect(reports[0].checked).toBeGreaterThan(0);
+    expect(reports[1].checked).toBeGreaterThan(0);
+    expect(reports[0].checked + reports[1].checked).toBe(transactions.length);
+    expect(lookups).toHaveBeenCalledTimes(transactions.length);
+
+    const paid = transactions.filter((transaction, i) => i % 2 === 0).map(transaction => transaction.reference);
+    const references = reports.flatMap(report => report.changes.map(change => change.reference));
+    expect(references.sort()).toEqual(paid.sort());
+    expect(await TransactionModel.countDocuments({ status: 'COMPLETED' })).toBe(paid.length);
+    lookups.mockRestore();
+  });
+
+  it('credits a completed deposit whose ledger posting failed', async () => {
+    const deposit = await pending({ type: 'DEPOSIT', amount: 2, worldIdTransactionId: 'tx-deposit' });
+    mined(deposit);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // Fails when the payment is settled, and again when the same run retries it
+    jest.spyOn(ledgerService, 'creditDeposit')
+      .mockRejectedValueOnce(new Error('write conflict'))
+      .mockRejectedValueOnce(new Error('write conflict'));
+
+    const first = await reconcilerService.run();
+
+    expect(first.changes).toEqual([expect.objectContaining({ to: 'COMPLETED', reason: 'VERIFIED' })]);
+    expect(first.failures).toEqual([expect.objectContaining({ reference: deposit.reference, message: 'write conflict' })]);
+    expect((await ledgerService.getBalance(deposit.userId)).balance).toBe(0);
+    expect((await TransactionModel.findById(deposit._id)).creditedAt).toBeNull();
+
+    const second = await reconcilerService.run();
+
+    expect(second.changes).toEqual([expect.objectContaining({ from: 'COMPLETED', to: 'COMPLETED', reason: 'DEPOSIT_CREDITED' })]);
+    expect((await ledgerService.getBalance(deposit.userId)).balance).toBe(2);
+    expect((await TransactionModel.findById(deposit._id)).creditedAt).toBeInstanceOf(Date);
+
+    const third = await reconcilerService.run();
+
+    expect(third.changes).toHaveLength(0);
+    expect((await ledgerService.getBalance(deposit.userId)).balance).toBe(2);
+    jest.restoreAllMocks();
+  });
+
+  it('does not check a transaction another run holds the lease of', async () => {
+    const transaction = await pending({
+      worldIdTransactionId: 'tx-leased',
+      reconcileLock: { runId: 'other-run', until: new Date(Date.now() + 60 * 1000) }
+    });
+    mined(transaction);
+
+    const report = await reconcilerService.run();
+
+    expect(report.checked).toBe(0);
+    expect((await TransactionModel.findById(transaction._id)).status).toBe('PENDING');
+  });
+});
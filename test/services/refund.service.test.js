@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const memoryDb = require('../support/memory-db.js');
+const TransactionModel = require('../../src/models/transaction.model.js');
+const ChatModel = require('../../src/models/chat.model.js');
+const UserJobModel = require('../../src/models/user-job.model.js');
+const RefundRequestModel = require('../../src/models/refund-request.model.js');
+const ledgerService = require('../../src/services/ledger.service.js');
+const refundService = require('../../src/services/refund.service.js');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+/**
+ * Store a completed transaction
+ * @param {Object} fields - Fields to override
+ * @returns {Promise<Object>} Transaction
+ */
+function completed(fields = {}) {
+  return TransactionModel.create({
+    userId: newId(),
+    type: 'CHAT',
+    amount: 1,
+    status: 'COMPLETED',
+    reference: crypto.randomUUID(),
+    ...fields
+  });
+}
+
+describe('RefundService', () => {
+  beforeAll(() => {
+    memoryDb.connect();
+  });
+
+  afterEach(() => {
+    memoryDb.clear();
+  });
+
+  it('refunds a chat to the credit balance and closes the chat', async () => {
+    const transaction = await completed({ token: 'WLD', amount: 2, consumedAt: new Date() });
+    const chat = await ChatModel.create({ userId: transaction.userId, transactionId: transaction._id });
+
+    const refunded = await refundService.refundTransaction(transaction._id, 'AI_FAILED');
+
+    expect(refunded.status).toBe('REFUNDED');
+    expect(refunded.refund).toMatchObject({ credits: 2, reason: 'AI_FAILED' });
+    expect((await ledgerService.getBalance(transaction.userId)).balance).toBe(2);
+    expect((await ChatModel.findById(chat._id)).refundedAt).toBeInstanceOf(Date);
+  });
+
+  it('revokes the generated link of a used job link payment', async () => {
+    const transaction = await completed({ type: 'JOB_LINK', consumedAt: new Date() });
+    const userJob = await UserJobModel.create({
+      userId: transaction.userId,
+      jobId: newId(),
+      status: 'APPLIED',
+      generatedLink: 'http://localhost:3000/apply/job/abc',
+      transactionId: transaction._id
+    });
+
+    await refundService.refundTransaction(transaction._id, 'REQUEST_APPROVED');
+
+    const revoked = await UserJobModel.findById(userJob._id);
+    expect(revoked.generatedLink).toBeUndefined();
+    expect(revoked.status).toBe('INTERESTED');
+    expect((await ledgerService.getBalance(transaction.userId)).balance).toBe(1);
+  });
+
+  it('refunds a transaction only once', async () => {
+    const transaction = await completed();
+
+    const results = await Promise.allSettled([
+      refundService.refundTransaction(transaction._id, 'AI_FAILED'),
+      refundService.refundTransaction(transaction._id, 'AI_FAILED')
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.code).toBe('TRANSACTION_NOT_REFUNDABLE');
+    expect((await ledgerService.getBalance(transaction.userId)).balance).toBe(1);
+  });
+
+  it('does not refund deposits or unsettled payments', async () => {
+    const deposit = await completed({ type: 'DEPOSIT' });
+    const pending = await completed({ status: 'PENDING' });
+
+    await expect(refundService.refundTransaction(deposit._id, 'X')).rejects.toMatchObject({ status: 409 });
+    await expect(refundService.refundTransaction(pending._id, 'X')).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('puts the transaction back when the credits cannot be posted', async () => {
+    const transaction = await completed();
+    jest.spyOn(ledgerService, 'refund').mockRejectedValueOnce(new Error('write conflict'));
+
+    await expect(refundService.refundTransaction(transaction._id, 'AI_FAILED')).rejects.toThrow('write conflict');
+
+    expect((await TransactionModel.findById(transaction._id)).status).toBe('COMPLETED');
+    jest.restoreAllMocks();
+  });
+
+  it('accepts one open refund request per payment of the user', async () => {
+    const transaction = await completed();
+
+    await expect(refundService.requestRefund(newId(), transaction._id.toString(), 'No answer'))
+      .rejects.toMatchObject({ status: 404, code: 'TRANSACTION_NOT_FOUND' });
+    await expect(refundService.requestRefund(transaction.userId, transaction._id.toString(), ' '))
+      .rejects.toMatchObject({ status: 400, code: 'REFUND_REASON_REQUIRED' });
+
+    const request = await refundService.requestRefund(transaction.userId, transaction._id.toString(), ' No answer ');
+    expect(request).toMatchObject({ status: 'PENDING', reason: 'No answer' });
+
+    await expect(refundService.requestRefund(transaction.userId, transaction._id.toString(), 'Again'))
+      .rejects.toMatchObject({ status: 409, code: 'REFUND_ALREADY_REQUESTED' });
+  });
+
+  it('refunds the payment when a moderator approves the request, once', async () => {
+    const transaction = await completed();
+    const moderatorId = newId();
+    const request = await refundService.requestRefund(transaction.userId, transaction._id.toString(), 'No answer');
+
+    const approved = await refundService.reviewRequest(request._id.toString(), moderatorId, true, 'Sorry');
+
+    expect(approved).toMatchObject({ status: 'APPROVED', reviewNote: 'Sorry' });
+    expect((await TransactionModel.findById(transaction._id)).status).toBe('REFUNDED');
+    await expect(refundService.reviewRequest(request._id.toString(), moderatorId, false))
+      .rejects.toMatchObject({ status: 409, code: 'REFUND_REQUEST_ALREADY_REVIEWED' });
+  });
+
+  it('reopens an approved request whose refund failed', async () => {
+    const transaction = await completed();
+    const request = await refundService.requestRefund(transaction.userId, transaction._id.toString(), 'No answer');
+    await TransactionModel.updateOne({ _id: transaction._id }, { status: 'FAILED' });
+
+    await expect(refundService.reviewRequest(request._id.toString(), newId(), true))
+      .rejects.toMatchObject({ code: 'TRANSACTION_NOT_REFUNDABLE' });
+
+    const reopened = await RefundRequestModel.findById(request._id);
+    expect(reopened.status).toBe('PENDING');
+    expect(reopened.reviewedBy).toBeUndefined();
+  });
+});
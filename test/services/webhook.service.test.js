@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const memoryDb = require('../support/memory-db.js');
+const app = require('../../src/app.js');
+const TransactionModel = require('../../src/models/transaction.model.js');
+const WebhookEventModel = require('../../src/models/webhook-event.model.js');
+const RejectedWebhookModel = require('../../src/models/rejected-webhook.model.js');
+const worldApi = require('../../src/services/world-api.service.js');
+const webhookService = require('../../src/services/webhook.service.js');
+const paymentsConfig = require('../../src/config/payments.js');
+
+/**
+ * Signature header for a body, as the payment sender computes it
+ * @param {string} body - Raw body
+ * @param {Object} options - Timestamp (unix seconds) and secret
+ * @returns {string} Header value
+ */
+function sign(body, { timestamp = Math.floor(Date.now() / 1000), secret = paymentsConfig.WEBHOOK_SECRET } = {}) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Post a payment callback
+ * @param {Object} event - Callback body
+ * @param {string} signature - Signature header, signed correctly when omitted
+ * @returns {Promise<Object>} Response
+ */
+function callback(event, signature) {
+  const body = JSON.stringify(event);
+
+  return request(app)
+    .post('/api/payments/callback')
+    .set('Content-Type', 'application/json')
+    .set(webhookService.SIGNATURE_HEADER, signature || sign(body))
+    .send(body);
+}
+
+describe('Payment callback webhook', () => {
+  let transaction;
+
+  /**
+   * Make the fake World API report the payment of tx-1 for the transaction
+   * @param {Object} fields - Fields of the API answer to override
+   */
+  function mined(fields = {}) {
+    worldApi.setTransaction('tx-1', {
+      reference: transaction.reference,
+      transaction_status: 'mined',
+      input_token: 'WLD',
+      input_token_amount: (10n ** 18n).toString(),
+      recipient_address: paymentsConfig.TREASURY_ADDRESS,
+      ...fields
+    });
+  }
+
+  beforeAll(() => {
+    memoryDb.connect();
+  });
+
+  beforeEach(async () => {
+    transaction = await TransactionModel.create({
+      userId: new mongoose.Types.ObjectId(),
+      type: 'CHAT',
+      amount: 1,
+      token: 'WLD',
+      reference: crypto.randomUUID()
+    });
+    mined();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    memoryDb.clear();
+    worldApi.reset();
+    jest.restoreAllMocks();
+  });
+
+  it('completes the transaction after checking it with the World API', async () => {
+    const response = await callback({ event_id: 'evt-1', reference: transaction.reference, transaction_id: 'tx-1' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ duplicate: false, status: 'COMPLETED' });
+    expect((await TransactionModel.findById(transaction._id)).status).toBe('COMPLETED');
+    expect(await WebhookEventModel.findOne({ eventId: 'evt-1' })).toMatchObject({ outcome: 'COMPLETED' });
+  });
+
+  it('processes a redelivered event once', async () => {
+    const lookups = jest.spyOn(worldApi, 'getTransaction');
+    const event = { event_id: 'evt-2', reference: transaction.reference, transaction_id: 'tx-1' };
+
+    await callback(event);
+    const response = await callback(event);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ duplicate: true, status: 'COMPLETED' });
+    expect(lookups).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not trust a callback for a payment that does not match the transaction', async () => {
+    mined({ input_token_amount: '1' });
+
+    const response = await callback({ event_id: 'evt-3', reference: transaction.reference, transaction_id: 'tx-1' });
+
+    expect(response.status).toBe(422);
+    expect(response.body.code).toBe('PAYMENT_AMOUNT_MISMATCH');
+    expect((await TransactionModel.findById(transaction._id)).status).toBe('FAILED');
+    expect(await RejectedWebhookModel.countDocuments({ eventId: 'evt-3' })).toBe(1);
+  });
+
+  it('lets the sender retry an event that could not be processed', async () => {
+    worldApi.reset();
+    const event = { event_id: 'evt-4', reference: transaction.reference, transaction_id: 'tx-1' };
+
+    const failed = await callback(event);
+    expect(failed.status).toBe(500);
+    expect(await WebhookEventModel.countDocuments({ eventId: 'evt-4' })).toBe(0);
+
+    mined();
+
+    const retried = await callback(event);
+    expect(retried.body).toMatchObject({ duplicate: false, status: 'COMPLETED' });
+  });
+
+  it('rejects and stores callbacks with a wrong, missing or stale signature', async () => {
+    const event = { event_id: 'evt-5', reference: transaction.reference, transaction_id: 'tx-1' };
+    const body = JSON.stringify(event);
+    const stale = Math.floor((Date.now() - paymentsConfig.WEBHOOK_TOLERANCE_MS) / 1000) - 1;
+
+    const forged = await callback(event, sign(body, { secret: 'wrong-secret' }));
+    const tampered = await callback({ ...event, transaction_id: 'tx-2' }, sign(body));
+    const old = await callback(event, sign(body, { timestamp: stale }));
+    const missing = await request(app).post('/api/payments/callback').send(event);
+
+    expect(forged.body.code).toBe('WEBHOOK_SIGNATURE_INVALID');
+    expect(tampered.body.code).toBe('WEBHOOK_SIGNATURE_INVALID');
+    expect(old.body.code).toBe('WEBHOOK_TIMESTAMP_OUT_OF_RANGE');
+    expect(missing.body.code).toBe('WEBHOOK_SIGNATURE_MISSING');
+    expect([forged, tampered, old, missing].map(response => response.status)).toEqual([401, 401, 401, 401]);
+
+    expect(await RejectedWebhookModel.countDocuments()).toBe(4);
+    expect((await TransactionModel.findById(transaction._id)).status).toBe('PENDING');
+  });
+});
@@ -0,0 +1,3 @@
+// Environment of the jest tests; NODE_ENV=test (set by jest) selects the fake World API
+process.env.TREASURY_ADDRESS = process.env.TREASURY_ADDRESS || '0x1111111111111111111111111111111111111111';
+process.env.PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'test-webhook-secret';
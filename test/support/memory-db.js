@@ -0,0 +1,494 @@
+const mongoose = require('mongoose');
+const mingo = require('mingo');
+
+const { ObjectId, MongoServerError } = mongoose.mongo;
+
+/**
+ * In-memory stand-in for the MongoDB driver, for jest tests where no mongod is
+ * available. Mongoose keeps doing the casting, defaults and hydration; the
+ * collections below evaluate queries, updates and pipelines with mingo and
+ * enforce the unique indexes declared on the schemas. Every operation is atomic
+ * and yields once, so concurrent calls interleave like they would on a server.
+ */
+
+/**
+ * Copy a BSON-ready value so stored documents never share state with callers
+ * @param {*} value - Value to copy
+ * @returns {*} Copy
+ */
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+
+  // ObjectIds, buffers and primitives are not changed in place
+  return value;
+}
+
+/**
+ * Read a dotted path of a document
+ * @param {Object} doc - Document
+ * @param {string} path - Dotted path
+ * @returns {*} Value, undefined when missing
+ */
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+/**
+ * Comparable form of an indexed value
+ * @param {*} value - Indexed value
+ * @returns {string} Index key
+ */
+function indexKey(value) {
+  if (value === undefined || value === null) {
+    return 'null';
+  }
+
+  if (value instanceof ObjectId) {
+    return `oid:${value.toHexString()}`;
+  }
+
+  if (value instanceof Date) {
+    return `date:${value.toISOString()}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Whether a filter value is an operator expression such as { $in: [...] }
+ * @param {*} value - Filter value
+ * @returns {boolean} True for operator expressions
+ */
+function isOperatorExpression(value) {
+  return Boolean(value) && Object.getPrototypeOf(value) === Object.prototype
+    && Object.keys(value).some(key => key.startsWith('$'));
+}
+
+/**
+ * Fields an upsert inserts from the equality conditions of its filter
+ * @param {Object} filter - Update filter
+ * @returns {Object} Dotted paths and values
+ */
+function equalityFields(filter) {
+  const fields = {};
+
+  for (const [key, value] of Object.entries(filter)) {
+    if (key === '$and') {
+      value.forEach(part => Object.assign(fields, equalityFields(part)));
+    } else if (!key.startsWith('$') && !isOperatorExpression(value)) {
+      fields[key] = clone(value);
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Result cursor of find and aggregate
+ * @param {Array} docs - Result documents
+ * @returns {Object} Cursor with the driver methods mongoose uses
+ */
+function cursor(docs) {
+  return {
+    toArray: async () => docs,
+    close: async () => {},
+    [Symbol.asyncIterator]: async function* () {
+      yield* docs;
+    }
+  };
+}
+
+/**
+ * Driver-compatible collection kept in memory
+ */
+class MemoryCollection {
+  constructor(db, name) {
+    this.db = db;
+    this.collectionName = name;
+    this.docs = [];
+  }
+
+  /**
+   * Unique indexes of the model stored in this collection
+   * @returns {Array} Index definitions: fields and options
+   */
+  uniqueIndexes() {
+    const model = mongoose.modelNames()
+      .map(name => mongoose.model(name))
+      .find(candidate => candidate.collection.collectionName === this.collectionName);
+    const indexes = model ? model.schema.indexes().filter(([, options]) => options.unique) : [];
+
+    return [[{ _id: 1 }, {}], ...indexes];
+  }
+
+  /**
+   * Throw the duplicate key error MongoDB would raise for a write
+   * @param {Object} doc - Document about to be stored
+   * @param {Object} replaced - Stored document the write replaces, if any
+   */
+  checkUnique(doc, replaced = null) {
+    for (const [fields, options] of this.uniqueIndexes()) {
+      const paths = Object.keys(fields);
+
+      if (options.sparse && paths.every(path => getPath(doc, path) === undefined)) {
+        continue;
+      }
+
+      const filter = options.partialFilterExpression && new mingo.Query(options.partialFilterExpression);
+      if (filter && !filter.test(doc)) {
+        continue;
+      }
+
+      const key = paths.map(path => indexKey(getPath(doc, path))).join('|');
+      const duplicate = this.docs.find(other => other !== replaced
+        && (!filter || filter.test(other))
+        && paths.map(path => indexKey(getPath(other, path))).join('|') === key);
+
+      if (duplicate) {
+        throw new MongoServerError({
+          message: `E11000 duplicate key error collection: ${this.collectionName} index: ${paths.join('_')}`,
+          code: 11000,
+          keyPattern: fields,
+          keyValue: Object.fromEntries(paths.map(path => [path, getPath(doc, path)]))
+        });
+      }
+    }
+  }
+
+  /**
+   * Stored documents matching a filter, in sort order
+   * @param {Object} filter - Query filter
+   * @param {Object} options - sort, skip and limit
+   * @returns {Array} Stored documents (not copies)
+   */
+  match(filter = {}, { sort, skip, limit } = {}) {
+    let found = mingo.find(this.docs, filter);
+
+    if (sort && Object.keys(sort).length > 0) {
+      found = found.sort(sort);
+    }
+    if (skip) {
+      found = found.skip(skip);
+    }
+    if (limit) {
+      found = found.limit(limit);
+    }
+
+    return found.all();
+  }
+
+  /**
+   * Copy of a stored document, with a projection applied
+   * @param {Object} doc - Stored document
+   * @param {Object} projection - Projection
+   * @returns {Object} Result document
+   */
+  project(doc, projection) {
+    if (!projection || Object.keys(projection).length === 0) {
+      return clone(doc);
+    }
+
+    return clone(mingo.find([doc], {}, projection).next());
+  }
+
+  /**
+   * Store a new document
+   * @param {Object} doc - Document to insert
+   * @returns {Object} Stored document
+   */
+  insert(doc) {
+    const stored = clone(doc);
+    if (stored._id === undefined) {
+      stored._id = new ObjectId();
+    }
+
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return stored;
+  }
+
+  /**
+   * Apply an update to a stored document, or to the seed of an upsert
+   * @param {Object} doc - Stored document, null for an upsert
+   * @param {Object} update - Update operators or replacement
+   * @param {Object} filter - Update filter, seeds an upserted document
+   * @returns {Object} Whether the document changed, and the stored result
+   */
+  write(doc, update, filter) {
+    const inserting = doc === null;
+    let next;
+    let changed = inserting;
+
+    if (!Object.keys(update).some(key => key.startsWith('$'))) {
+      next = { ...clone(update), _id: inserting ? new ObjectId() : doc._id };
+      changed = true;
+    } else {
+      const { $setOnInsert, ...operators } = clone(update);
+      next = inserting ? {} : clone(doc);
+
+      if (inserting) {
+        const seed = equalityFields(filter);
+        if (Object.keys(seed).length > 0) {
+          mingo.update(next, { $set: seed });
+        }
+        if ($setOnInsert) {
+          mingo.update(next, { $set: $setOnInsert });
+        }
+        if (next._id === undefined) {
+          next._id = new ObjectId();
+        }
+      }
+
+      if (Object.keys(operators).length > 0) {
+        changed = mingo.update(next, operators).length > 0 || changed;
+      }
+    }
+
+    if (!changed) {
+      return { changed, stored: doc };
+    }
+
+    this.checkUnique(next, doc);
+    if (inserting) {
+      this.docs.push(next);
+    } else {
+      this.docs[this.docs.indexOf(doc)] = next;
+    }
+
+    return { changed, stored: next };
+  }
+
+  async find(filter, options = {}) {
+    await null;
+    return cursor(this.match(filter, options).map(doc => this.project(doc, options.projection)));
+  }
+
+  async findOne(filter, options = {}) {
+    await null;
+    const [doc] = this.match(filter, { ...options, limit: 1 });
+    return doc ? this.project(doc, options.projection) : null;
+  }
+
+  async countDocuments(filter, options = {}) {
+    await null;
+    return this.match(filter, options).length;
+  }
+
+  async estimatedDocumentCount() {
+    await null;
+    return this.docs.length;
+  }
+
+  async distinct(key, filter) {
+    await null;
+    const values = new Map();
+
+    for (const doc of this.match(filter)) {
+      const value = getPath(doc, key);
+      for (const item of Array.isArray(value) ? value : [value]) {
+        if (item !== undefined) {
+          values.set(indexKey(item), clone(item));
+        }
+      }
+    }
+
+    return [...values.values()];
+  }
+
+  async insertOne(doc) {
+    await null;
+    const stored = this.insert(doc);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    await null;
+    const insertedIds = {};
+
+    docs.forEach((doc, index) => {
+      insertedIds[index] = this.insert(doc)._id;
+    });
+
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    await null;
+    const [doc] = this.match(filter, { sort: options.sort, limit: 1 });
+    return this.updateResult(doc ? [doc] : [], filter, update, options);
+  }
+
+  async updateMany(filter, update, options = {}) {
+    await null;
+    return this.updateResult(this.match(filter), filter, update, options);
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    return this.updateOne(filter, replacement, options);
+  }
+
+  /**
+   * Apply an update to the matched documents and report like the driver
+   * @param {Array} docs - Matched stored documents
+   * @param {Object} filter - Update filter
+   * @param {Object} update - Update
+   * @param {Object} options - upsert
+   * @returns {Object} Update result
+   */
+  updateResult(docs, filter, update, options) {
+    if (docs.length === 0 && options.upsert) {
+      const { stored } = this.write(null, update, filter);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: stored._id };
+    }
+
+    const modifiedCount = docs.filter(doc => this.write(doc, update, filter).changed).length;
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    await null;
+    const [doc] = this.match(filter, { sort: options.sort, limit: 1 });
+    let value = null;
+
+    if (doc || options.upsert) {
+      const { stored } = this.write(doc || null, update, filter);
+      const returned = options.returnDocument === 'after' ? stored : doc;
+      value = returned ? this.project(returned, options.projection) : null;
+    }
+
+    return options.includeResultMetadata ? { ok: 1, value, lastErrorObject: { n: value ? 1 : 0 } } : value;
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    await null;
+    const [doc] = this.match(filter, { sort: options.sort, limit: 1 });
+    if (doc) {
+      this.docs.splice(this.docs.indexOf(doc), 1);
+    }
+
+    const value = doc ? this.project(doc, options.projection) : null;
+    return options.includeResultMetadata ? { ok: 1, value } : value;
+  }
+
+  async deleteOne(filter) {
+    await null;
+    const [doc] = this.match(filter, { limit: 1 });
+    if (doc) {
+      this.docs.splice(this.docs.indexOf(doc), 1);
+    }
+
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    await null;
+    const docs = this.match(filter);
+    this.docs = this.docs.filter(doc => !docs.includes(doc));
+    return { acknowledged: true, deletedCount: docs.length };
+  }
+
+  async bulkWrite(operations) {
+    const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0 };
+
+    for (const operation of operations) {
+      const [[name, args]] = Object.entries(operation);
+
+      if (name === 'insertOne') {
+        await this.insertOne(args.document);
+        result.insertedCount++;
+      } else if (name === 'deleteOne' || name === 'deleteMany') {
+        result.deletedCount += (await this[name](args.filter)).deletedCount;
+      } else {
+        const update = args.update || args.replacement;
+        const written = await this[name](args.filter, update, { upsert: args.upsert });
+        result.matchedCount += written.matchedCount;
+        result.modifiedCount += written.modifiedCount;
+        result.upsertedCount += written.upsertedCount;
+      }
+    }
+
+    return result;
+  }
+
+  aggregate(pipeline) {
+    const docs = mingo.aggregate(this.docs, pipeline, {
+      collectionResolver: name => this.db.collection(name).docs
+    });
+
+    return cursor(docs.map(clone));
+  }
+
+  async createIndex() {
+    return 'index';
+  }
+
+  async createIndexes() {
+    return [];
+  }
+
+  async dropIndex() {}
+
+  listIndexes() {
+    return cursor([]);
+  }
+}
+
+/**
+ * Driver-compatible database holding the memory collections
+ */
+class MemoryDb {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection(this, name));
+    }
+    return this.collections.get(name);
+  }
+
+  async createCollection(name) {
+    return this.collection(name);
+  }
+
+  async listCollections() {
+    return cursor([...this.collections.keys()].map(name => ({ name })));
+  }
+}
+
+/**
+ * Open the default mongoose connection on a fresh in-memory database
+ * @returns {MemoryDb} Database
+ */
+function connect() {
+  const db = new MemoryDb();
+
+  mongoose.set('autoIndex', false);
+  mongoose.set('autoCreate', false);
+  mongoose.connection.db = db;
+  mongoose.connection.onOpen();
+
+  return db;
+}
+
+/**
+ * Remove every stored document
+ */
+function clear() {
+  for (const collection of mongoose.connection.db.collections.values()) {
+    collection.docs = [];
+  }
+}
+
+module.exports = { connect, clear };